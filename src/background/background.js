@@ -3,11 +3,98 @@
  *
  * Handles toolbar button clicks to toggle reader mode in the current tab.
  * The content script handles all the in-page rendering via Shadow DOM.
+ * Also owns the offline library (src/lib/library.js) and answers dictionary
+ * lookups (src/lib/dictionary.js), both loaded before this file.
  */
 
 // Cross-browser compatibility: Firefox uses 'browser', Chrome uses 'chrome'
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
+// Articles handed over to reader.html tabs, keyed by the token in reader.html?id=...
+// Kept while the tab is open so reloading it still works
+const readerTabArticles = new Map();
+const readerTabTokens = new Map(); // tabId -> token
+
+/**
+ * Open an extracted article in its own reader.html tab, next to the page it came from
+ */
+async function openReaderTab(article, sourceTab) {
+  const token = crypto.randomUUID();
+  readerTabArticles.set(token, article);
+
+  const tab = await browserAPI.tabs.create({
+    url: browserAPI.runtime.getURL(`src/reader/reader.html?id=${token}`),
+    index: sourceTab ? sourceTab.index + 1 : undefined,
+    openerTabId: sourceTab ? sourceTab.id : undefined
+  });
+  readerTabTokens.set(tab.id, token);
+  return tab;
+}
+
+/**
+ * Ask the content script of a page for its article, then open it in a reader tab.
+ * Extraction failures open the tab too, so its error state can link back to the page.
+ */
+async function openReaderTabForPage(tab) {
+  if (!tab.url || (!tab.url.startsWith('http://') && !tab.url.startsWith('https://'))) {
+    console.log('Skipping non-HTTP page:', tab.url);
+    return;
+  }
+
+  let article;
+  try {
+    const response = await browserAPI.tabs.sendMessage(tab.id, { type: 'EXTRACT_ARTICLE' });
+    article = response && response.article;
+  } catch (error) {
+    console.error('Failed to extract article:', error);
+  }
+
+  await openReaderTab(article || {
+    error: "This page doesn't appear to contain a readable article.",
+    sourceUrl: tab.url
+  }, tab);
+}
+
+browserAPI.tabs.onRemoved.addListener((tabId) => {
+  const token = readerTabTokens.get(tabId);
+  if (token) {
+    readerTabArticles.delete(token);
+    readerTabTokens.delete(tabId);
+  }
+});
+
+/**
+ * Single-page apps switch articles with history.pushState / replaceState,
+ * which content scripts can't observe - pass those URL changes on
+ */
+if (browserAPI.webNavigation) {
+  browserAPI.webNavigation.onHistoryStateUpdated.addListener((details) => {
+    if (details.frameId !== 0) return;
+    browserAPI.tabs.sendMessage(details.tabId, { type: 'URL_CHANGED', url: details.url })
+      .catch(() => {
+        // No content script on this page (e.g. about: pages)
+      });
+  });
+}
+
+/**
+ * "Open in InkPages Tab" on the toolbar button and page context menus
+ * (menus is not available on Firefox for Android)
+ */
+if (browserAPI.menus) {
+  browserAPI.menus.create({
+    id: 'open-reader-tab',
+    title: 'Open in InkPages Tab',
+    contexts: ['browser_action', 'page']
+  });
+
+  browserAPI.menus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === 'open-reader-tab' && tab) {
+      openReaderTabForPage(tab);
+    }
+  });
+}
+
 /**
  * Handle toolbar button click - toggle reader mode
  */
@@ -103,6 +190,78 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === 'LIBRARY_SAVE') {
+    // Save an article to the offline library (IndexedDB lives in the extension origin)
+    InkPagesLibrary.saveArticle(message.article).then(id => {
+      sendResponse({ success: true, id });
+    }).catch(error => {
+      console.error('Failed to save article to library:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (message.type === 'OPEN_READER_TAB') {
+    // In-page reader handing its article over to a reader.html tab
+    openReaderTab(message.article, sender.tab).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      console.error('Failed to open reader tab:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (message.type === 'GET_ARTICLE_DATA') {
+    // reader.html asking for the article to show: a handed-over article or a library one
+    if (message.articleId) {
+      sendResponse(readerTabArticles.get(message.articleId) || {
+        error: 'This article is no longer available. Open it again from the page.'
+      });
+      return true;
+    }
+    if (!message.libraryId) {
+      sendResponse({ error: 'No article was specified.' });
+      return true;
+    }
+    InkPagesLibrary.getArticle(message.libraryId).then(article => {
+      sendResponse(article || { error: 'This article is no longer in your library.' });
+    }).catch(error => {
+      console.error('Failed to load library article:', error);
+      sendResponse({ error: 'Failed to load the article from your library.' });
+    });
+    return true;
+  }
+
+  if (message.type === 'OPEN_LIBRARY') {
+    browserAPI.tabs.create({ url: browserAPI.runtime.getURL('src/library/library.html') });
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (message.type === 'OPEN_SITE_RULES') {
+    // Options page, with a new rule for the reader's site filled in
+    const query = message.site ? `?site=${encodeURIComponent(message.site)}` : '';
+    browserAPI.tabs.create({ url: browserAPI.runtime.getURL(`src/options/options.html${query}`) });
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (message.type === 'OPEN_DICTIONARIES') {
+    browserAPI.tabs.create({ url: browserAPI.runtime.getURL('src/options/options.html#dictionaries') });
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (message.type === 'DICTIONARY_LOOKUP') {
+    // Word looked up in the in-page reader (dictionaries are in the extension's IndexedDB)
+    InkPagesDictionary.lookup(message.word, message.lang).then(sendResponse).catch(error => {
+      console.error('Dictionary lookup failed:', error);
+      sendResponse({ error: error.message });
+    });
+    return true;
+  }
+
 });
 
 console.log('InkPages background script loaded');
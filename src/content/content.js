@@ -28,6 +28,25 @@
   let originalTitle = document.title;
   let articleData = null;
   let listingData = null;
+  let elementPicker = null; // Set while choosing the article area on the page
+
+  // Site rules (see site-rules.js), kept current while the page is open
+  let siteRules = [];
+  const siteRulesReady = InkPagesSiteRules.loadRules().then(rules => {
+    siteRules = rules;
+  }).catch(e => {
+    console.warn('Failed to load site rules:', e);
+  });
+
+  browserAPI.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.siteRules) {
+      siteRules = changes.siteRules.newValue || [];
+    }
+  });
+
+  function getSiteRule(url = window.location.href) {
+    return InkPagesSiteRules.findRule(siteRules, url);
+  }
 
   // Listen for messages from background script
   browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -41,10 +60,26 @@
       });
       return true; // Keep channel open for async response
     }
+    if (message.type === 'URL_CHANGED') {
+      // Same-document navigation (pushState / replaceState), reported by the background
+      handlePageUrlChange();
+      return false;
+    }
     if (message.type === 'CHECK_READER_STATE') {
       sendResponse({ isActive: isReaderActive });
       return true;
     }
+    if (message.type === 'EXTRACT_ARTICLE') {
+      // Background opening this page in a reader.html tab
+      siteRulesReady.then(() => {
+        const article = isReaderActive && !isListingMode && articleData ? articleData : extractArticle();
+        sendResponse({ article });
+      }).catch(error => {
+        console.error('Extract article error:', error);
+        sendResponse({ article: null, error: error.message });
+      });
+      return true;
+    }
   });
 
   // Check if we should auto-activate reader mode
@@ -69,26 +104,170 @@
       const savedSettings = settingsResult.readerSettings || {};
       const listingModeEnabled = savedSettings.listingModeEnabled !== false; // Default true
 
-      // Small delay to let page fully load before checking content
-      setTimeout(async () => {
-        // Check if this page is actually an article
-        if (await isArticlePage()) {
-          activateReaderMode();
-        } else if (listingModeEnabled) {
-          // Not an article - show listing/TOC mode (if enabled)
-          activateListingMode();
-        }
-      }, 500);
+      // Let script-rendered content settle before checking it
+      const url = getPageUrl();
+      await waitForContentReady({ maxWaitMs: getContentWaitMs(savedSettings) });
+      if (isReaderActive || getPageUrl() !== url) return;
+
+      // Check if this page is actually an article
+      if (await isArticlePage()) {
+        activateReaderMode();
+      } else if (listingModeEnabled) {
+        // Not an article - show listing/TOC mode (if enabled)
+        activateListingMode();
+      }
     } catch (e) {
       console.warn('Failed to check auto-activation:', e);
     }
   }
 
+  // ============================================
+  // Content readiness
+  // ============================================
+
+  const CONTENT_QUIET_MS = 500; // No changes for this long: the page is done building
+  const CONTENT_SLOW_MS = 1500; // Still changing after this long: show "still loading"
+  const DEFAULT_CONTENT_WAIT_SECONDS = 8;
+
+  let contentWait = null; // { finish } while waiting - "Read Now" ends the wait early
+
+  function getContentWaitMs(savedSettings) {
+    return (savedSettings.contentWaitSeconds || DEFAULT_CONTENT_WAIT_SECONDS) * 1000;
+  }
+
+  /**
+   * Wait until the page's main content area stops changing (scripts still
+   * rendering the article), but no longer than maxWaitMs.
+   * @param {Object} options
+   * @param {number} options.maxWaitMs - Upper bound
+   * @param {function} [options.onSlow] - Called if the page is still changing after CONTENT_SLOW_MS
+   * @returns {Promise<void>}
+   */
+  function waitForContentReady({ maxWaitMs, onSlow }) {
+    if (contentWait) contentWait.finish();
+
+    return new Promise(resolve => {
+      const root = document.querySelector('main, [role="main"], article') || document.body;
+      let quietTimer = null;
+
+      // Our own overlay and notifications don't count
+      const isOwnChange = record => {
+        const nodes = [...record.addedNodes, ...record.removedNodes];
+        return nodes.length > 0 &&
+          nodes.every(node => node === readerOverlay || (node.id && node.id.startsWith('inkpages-')));
+      };
+
+      const observer = new MutationObserver(records => {
+        if (records.every(isOwnChange)) return;
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(finish, CONTENT_QUIET_MS);
+      });
+
+      const slowTimer = onSlow ? setTimeout(onSlow, CONTENT_SLOW_MS) : null;
+      const maxTimer = setTimeout(finish, maxWaitMs);
+
+      function finish() {
+        observer.disconnect();
+        clearTimeout(quietTimer);
+        clearTimeout(slowTimer);
+        clearTimeout(maxTimer);
+        contentWait = null;
+        resolve();
+      }
+
+      observer.observe(root, { childList: true, subtree: true, characterData: true });
+      quietTimer = setTimeout(finish, CONTENT_QUIET_MS);
+      contentWait = { finish };
+    });
+  }
+
+  /**
+   * Open the overlay on its loading screen while the page settles
+   */
+  async function showLoadingScreen() {
+    articleData = null;
+    listingData = null;
+    isListingMode = false;
+    await createReaderOverlay();
+    window.__einkReaderFunctions.setLoadingState('loading');
+  }
+
+  // ============================================
+  // Single-page app navigation
+  // ============================================
+
+  // Page URL without the fragment - jumping to an anchor isn't a new page
+  function getPageUrl() {
+    return window.location.href.split('#')[0];
+  }
+
+  let lastPageUrl = getPageUrl();
+
+  /**
+   * The page changed its URL without loading (single-page apps). Once the
+   * new content has settled, read it like a freshly loaded page: an open
+   * reader shows the new article (at its own saved position) or listing,
+   * a closed one auto-activates as usual.
+   */
+  async function handlePageUrlChange() {
+    const url = getPageUrl();
+    if (url === lastPageUrl) return;
+    lastPageUrl = url;
+
+    if (!isReaderActive) {
+      checkAutoActivation();
+      return;
+    }
+    if (elementPicker) elementPicker.cancel();
+
+    try {
+      const settingsResult = await browserAPI.storage.sync.get('readerSettings');
+      const savedSettings = settingsResult.readerSettings || {};
+      window.__einkReaderFunctions.setLoadingState('loading');
+      await waitForContentReady({
+        maxWaitMs: getContentWaitMs(savedSettings),
+        onSlow: () => window.__einkReaderFunctions.setLoadingState('slow')
+      });
+
+      // Navigated again (or closed) while waiting - that change takes over
+      if (url !== lastPageUrl || !isReaderActive) return;
+
+      if (!document.title.endsWith(' - InkPages')) originalTitle = document.title;
+
+      isReaderActive = false;
+      isListingMode = false;
+      if (await isArticlePage()) {
+        await activateReaderMode();
+      } else if (savedSettings.listingModeEnabled !== false) {
+        await activateListingMode();
+      }
+    } catch (e) {
+      console.warn('Failed to re-read the page after a URL change:', e);
+    }
+
+    // Nothing readable here - show the page, but keep the site enabled
+    if (!isReaderActive) {
+      readerOverlay.style.display = 'none';
+      document.body.style.overflow = '';
+      document.title = originalTitle;
+    }
+  }
+
+  window.addEventListener('popstate', handlePageUrlChange);
+
   /**
    * Detect if the current page is an article (not a homepage/listing/category page)
    * Uses multiple heuristics similar to Safari Reader
    */
   async function isArticlePage() {
+    // A site rule with a content selector that matches settles it
+    await siteRulesReady;
+    const rule = getSiteRule();
+    if (rule && rule.contentSelector &&
+        InkPagesSiteRules.queryAll(document, rule.contentSelector).length > 0) {
+      return true;
+    }
+
     // Quick checks first
 
     // 1. Check URL patterns that typically indicate non-article pages
@@ -180,25 +359,41 @@
   async function toggleReaderMode() {
     if (isReaderActive) {
       deactivateReaderMode();
+    } else if (contentWait) {
+      // Clicked again while waiting for the page - read what's there
+      contentWait.finish();
     } else {
+      // Pages still building their content get a loading screen until they settle
+      const settingsResult = await browserAPI.storage.sync.get('readerSettings');
+      const savedSettings = settingsResult.readerSettings || {};
+      await showLoadingScreen();
+      await waitForContentReady({
+        maxWaitMs: getContentWaitMs(savedSettings),
+        onSlow: () => window.__einkReaderFunctions.setLoadingState('slow')
+      });
+
       // Detect whether this is an article or listing page
       const isArticle = await isArticlePage();
 
       if (isArticle) {
-        activateReaderMode();
+        await activateReaderMode();
       } else {
         // Check if listing mode is enabled in settings
-        const settingsResult = await browserAPI.storage.sync.get('readerSettings');
-        const savedSettings = settingsResult.readerSettings || {};
         const listingModeEnabled = savedSettings.listingModeEnabled !== false; // Default true
 
         if (listingModeEnabled) {
-          activateListingMode();
+          await activateListingMode();
         } else {
           // Listing mode disabled, try article mode anyway
-          activateReaderMode();
+          await activateReaderMode();
         }
       }
+
+      // Nothing to show - take the loading screen away again
+      if (!isReaderActive) {
+        readerOverlay.style.display = 'none';
+        document.body.style.overflow = '';
+      }
     }
   }
 
@@ -210,6 +405,7 @@
 
     try {
       // Extract article
+      await siteRulesReady;
       articleData = extractArticle();
 
       if (!articleData) {
@@ -225,6 +421,13 @@
       // Remember this origin as having reader mode enabled
       await enableReaderForOrigin();
 
+      // Multi-page article: the following pages are appended once fetched
+      const settingsResult = await browserAPI.storage.sync.get('readerSettings');
+      const savedSettings = settingsResult.readerSettings || {};
+      if (savedSettings.stitchPages !== false) { // Default true
+        stitchFollowingPages(findNextPageUrl(document, window.location.href));
+      }
+
     } catch (error) {
       console.error('Failed to activate reader mode:', error);
       showNotification('Failed to activate reader mode');
@@ -239,6 +442,7 @@
 
     try {
       // Extract listing structure
+      await siteRulesReady;
       listingData = extractListing();
 
       if (!listingData || listingData.sections.length === 0) {
@@ -265,6 +469,11 @@
   async function deactivateReaderMode() {
     if (!isReaderActive) return;
 
+    if (elementPicker) elementPicker.cancel();
+
+    // Speech would go on with the overlay hidden
+    if (window.__einkReaderFunctions) window.__einkReaderFunctions.closeReadAloud();
+
     if (readerOverlay) {
       readerOverlay.style.display = 'none';
     }
@@ -324,6 +533,7 @@
     let currentSection = { title: null, level: null, items: [] };
     const seenHrefs = new Set();
     const processedContainers = new WeakSet();
+    const rule = getSiteRule();
 
     // Find main content area
     const mainContent = document.querySelector('main, [role="main"], .content, #content, .main') || document.body;
@@ -334,11 +544,13 @@
       '.social', '.share', '.comment', '.cookie', '.popup', '.modal',
       'script', 'style', 'noscript', 'iframe', 'form', '[role="search"]',
       '.newsletter', '.subscribe', '.promo', '.banner', '[hidden]',
-      '.sr-only', '.visually-hidden'
+      '.sr-only', '.visually-hidden',
+      ...validSelectors(rule ? rule.removeSelectors : [])
     ].join(', ');
 
     // Container selectors - elements that group a main article with sub-links
     const containerSelectors = [
+      ...validSelectors(rule ? rule.listingSelectors : []),
       'article',
       '[data-link-name]',           // Guardian uses this
       '[class*="card"]',
@@ -630,6 +842,15 @@
     };
   }
 
+  /**
+   * Drop invalid selectors from a site rule list, so one typo doesn't
+   * break a joined selector
+   */
+  function validSelectors(selectors) {
+    return (selectors || []).filter(selector =>
+      selector && !InkPagesSiteRules.validateSelector(selector));
+  }
+
   /**
    * Sanitize HTML content to remove potentially dangerous elements
    * This provides security similar to Firefox Reader
@@ -690,7 +911,7 @@
    * Pre-process DOM to remove unwanted elements before Readability extraction
    * This mimics Safari Reader's behavior of filtering out social embeds, cookie notices, etc.
    */
-  function preprocessDOM(doc) {
+  function preprocessDOM(doc, rule = null) {
     // Remove social media embed placeholders and cookie consent blocks
     const selectorsToRemove = [
       // Social media embeds and placeholders
@@ -717,6 +938,8 @@
       'iframe:not([src])',
       'iframe[src=""]',
       'iframe[src="about:blank"]',
+      // Site rule additions
+      ...(rule ? rule.removeSelectors : [])
     ];
 
     // Remove elements matching selectors
@@ -759,1014 +982,3687 @@
 
   /**
    * Extract article using Readability
+   * @param {Object} [rule] - Site rule to use instead of the stored ones (element picker)
    */
-  function extractArticle() {
+  function extractArticle(rule) {
     const documentClone = document.cloneNode(true);
+    return extractArticleFromDocument(documentClone, window.location.href, rule);
+  }
+
+  /**
+   * Extract an article from any document (the live page clone or a fetched page).
+   * The document is modified in place.
+   */
+  function extractArticleFromDocument(doc, url, rule = getSiteRule(url)) {
 
     // Pre-process to remove social embeds and cookie placeholders (Safari-like behavior)
-    preprocessDOM(documentClone);
+    preprocessDOM(doc, rule);
+
+    // Site rule parts are read before Readability rewrites the document
+    const ruled = rule ? extractWithRule(doc, url, rule) : {};
 
-    const reader = new Readability(documentClone, {
+    const reader = new Readability(doc, {
       charThreshold: 500,
       classesToPreserve: ['caption', 'figcaption']
     });
 
-    const article = reader.parse();
+    const article = reader.parse() || (ruled.content ? {} : null);
     if (!article) return null;
 
-    const wordCount = article.textContent.trim().split(/\s+/).length;
+    const textContent = ruled.content ? ruled.textContent : article.textContent;
+    const wordCount = textContent.trim().split(/\s+/).length;
     const readingTime = Math.ceil(wordCount / 200);
 
     return {
-      title: article.title || document.title,
-      byline: article.byline || '',
-      content: sanitizeHTML(article.content),
-      textContent: article.textContent,
+      title: ruled.title || article.title || doc.title,
+      byline: ruled.byline || article.byline || '',
+      content: sanitizeHTML(ruled.content || article.content),
+      textContent: textContent,
       excerpt: article.excerpt || '',
-      siteName: article.siteName || extractSiteName(),
-      length: article.length,
+      siteName: article.siteName || extractSiteName(doc, url),
+      length: ruled.content ? textContent.length : article.length,
       wordCount: wordCount,
       readingTime: readingTime,
-      sourceUrl: window.location.href,
+      sourceUrl: url,
       dir: article.dir || 'ltr',
-      lang: article.lang || document.documentElement.lang || 'en'
+      lang: article.lang || doc.documentElement.lang || 'en'
     };
   }
 
   /**
-   * Extract site name from meta tags or domain
+   * Content, title and byline picked by a site rule's selectors.
+   * Fields the rule doesn't set (or whose selector matches nothing) are left out.
    */
-  function extractSiteName() {
-    const ogSiteName = document.querySelector('meta[property="og:site_name"]');
-    if (ogSiteName) return ogSiteName.getAttribute('content');
+  function extractWithRule(doc, url, rule) {
+    const result = {};
+    const firstText = selector => {
+      const el = InkPagesSiteRules.queryAll(doc, selector)[0];
+      return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+    };
 
-    const appName = document.querySelector('meta[name="application-name"]');
-    if (appName) return appName.getAttribute('content');
+    if (rule.titleSelector) result.title = firstText(rule.titleSelector);
+    if (rule.bylineSelector) result.byline = firstText(rule.bylineSelector);
+
+    // Outermost matches only, so nested matches aren't included twice
+    const regions = InkPagesSiteRules.queryAll(doc, rule.contentSelector)
+      .filter((el, i, all) => !all.some(other => other !== el && other.contains(el)));
+    if (regions.length > 0) {
+      const container = doc.createElement('div');
+      regions.forEach(el => container.appendChild(el.cloneNode(true)));
+      container.querySelectorAll('script, style, noscript').forEach(el => el.remove());
+
+      // Same as Readability: links and images must work away from the page
+      const baseUrl = doc.baseURI && doc.baseURI !== 'about:blank' ? doc.baseURI : url;
+      container.querySelectorAll('[href], [src]').forEach(el => {
+        ['href', 'src'].forEach(attr => {
+          const value = el.getAttribute(attr);
+          if (!value || value.startsWith('#') || /^(data|javascript):/i.test(value)) return;
+          try {
+            el.setAttribute(attr, new URL(value, baseUrl).href);
+          } catch (e) {
+            el.removeAttribute(attr);
+          }
+        });
+      });
+      container.querySelectorAll('[srcset]').forEach(el => el.removeAttribute('srcset'));
 
-    try {
-      return new URL(window.location.href).hostname.replace(/^www\./, '');
-    } catch {
-      return '';
+      result.content = container.innerHTML;
+      result.textContent = container.textContent;
     }
+
+    return result;
   }
 
   /**
-   * Create reader overlay with Shadow DOM
+   * Fetch another page as a document.
+   * Relative URLs are resolved against the fetched page via a <base> element.
+   * @returns {Promise<{doc: Document, url: string}>} url is the final URL after redirects
    */
-  async function createReaderOverlay() {
-    // Create overlay if it doesn't exist
-    if (!readerOverlay) {
-      readerOverlay = document.createElement('div');
-      readerOverlay.id = 'inkpages-overlay';
-      readerOverlay.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        z-index: 2147483647;
-        background: white;
-      `;
+  async function fetchDocument(url) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
 
-      // Create shadow root for style isolation
-      shadowRoot = readerOverlay.attachShadow({ mode: 'closed' });
+    const html = await response.text();
+    const doc = new DOMParser().parseFromString(html, 'text/html');
 
-      // Load CSS
-      const cssUrl = browserAPI.runtime.getURL('src/reader/reader.css');
-      const cssResponse = await fetch(cssUrl);
-      const cssText = await cssResponse.text();
+    if (!doc.querySelector('base[href]')) {
+      const base = doc.createElement('base');
+      base.href = response.url || url;
+      doc.head.insertBefore(base, doc.head.firstChild);
+    }
 
-      // Load HTML template
-      const htmlUrl = browserAPI.runtime.getURL('src/reader/reader.html');
-      const htmlResponse = await fetch(htmlUrl);
-      const htmlText = await htmlResponse.text();
+    return { doc, url: response.url || url };
+  }
 
-      // Parse HTML and extract body content
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(htmlText, 'text/html');
-      const bodyContent = doc.body.innerHTML;
+  /**
+   * Fetch another page and extract its article.
+   */
+  async function fetchArticle(url) {
+    const { doc, url: finalUrl } = await fetchDocument(url);
+    return extractArticleFromDocument(doc, finalUrl);
+  }
 
-      // Inject into shadow DOM with a wrapper that acts as body
-      shadowRoot.innerHTML = `
-        <style>${cssText}</style>
-        <div id="reader-wrapper">${bodyContent}</div>
-      `;
+  // ============================================
+  // Multi-page articles
+  // ============================================
 
-      document.body.appendChild(readerOverlay);
+  const MAX_STITCHED_PAGES = 10;
 
-      // Initialize reader functionality
-      initializeReader();
-    }
+  // Query parameters that carry a page number (?page=2, ?pg=2, ...). Not ?p=, which
+  // is WordPress's post id
+  const PAGE_PARAMS = ['page', 'pg', 'paged', 'pagenum', 'seite'];
 
-    // Show overlay
-    readerOverlay.style.display = 'block';
-    document.body.style.overflow = 'hidden';
+  // Larger numbers in a URL are ids (posts, stories), not page numbers
+  const MAX_PAGE_NUMBER = 100;
 
-    // Render content based on mode
-    if (isListingMode && listingData) {
-      document.title = listingData.pageTitle + ' - InkPages';
-      renderListing();
-    } else if (articleData) {
-      document.title = articleData.title + ' - InkPages';
-      renderArticle();
-    }
-  }
+  // Blocks of page-number links ("1 2 3 Next")
+  const PAGINATION_SELECTOR = 'nav, [role="navigation"], .pagination, .page-links';
+
+  // Link text (or aria-label / class) of "next page" links in common languages
+  const NEXT_LINK_TEXT = /^(next( page)?|weiter|nächste( seite)?|suivant(e)?|page suivante|siguiente|successiva|volgende)?\s*[»›→>]?$/i;
 
   /**
-   * Initialize reader UI and functionality
+   * Page number of a URL in a paginated series: ?page=N, /N/ or /page/N/.
+   * Numbers above MAX_PAGE_NUMBER are taken as article ids, not pages.
+   * @returns {{key: string, page: number}} key identifies the series
    */
-  function initializeReader() {
-    // Elements
-    const elements = {
-      loadingContainer: shadowRoot.getElementById('loading-container'),
-      errorContainer: shadowRoot.getElementById('error-container'),
-      articleContainer: shadowRoot.getElementById('article-container'),
-      articleTitle: shadowRoot.getElementById('article-title'),
-      articleByline: shadowRoot.getElementById('article-byline'),
-      articleReadingTime: shadowRoot.getElementById('article-reading-time'),
-      contentViewport: shadowRoot.getElementById('content-viewport'),
-      articleContent: shadowRoot.getElementById('article-content'),
-      siteName: shadowRoot.getElementById('site-name'),
-      compactTitle: shadowRoot.getElementById('compact-title'),
-      headerCenter: shadowRoot.querySelector('.header-center'),
-      articleHeader: shadowRoot.getElementById('article-header'),
-      pageIndicator: shadowRoot.getElementById('page-indicator'),
-      progressFill: shadowRoot.getElementById('progress-fill'),
-      tapZonePrev: shadowRoot.getElementById('tap-zone-prev'),
-      tapZoneNext: shadowRoot.getElementById('tap-zone-next'),
-      btnClose: shadowRoot.getElementById('btn-close'),
-      btnSettings: shadowRoot.getElementById('btn-settings'),
-      btnExport: shadowRoot.getElementById('btn-export'),
-      settingsPanel: shadowRoot.getElementById('settings-panel'),
-      settingsOverlay: shadowRoot.getElementById('settings-overlay'),
-      btnCloseSettings: shadowRoot.getElementById('btn-close-settings'),
-      btnCloseReader: shadowRoot.getElementById('btn-close-reader'),
-      fontBtns: shadowRoot.querySelectorAll('.font-btn'),
-      fontSizeSlider: shadowRoot.getElementById('font-size-slider'),
-      fontSizeValue: shadowRoot.getElementById('font-size-value'),
-      lineHeightSlider: shadowRoot.getElementById('line-height-slider'),
-      lineHeightValue: shadowRoot.getElementById('line-height-value'),
-      pageWidthSlider: shadowRoot.getElementById('page-width-slider'),
-      pageWidthValue: shadowRoot.getElementById('page-width-value'),
-      themeBtns: shadowRoot.querySelectorAll('.theme-btn'),
-      toggleBold: shadowRoot.getElementById('toggle-bold'),
-      toggleJustify: shadowRoot.getElementById('toggle-justify'),
-      toggleGrayscale: shadowRoot.getElementById('toggle-grayscale'),
-      toggleNoImages: shadowRoot.getElementById('toggle-no-images'),
-      toggleListingMode: shadowRoot.getElementById('toggle-listing-mode'),
-      sizeBtns: shadowRoot.querySelectorAll('.size-btn'),
-      safeAreaSlider: shadowRoot.getElementById('safe-area-slider'),
-      safeAreaValue: shadowRoot.getElementById('safe-area-value')
-    };
+  function parsePagedUrl(url) {
+    const parsed = new URL(url);
+    let page = 1;
+
+    for (const name of PAGE_PARAMS) {
+      const value = parsed.searchParams.get(name);
+      if (value && /^\d+$/.test(value) && parseInt(value, 10) <= MAX_PAGE_NUMBER) {
+        page = parseInt(value, 10);
+        parsed.searchParams.delete(name);
+      }
+    }
 
-    // Store elements for later use
-    window.__einkReaderElements = elements;
+    let path = parsed.pathname;
+    const pathMatch = path.match(/^(.*?)(?:\/page)?\/(\d{1,3})\/?$/);
+    if (page === 1 && pathMatch && parseInt(pathMatch[2], 10) <= MAX_PAGE_NUMBER) {
+      page = parseInt(pathMatch[2], 10);
+      path = pathMatch[1];
+    }
 
-    // State
-    let currentPage = 0;
-    let totalPages = 1;
-    let pageWidth = 0;
-    let settings = {
-      fontFamily: 'serif',
-      fontSize: 18,
-      lineHeight: 1.8,
-      pageWidth: 680,
-      theme: 'light',
-      boldText: false,
-      justifyText: false,
-      grayscale: false,
-      noImages: false,
-      safeAreaManual: 0,
-      listingModeEnabled: true
-    };
+    parsed.searchParams.sort();
+    const key = parsed.origin + path.replace(/\/$/, '') + '?' + parsed.searchParams.toString();
+    return { key, page };
+  }
 
-    // Store state for later use
-    window.__einkReaderState = { currentPage, totalPages, pageWidth, settings };
+  function isNextPageLink(link) {
+    if (/\bnext\b/i.test(link.getAttribute('rel') || '')) return true;
+    const text = (link.textContent || '').trim();
+    // A bare number is a page only among page links - elsewhere it may be the next story's id
+    if (/^\d+$/.test(text)) return Boolean(link.closest(PAGINATION_SELECTOR));
+    if (text && NEXT_LINK_TEXT.test(text)) return true;
+    const label = link.getAttribute('aria-label') || link.getAttribute('title') || '';
+    if (label && /\bnext\b/i.test(label)) return true;
+    return /\bnext\b/i.test(link.className || '');
+  }
 
-    // Load settings
-    loadSettings();
+  /**
+   * Find the URL of the next page of a multi-page article, or null.
+   * Candidates are rel="next" links and pagination links ("Next", "»", "2"),
+   * and must point to page N+1 of the same URL series - this keeps
+   * "next article" links out. A <link rel="next"> in the head alone isn't
+   * enough: sites also use it for the next post, so the page has to show
+   * page-number links as well.
+   */
+  function findNextPageUrl(doc, url) {
+    let current;
+    try {
+      current = parsePagedUrl(url);
+    } catch {
+      return null;
+    }
 
-    // Set up event listeners
-    setupEventListeners();
+    let paginated = null; // Checked on the first head link
+    const links = doc.querySelectorAll('link[rel~="next"][href], a[href]');
+    for (const link of links) {
+      if (!isNextPageLink(link)) continue;
+      if (link.tagName === 'LINK') {
+        if (paginated === null) paginated = hasPageNumberLinks(doc);
+        if (!paginated) continue;
+      }
 
-    async function loadSettings() {
+      let candidate;
       try {
-        const result = await browserAPI.storage.sync.get('readerSettings');
-        if (result.readerSettings) {
-          settings = { ...settings, ...result.readerSettings };
-          window.__einkReaderState.settings = settings;
-        }
-        applySettings();
-      } catch (error) {
-        console.warn('Failed to load settings:', error);
+        candidate = new URL(link.getAttribute('href'), doc.baseURI || url);
+      } catch {
+        continue;
       }
-    }
+      candidate.hash = '';
 
-    async function saveSettings() {
-      try {
-        await browserAPI.storage.sync.set({ readerSettings: settings });
-      } catch (error) {
-        console.warn('Failed to save settings:', error);
+      const paged = parsePagedUrl(candidate.href);
+      if (paged.key === current.key && paged.page === current.page + 1) {
+        return candidate.href;
       }
     }
+    return null;
+  }
 
-    function applySettings() {
-      const root = shadowRoot.host;
-      root.setAttribute('data-theme', settings.theme);
-      root.classList.remove('font-serif', 'font-sans-serif', 'font-monospace');
-      root.classList.add(`font-${settings.fontFamily}`);
-      root.style.setProperty('--font-size', `${settings.fontSize}px`);
-      root.style.setProperty('--line-height', settings.lineHeight);
-      root.style.setProperty('--page-width', `${settings.pageWidth}px`);
-      root.style.setProperty('--safe-area-manual', `${settings.safeAreaManual}px`);
+  function hasPageNumberLinks(doc) {
+    return Array.from(doc.querySelectorAll(PAGINATION_SELECTOR)).some(block =>
+      Array.from(block.querySelectorAll('a[href]')).some(link => /^\d+$/.test(link.textContent.trim()))
+    );
+  }
 
-      root.classList.toggle('bold-text', settings.boldText);
-      root.classList.toggle('justify-text', settings.justifyText);
-      root.classList.toggle('grayscale', settings.grayscale);
-      root.classList.toggle('no-images', settings.noImages);
+  function normalizeBlockText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
 
-      updateSettingsUI();
+  // Text of the first few blocks of an article (title, byline, dateline, ...)
+  function leadingBlocks(root, limit = 10) {
+    return Array.from(root.querySelectorAll('h1, h2, h3, h4, p, address, time, div, span'))
+      .filter(el => !el.querySelector('h1, h2, h3, h4, p, div'))
+      .slice(0, limit);
+  }
 
-      if (articleData && elements.articleContent) {
-        setTimeout(() => {
-          currentPage = 0;
-          window.__einkReaderState.currentPage = 0;
-          updateHeaderSpacer();
-          setupPagination();
-        }, 50);
-      }
-    }
+  /**
+   * Remove headers and bylines that later pages repeat from the first page
+   */
+  function removeRepeatedBlocks(html, repeated) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    leadingBlocks(doc.body).forEach(el => {
+      const text = normalizeBlockText(el.textContent);
+      if (text && text.length < 200 && repeated.has(text)) el.remove();
+    });
+    return doc.body.innerHTML;
+  }
 
-    function updateSettingsUI() {
-      elements.fontBtns.forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.font === settings.fontFamily);
-      });
+  /**
+   * Combine the first page's article with the following pages into one articleData.
+   * Each following page is wrapped in a .stitched-page element.
+   */
+  function mergeArticlePages(first, pages) {
+    const firstDoc = new DOMParser().parseFromString(first.content, 'text/html');
+    const repeated = new Set(
+      [first.title, first.byline, first.siteName, ...leadingBlocks(firstDoc.body).map(el => el.textContent)]
+        .map(normalizeBlockText)
+        .filter(text => text && text.length < 200)
+    );
 
-      elements.themeBtns.forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.theme === settings.theme);
-      });
+    let content = first.content;
+    let textContent = first.textContent || '';
+    pages.forEach((page, i) => {
+      content += `<div class="stitched-page" data-source-page="${i + 2}">${removeRepeatedBlocks(page.content, repeated)}</div>`;
+      textContent += '\n\n' + (page.textContent || '');
+    });
 
-      if (elements.fontSizeSlider) {
-        elements.fontSizeSlider.value = settings.fontSize;
-        elements.fontSizeValue.textContent = `${settings.fontSize}px`;
-      }
+    const wordCount = textContent.trim().split(/\s+/).length;
+    return {
+      ...first,
+      content,
+      textContent,
+      length: textContent.length,
+      wordCount,
+      readingTime: Math.ceil(wordCount / 200),
+      mergedPages: pages.length + 1,
+      sourceUrls: [first.sourceUrl, ...pages.map(page => page.sourceUrl)]
+    };
+  }
 
-      if (elements.lineHeightSlider) {
-        elements.lineHeightSlider.value = settings.lineHeight;
-        elements.lineHeightValue.textContent = settings.lineHeight.toFixed(1);
-      }
+  /**
+   * Fetch the following pages of a multi-page article and show them
+   * together. Runs after page one is already on screen.
+   */
+  async function stitchFollowingPages(nextUrl) {
+    const first = articleData;
+    const seen = new Set([window.location.href.split('#')[0]]);
+    const pages = [];
 
-      if (elements.pageWidthSlider) {
-        elements.pageWidthSlider.value = settings.pageWidth;
-        elements.pageWidthValue.textContent = `${settings.pageWidth}px`;
+    while (nextUrl && !seen.has(nextUrl) && pages.length < MAX_STITCHED_PAGES - 1) {
+      seen.add(nextUrl);
+      try {
+        const { doc, url } = await fetchDocument(nextUrl);
+        // Look for the next link before extraction modifies the document
+        nextUrl = findNextPageUrl(doc, url);
+        const page = extractArticleFromDocument(doc, url);
+        if (!page) break;
+        pages.push(page);
+      } catch (error) {
+        console.warn('InkPages: Failed to fetch next page', nextUrl, error);
+        break;
       }
+    }
 
-      if (elements.toggleBold) elements.toggleBold.checked = settings.boldText;
-      if (elements.toggleJustify) elements.toggleJustify.checked = settings.justifyText;
-      if (elements.toggleGrayscale) elements.toggleGrayscale.checked = settings.grayscale;
-      if (elements.toggleNoImages) elements.toggleNoImages.checked = settings.noImages;
-
-      if (elements.safeAreaSlider) {
-        elements.safeAreaSlider.value = settings.safeAreaManual;
-        elements.safeAreaValue.textContent = `${settings.safeAreaManual}px`;
-      }
+    // Nothing found, or the reader moved on in the meantime
+    if (pages.length === 0 || articleData !== first) return;
 
-      if (elements.toggleListingMode) {
-        elements.toggleListingMode.checked = settings.listingModeEnabled;
-      }
+    articleData = mergeArticlePages(first, pages);
+    if (isReaderActive && !isListingMode) {
+      renderArticle({ keepPosition: true });
     }
+  }
 
-    /**
-     * Update the header spacer to match the current header height.
-     * The spacer compensates for the absolutely-positioned header on page 0,
-     * ensuring content continuity when navigating between pages.
-     */
-    function updateHeaderSpacer() {
-      if (!elements.articleHeader || !elements.articleContent) return;
+  // ============================================
+  // Element picker
+  // ============================================
 
-      // Temporarily show header to measure its height (if it's hidden)
-      const wasMinimized = elements.articleHeader.classList.contains('minimized');
-      if (wasMinimized) {
-        elements.articleHeader.classList.remove('minimized');
-      }
+  // Classes that describe state rather than what an element is
+  const UNSTABLE_CLASS = /\d{3,}|^(is|has)-|active|hover|focus|selected|open|visible/i;
 
-      // Measure actual header height (varies with title length, font size, viewport width)
-      const headerHeight = elements.articleHeader.getBoundingClientRect().height;
+  const PICKER_STYLES = `
+    :host { all: initial; }
+    .picker-box {
+      position: fixed;
+      pointer-events: none;
+      box-sizing: border-box;
+      z-index: 2147483646;
+      display: none;
+    }
+    .picker-box.hover { border: 2px dashed #0066cc; background: rgba(0, 102, 204, 0.06); }
+    .picker-box.selected { border: 3px solid #000; background: rgba(0, 0, 0, 0.08); }
+    .picker-bar {
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      z-index: 2147483647;
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 12px;
+      background: #fff;
+      color: #000;
+      border-bottom: 2px solid #000;
+      font: 14px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+    .picker-status { flex: 1 1 200px; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .picker-status code { font-family: ui-monospace, Menlo, Consolas, monospace; }
+    button {
+      padding: 6px 10px;
+      border: 1px solid #000;
+      border-radius: 6px;
+      background: #fff;
+      color: #000;
+      font: inherit;
+      cursor: pointer;
+    }
+    button:disabled { opacity: 0.4; cursor: default; }
+    button.primary { background: #000; color: #fff; }
+    label { display: flex; align-items: center; gap: 4px; }
+  `;
 
-      // Restore header state
-      if (wasMinimized) {
-        elements.articleHeader.classList.add('minimized');
+  /**
+   * CSS selector that finds this element (and only it) on the page.
+   * Prefers ids and classes, so a saved rule keeps working on the
+   * site's other articles; falls back to positions.
+   */
+  function buildSelector(el) {
+    const isUnique = selector => {
+      try {
+        const matches = document.querySelectorAll(selector);
+        return matches.length === 1 && matches[0] === el;
+      } catch (e) {
+        return false;
       }
+    };
 
-      // Find or create spacer
-      let spacer = elements.articleContent.querySelector('#header-spacer');
-      if (!spacer) {
-        spacer = document.createElement('div');
-        spacer.id = 'header-spacer';
-        elements.articleContent.insertBefore(spacer, elements.articleContent.firstChild);
+    const parts = [];
+    for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+      if (node.id && !/\d{3,}/.test(node.id)) {
+        parts.unshift('#' + CSS.escape(node.id));
+      } else {
+        const classes = Array.from(node.classList)
+          .filter(name => !UNSTABLE_CLASS.test(name))
+          .slice(0, 2);
+        parts.unshift(node.localName + classes.map(name => '.' + CSS.escape(name)).join(''));
       }
-
-      // Set spacer height to match header
-      spacer.style.height = headerHeight + 'px';
+      const selector = parts.join(' ');
+      if (isUnique(selector)) return selector;
     }
 
-    function setupPagination() {
-      const viewport = elements.contentViewport;
-      const content = elements.articleContent;
-
-      if (!viewport || !content) return;
-
-      const viewportRect = viewport.getBoundingClientRect();
-      const dbg = window.__debugOptions || {};
+    // Positions from <body> down
+    const path = [];
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+      const sameType = Array.from(node.parentElement.children).filter(child => child.localName === node.localName);
+      path.unshift(sameType.length > 1
+        ? `${node.localName}:nth-of-type(${sameType.indexOf(node) + 1})`
+        : node.localName);
+    }
+    return ['body', ...path].join(' > ');
+  }
 
-      // Always round pixel values to prevent sub-pixel drift on narrow screens (v1.0.8 fix)
-      const viewportWidth = Math.floor(viewportRect.width);
-      const viewportHeight = Math.floor(viewportRect.height);
-      const columnGap = 50;
+  /**
+   * Let the user point at the article region (or things to remove) on the
+   * original page. The overlay is hidden meanwhile; "Done" extracts again
+   * with the choices as a site rule, optionally saved for the site.
+   */
+  function startElementPicker() {
+    if (elementPicker) return;
+
+    const host = document.createElement('div');
+    host.id = 'inkpages-picker';
+    const root = host.attachShadow({ mode: 'closed' });
+    const siteName = window.location.hostname;
+
+    root.innerHTML = `
+      <style>${PICKER_STYLES}</style>
+      <div class="picker-box hover"></div>
+      <div class="picker-box selected"></div>
+      <div class="picker-bar">
+        <span class="picker-status"></span>
+        <button data-action="parent" disabled>Wider</button>
+        <button data-action="article" disabled>This Is the Article</button>
+        <button data-action="remove" disabled>Remove This</button>
+        <label><input type="checkbox" class="picker-save"> Save for ${escapeHtml(siteName)}</label>
+        <button data-action="done" class="primary">Done</button>
+        <button data-action="cancel">Cancel</button>
+      </div>
+    `;
 
-      // Reset styles
-      content.style.width = '';
-      content.style.height = '';
-      content.style.columnWidth = '';
-      content.style.columnGap = '';
-      content.style.transform = '';
-      content.style.position = '';
+    const hoverBox = root.querySelector('.picker-box.hover');
+    const selectedBox = root.querySelector('.picker-box.selected');
+    const status = root.querySelector('.picker-status');
+    const saveCheckbox = root.querySelector('.picker-save');
+    const buttons = {};
+    root.querySelectorAll('button[data-action]').forEach(btn => {
+      buttons[btn.dataset.action] = btn;
+    });
 
-      // Measure natural height
-      content.style.position = 'absolute';
-      content.style.width = viewportWidth + 'px';
-      content.style.visibility = 'hidden';
-      void content.offsetHeight;
-      const naturalHeight = content.scrollHeight;
+    let hovered = null;
+    let selected = null;
+    let articleSelector = '';
+    const removeSelectors = [];
+    const hiddenElements = []; // [element, original style attribute]
 
-      content.style.position = '';
-      content.style.visibility = '';
+    function placeBox(box, el) {
+      if (!el) {
+        box.style.display = 'none';
+        return;
+      }
+      const rect = el.getBoundingClientRect();
+      box.style.display = 'block';
+      box.style.left = rect.left + 'px';
+      box.style.top = rect.top + 'px';
+      box.style.width = rect.width + 'px';
+      box.style.height = rect.height + 'px';
+    }
 
-      // Set up columns
-      // Subtract a small buffer for text descenders (p, g, y, j, q extend below baseline)
-      // This prevents the very last line from touching the progress bar
-      const computedStyle = getComputedStyle(content);
-      const fontSize = parseFloat(computedStyle.fontSize) || 18;
-      const descenderBuffer = Math.ceil(fontSize * 0.25);
-      content.style.height = (viewportHeight - descenderBuffer) + 'px';
-      content.style.width = 'max-content';
+    function updateBar() {
+      const chosen = [];
+      if (articleSelector) chosen.push('article chosen');
+      if (removeSelectors.length) chosen.push(`${removeSelectors.length} removed`);
+
+      status.innerHTML = selected
+        ? `<code>${escapeHtml(buildSelector(selected))}</code>`
+        : escapeHtml(chosen.length
+          ? chosen.join(', ') + ' - pick more or press Done'
+          : 'Tap the article text, or something to remove');
+
+      buttons.parent.disabled = !selected || !selected.parentElement || selected.parentElement === document.body;
+      buttons.article.disabled = !selected;
+      buttons.remove.disabled = !selected;
+      placeBox(selectedBox, selected);
+    }
 
-      // Option 6: Force integer columnWidth
-      const colWidth = dbg.integerColumnWidth ? Math.floor(viewportWidth) : viewportWidth;
-      content.style.columnWidth = colWidth + 'px';
-      content.style.columnGap = columnGap + 'px';
-      content.style.columnFill = 'auto';
+    // Elements of the page only - never the picker or the hidden overlay
+    function pageElement(target) {
+      if (!target || target === host || target === readerOverlay) return null;
+      if (target === document.body || target === document.documentElement) return null;
+      return target;
+    }
 
-      void content.offsetHeight;
-      const actualScrollWidth = content.scrollWidth;
+    function onMouseOver(e) {
+      hovered = pageElement(e.target);
+      placeBox(hoverBox, hovered);
+    }
 
-      // pageWidth is already integer since viewportWidth is floored and columnGap is integer
-      pageWidth = viewportWidth + columnGap;
+    function onClick(e) {
+      if (e.target === host) return;
+      e.preventDefault();
+      e.stopPropagation();
+      selected = pageElement(e.target);
+      placeBox(hoverBox, null);
+      updateBar();
+    }
 
-      totalPages = Math.max(1, Math.ceil((actualScrollWidth + columnGap) / pageWidth));
+    function onScroll() {
+      placeBox(hoverBox, hovered);
+      placeBox(selectedBox, selected);
+    }
 
-      const lastPageStart = (totalPages - 1) * pageWidth;
-      if (lastPageStart >= actualScrollWidth) {
-        totalPages = Math.max(1, totalPages - 1);
+    function onKeydown(e) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        cancel();
       }
+    }
 
-      // Option 4: Use calculated width instead of scrollWidth
-      let finalWidth;
-      if (dbg.useCalculatedWidth) {
-        finalWidth = (totalPages - 1) * pageWidth + viewportWidth;
-      } else {
-        finalWidth = actualScrollWidth;
-      }
-      content.style.width = finalWidth + 'px';
+    const pageListeners = [
+      ['mouseover', onMouseOver],
+      ['click', onClick],
+      ['scroll', onScroll],
+      ['keydown', onKeydown]
+    ];
 
-      currentPage = Math.min(currentPage, Math.max(0, totalPages - 1));
+    function teardown() {
+      pageListeners.forEach(([type, listener]) => window.removeEventListener(type, listener, true));
+      hiddenElements.forEach(([el, style]) => {
+        if (style === null) el.removeAttribute('style');
+        else el.setAttribute('style', style);
+      });
+      host.remove();
+      elementPicker = null;
+    }
 
-      // Store state
-      window.__einkReaderState.currentPage = currentPage;
-      window.__einkReaderState.totalPages = totalPages;
-      window.__einkReaderState.pageWidth = pageWidth;
+    function showReader() {
+      readerOverlay.style.display = 'block';
+      document.body.style.overflow = 'hidden';
+    }
 
-      updatePageDisplay();
+    function cancel() {
+      teardown();
+      if (isReaderActive) showReader();
     }
 
-    function updatePageDisplay() {
-      if (!elements.articleContent) return;
+    async function finish() {
+      if (!articleSelector && removeSelectors.length === 0) {
+        cancel();
+        return;
+      }
 
-      // Offset is always integer since currentPage and pageWidth are integers
-      const offset = currentPage * pageWidth;
-      elements.articleContent.style.transform = `translateX(-${offset}px)`;
-      elements.pageIndicator.textContent = `${currentPage + 1} / ${totalPages}`;
+      // The choices go on top of whatever rule the site already has
+      const current = getSiteRule() || InkPagesSiteRules.emptyRule();
+      const rule = {
+        ...current,
+        contentSelector: articleSelector || current.contentSelector,
+        removeSelectors: [...current.removeSelectors, ...removeSelectors]
+      };
 
-      const progress = totalPages > 1 ? ((currentPage + 1) / totalPages) * 100 : 100;
-      elements.progressFill.style.width = `${progress}%`;
+      // Extract from the page as it was, not with our hidden elements
+      teardown();
+      const article = extractArticle(rule);
+      if (!article) {
+        showReader();
+        showNotification('Nothing to read in the chosen area');
+        return;
+      }
 
-      // Hide full article header on pages 2+ (compact title in header bar is always visible)
-      // Note: No recalculation needed because header is positioned absolutely
-      // and a spacer in the content compensates for it on page 0
-      const isFirstPage = currentPage === 0;
-      if (elements.articleHeader) {
-        elements.articleHeader.classList.toggle('minimized', !isFirstPage);
+      if (saveCheckbox.checked) {
+        await saveSiteRule(siteName, articleSelector, removeSelectors);
       }
 
-      saveReadingPosition();
+      articleData = article;
+      isListingMode = false;
+      await createReaderOverlay();
     }
 
-    function nextPage() {
-      if (currentPage < totalPages - 1) {
-        currentPage++;
-        window.__einkReaderState.currentPage = currentPage;
-        updatePageDisplay();
-      }
-    }
+    root.querySelector('.picker-bar').addEventListener('click', e => {
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
 
-    function prevPage() {
-      if (currentPage > 0) {
-        currentPage--;
-        window.__einkReaderState.currentPage = currentPage;
-        updatePageDisplay();
+      switch (btn.dataset.action) {
+        case 'parent':
+          selected = selected.parentElement;
+          break;
+        case 'article':
+          articleSelector = buildSelector(selected);
+          selected = null;
+          break;
+        case 'remove':
+          removeSelectors.push(buildSelector(selected));
+          hiddenElements.push([selected, selected.getAttribute('style')]);
+          selected.style.setProperty('display', 'none', 'important');
+          selected = null;
+          break;
+        case 'done':
+          finish();
+          return;
+        case 'cancel':
+          cancel();
+          return;
       }
-    }
+      updateBar();
+    });
 
-    function goToPage(pageNum) {
-      if (pageNum >= 0 && pageNum < totalPages) {
-        currentPage = pageNum;
-        window.__einkReaderState.currentPage = currentPage;
-        updatePageDisplay();
+    // Show the page
+    readerOverlay.style.display = 'none';
+    document.body.style.overflow = '';
+    document.documentElement.appendChild(host);
+    pageListeners.forEach(([type, listener]) => window.addEventListener(type, listener, true));
+
+    elementPicker = { cancel };
+    updateBar();
+  }
+
+  /**
+   * Add picker choices to the stored rule for a host (or create one)
+   */
+  async function saveSiteRule(hostname, contentSelector, removeSelectors) {
+    try {
+      const rules = await InkPagesSiteRules.loadRules();
+      let rule = rules.find(r => r.pattern === hostname);
+      if (!rule) {
+        rule = InkPagesSiteRules.emptyRule(hostname);
+        rules.push(rule);
       }
-    }
+      if (contentSelector) rule.contentSelector = contentSelector;
+      rule.removeSelectors = [...new Set([...(rule.removeSelectors || []), ...removeSelectors])];
 
-    async function saveReadingPosition() {
-      if (!articleData || !articleData.sourceUrl) return;
-      const key = 'pos_' + articleData.sourceUrl.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 100);
+      await InkPagesSiteRules.saveRules(rules);
+      siteRules = rules;
+      showNotification(`Rule saved for ${hostname}`);
+    } catch (error) {
+      console.error('Failed to save site rule:', error);
+      showNotification('Could not save the site rule');
+    }
+  }
 
-      try {
-        const positions = (await browserAPI.storage.local.get('readingPositions')).readingPositions || {};
-        positions[key] = { page: currentPage, totalPages, timestamp: Date.now() };
+  /**
+   * Extract site name from meta tags or domain
+   */
+  function extractSiteName(doc = document, url = window.location.href) {
+    const ogSiteName = doc.querySelector('meta[property="og:site_name"]');
+    if (ogSiteName) return ogSiteName.getAttribute('content');
 
-        const keys = Object.keys(positions);
-        if (keys.length > 50) {
-          const sorted = keys.sort((a, b) => positions[a].timestamp - positions[b].timestamp);
-          sorted.slice(0, keys.length - 50).forEach(k => delete positions[k]);
-        }
+    const appName = doc.querySelector('meta[name="application-name"]');
+    if (appName) return appName.getAttribute('content');
 
-        await browserAPI.storage.local.set({ readingPositions: positions });
-      } catch (error) {
-        console.warn('Failed to save reading position:', error);
-      }
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return '';
     }
+  }
 
-    async function loadReadingPosition() {
-      if (!articleData || !articleData.sourceUrl) return 0;
-      const key = 'pos_' + articleData.sourceUrl.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 100);
+  // Language keys whose text can be set vertically (writing-mode: vertical-rl)
+  const VERTICAL_LANGUAGES = ['ja', 'zh-hant', 'zh-hans'];
 
-      try {
-        const positions = (await browserAPI.storage.local.get('readingPositions')).readingPositions || {};
-        if (positions[key]) {
-          return positions[key].page;
-        }
-      } catch (error) {
-        console.warn('Failed to load reading position:', error);
+  /**
+   * Reduce a lang attribute to the key used for per-language settings:
+   * 'ja-JP' -> 'ja', 'zh-TW' / 'zh-Hant' -> 'zh-hant', 'zh-CN' / 'zh' -> 'zh-hans'
+   */
+  function getLanguageKey(lang) {
+    if (!lang) return null;
+    const [base, ...subtags] = lang.toLowerCase().split(/[-_]/);
+    if (base !== 'zh') return base;
+    const traditional = subtags.some(tag => ['hant', 'tw', 'hk', 'mo'].includes(tag));
+    return traditional ? 'zh-hant' : 'zh-hans';
+  }
+
+  /**
+   * Create reader overlay with Shadow DOM
+   */
+  async function createReaderOverlay() {
+    // Create overlay if it doesn't exist
+    if (!readerOverlay) {
+      readerOverlay = document.createElement('div');
+      readerOverlay.id = 'inkpages-overlay';
+      readerOverlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        z-index: 2147483647;
+        background: white;
+      `;
+
+      // Create shadow root for style isolation
+      shadowRoot = readerOverlay.attachShadow({ mode: 'closed' });
+
+      // Load CSS
+      const cssUrl = browserAPI.runtime.getURL('src/reader/reader.css');
+      const cssResponse = await fetch(cssUrl);
+      const cssText = await cssResponse.text();
+
+      // Load HTML template
+      const htmlUrl = browserAPI.runtime.getURL('src/reader/reader.html');
+      const htmlResponse = await fetch(htmlUrl);
+      const htmlText = await htmlResponse.text();
+
+      // Parse HTML and extract body content
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(htmlText, 'text/html');
+      const bodyContent = doc.body.innerHTML;
+
+      // Inject into shadow DOM with a wrapper that acts as body
+      shadowRoot.innerHTML = `
+        <style>${cssText}</style>
+        <div id="reader-wrapper">${bodyContent}</div>
+      `;
+
+      document.body.appendChild(readerOverlay);
+
+      // Initialize reader functionality
+      initializeReader();
+    }
+
+    // Show overlay
+    readerOverlay.style.display = 'block';
+    document.body.style.overflow = 'hidden';
+
+    // Render content based on mode
+    if (isListingMode && listingData) {
+      document.title = listingData.pageTitle + ' - InkPages';
+      renderListing();
+    } else if (articleData) {
+      document.title = articleData.title + ' - InkPages';
+      renderArticle();
+    }
+  }
+
+  /**
+   * Initialize reader UI and functionality
+   */
+  function initializeReader() {
+    // Elements
+    const elements = {
+      loadingContainer: shadowRoot.getElementById('loading-container'),
+      loadingSlow: shadowRoot.getElementById('loading-slow'),
+      btnReadNow: shadowRoot.getElementById('btn-read-now'),
+      errorContainer: shadowRoot.getElementById('error-container'),
+      articleContainer: shadowRoot.getElementById('article-container'),
+      articleTitle: shadowRoot.getElementById('article-title'),
+      articleByline: shadowRoot.getElementById('article-byline'),
+      articleReadingTime: shadowRoot.getElementById('article-reading-time'),
+      articlePages: shadowRoot.getElementById('article-pages'),
+      contentViewport: shadowRoot.getElementById('content-viewport'),
+      articleContent: shadowRoot.getElementById('article-content'),
+      siteName: shadowRoot.getElementById('site-name'),
+      compactTitle: shadowRoot.getElementById('compact-title'),
+      currentSection: shadowRoot.getElementById('current-section'),
+      headerCenter: shadowRoot.querySelector('.header-center'),
+      articleHeader: shadowRoot.getElementById('article-header'),
+      pageIndicator: shadowRoot.getElementById('page-indicator'),
+      progressBar: shadowRoot.getElementById('progress-bar'),
+      progressFill: shadowRoot.getElementById('progress-fill'),
+      tapZones: shadowRoot.getElementById('tap-zones'),
+      footnotePopup: shadowRoot.getElementById('footnote-popup'),
+      footnoteBody: shadowRoot.getElementById('footnote-body'),
+      btnCloseFootnote: shadowRoot.getElementById('btn-close-footnote'),
+      dictionaryPopup: shadowRoot.getElementById('dictionary-popup'),
+      dictionaryBody: shadowRoot.getElementById('dictionary-body'),
+      btnCloseDictionary: shadowRoot.getElementById('btn-close-dictionary'),
+      toggleEndnotes: shadowRoot.getElementById('toggle-endnotes'),
+      tapZonePreview: shadowRoot.getElementById('tap-zone-preview'),
+      btnClose: shadowRoot.getElementById('btn-close'),
+      btnBack: shadowRoot.getElementById('btn-back'),
+      btnToc: shadowRoot.getElementById('btn-toc'),
+      btnAnnotations: shadowRoot.getElementById('btn-annotations'),
+      btnBookmark: shadowRoot.getElementById('btn-bookmark'),
+      btnBookmarks: shadowRoot.getElementById('btn-bookmarks'),
+      dogEar: shadowRoot.getElementById('dog-ear'),
+      bookmarksPanel: shadowRoot.getElementById('bookmarks-panel'),
+      bookmarksOverlay: shadowRoot.getElementById('bookmarks-overlay'),
+      bookmarksList: shadowRoot.getElementById('bookmarks-list'),
+      bookmarksEmpty: shadowRoot.getElementById('bookmarks-empty'),
+      btnCloseBookmarks: shadowRoot.getElementById('btn-close-bookmarks'),
+      annotationBar: shadowRoot.getElementById('annotation-bar'),
+      annotationColorBtns: shadowRoot.querySelectorAll('.annotation-color'),
+      btnAnnotationNote: shadowRoot.getElementById('btn-annotation-note'),
+      btnAnnotationDelete: shadowRoot.getElementById('btn-annotation-delete'),
+      btnCloseAnnotation: shadowRoot.getElementById('btn-close-annotation'),
+      annotationNoteEditor: shadowRoot.getElementById('annotation-note-editor'),
+      annotationNoteInput: shadowRoot.getElementById('annotation-note-input'),
+      btnAnnotationSave: shadowRoot.getElementById('btn-annotation-save'),
+      annotationsPanel: shadowRoot.getElementById('annotations-panel'),
+      annotationsOverlay: shadowRoot.getElementById('annotations-overlay'),
+      annotationsList: shadowRoot.getElementById('annotations-list'),
+      annotationsEmpty: shadowRoot.getElementById('annotations-empty'),
+      btnCloseAnnotations: shadowRoot.getElementById('btn-close-annotations'),
+      annotationsExportScope: shadowRoot.getElementById('annotations-export-scope'),
+      btnAnnotationsMarkdown: shadowRoot.getElementById('btn-annotations-markdown'),
+      btnAnnotationsJson: shadowRoot.getElementById('btn-annotations-json'),
+      btnAnnotationsImport: shadowRoot.getElementById('btn-annotations-import'),
+      annotationsImportFile: shadowRoot.getElementById('annotations-import-file'),
+      pageScrubber: shadowRoot.getElementById('page-scrubber'),
+      scrubberPreview: shadowRoot.getElementById('scrubber-preview'),
+      scrubberSlider: shadowRoot.getElementById('scrubber-slider'),
+      btnPageOverview: shadowRoot.getElementById('btn-page-overview'),
+      btnCloseScrubber: shadowRoot.getElementById('btn-close-scrubber'),
+      pageOverview: shadowRoot.getElementById('page-overview'),
+      overviewGrid: shadowRoot.getElementById('overview-grid'),
+      btnCloseOverview: shadowRoot.getElementById('btn-close-overview'),
+      btnFind: shadowRoot.getElementById('btn-find'),
+      btnReadAloud: shadowRoot.getElementById('btn-read-aloud'),
+      readAloudBar: shadowRoot.getElementById('read-aloud-bar'),
+      btnReadAloudPlay: shadowRoot.getElementById('btn-read-aloud-play'),
+      btnReadAloudSkip: shadowRoot.getElementById('btn-read-aloud-skip'),
+      readAloudRate: shadowRoot.getElementById('read-aloud-rate'),
+      readAloudVoice: shadowRoot.getElementById('read-aloud-voice'),
+      btnCloseReadAloud: shadowRoot.getElementById('btn-close-read-aloud'),
+      findBar: shadowRoot.getElementById('find-bar'),
+      findForm: shadowRoot.getElementById('find-form'),
+      findInput: shadowRoot.getElementById('find-input'),
+      findCount: shadowRoot.getElementById('find-count'),
+      findResults: shadowRoot.getElementById('find-results'),
+      btnFindPrev: shadowRoot.getElementById('btn-find-prev'),
+      btnFindNext: shadowRoot.getElementById('btn-find-next'),
+      btnFindList: shadowRoot.getElementById('btn-find-list'),
+      btnCloseFind: shadowRoot.getElementById('btn-close-find'),
+      tocPanel: shadowRoot.getElementById('toc-panel'),
+      tocOverlay: shadowRoot.getElementById('toc-overlay'),
+      tocList: shadowRoot.getElementById('toc-list'),
+      btnCloseToc: shadowRoot.getElementById('btn-close-toc'),
+      btnSettings: shadowRoot.getElementById('btn-settings'),
+      btnExport: shadowRoot.getElementById('btn-export'),
+      btnSave: shadowRoot.getElementById('btn-save'),
+      btnOpenTab: shadowRoot.getElementById('btn-open-tab'),
+      btnPick: shadowRoot.getElementById('btn-pick'),
+      btnOpenLibrary: shadowRoot.getElementById('btn-open-library'),
+      btnSiteRules: shadowRoot.getElementById('btn-site-rules'),
+      btnDictionaries: shadowRoot.getElementById('btn-dictionaries'),
+      btnReextract: shadowRoot.getElementById('btn-reextract'),
+      contentWaitSlider: shadowRoot.getElementById('content-wait-slider'),
+      contentWaitValue: shadowRoot.getElementById('content-wait-value'),
+      btnDigest: shadowRoot.getElementById('btn-digest'),
+      digestBar: shadowRoot.getElementById('digest-bar'),
+      digestStatus: shadowRoot.getElementById('digest-status'),
+      btnDigestBuild: shadowRoot.getElementById('btn-digest-build'),
+      btnDigestCancel: shadowRoot.getElementById('btn-digest-cancel'),
+      settingsPanel: shadowRoot.getElementById('settings-panel'),
+      settingsOverlay: shadowRoot.getElementById('settings-overlay'),
+      btnCloseSettings: shadowRoot.getElementById('btn-close-settings'),
+      btnCloseReader: shadowRoot.getElementById('btn-close-reader'),
+      fontBtns: shadowRoot.querySelectorAll('.font-btn'),
+      fontSizeSlider: shadowRoot.getElementById('font-size-slider'),
+      fontSizeValue: shadowRoot.getElementById('font-size-value'),
+      lineHeightSlider: shadowRoot.getElementById('line-height-slider'),
+      lineHeightValue: shadowRoot.getElementById('line-height-value'),
+      pageWidthSlider: shadowRoot.getElementById('page-width-slider'),
+      pageWidthValue: shadowRoot.getElementById('page-width-value'),
+      themeBtns: shadowRoot.querySelectorAll('.theme-btn'),
+      toggleBold: shadowRoot.getElementById('toggle-bold'),
+      toggleJustify: shadowRoot.getElementById('toggle-justify'),
+      toggleGrayscale: shadowRoot.getElementById('toggle-grayscale'),
+      toggleNoImages: shadowRoot.getElementById('toggle-no-images'),
+      toggleListingMode: shadowRoot.getElementById('toggle-listing-mode'),
+      toggleStitchPages: shadowRoot.getElementById('toggle-stitch-pages'),
+      formatBtns: shadowRoot.querySelectorAll('.format-btn'),
+      sizeBtns: shadowRoot.querySelectorAll('.size-btn'),
+      safeAreaSlider: shadowRoot.getElementById('safe-area-slider'),
+      safeAreaValue: shadowRoot.getElementById('safe-area-value'),
+      toggleSpread: shadowRoot.getElementById('toggle-spread'),
+      spreadAspectSlider: shadowRoot.getElementById('spread-aspect-slider'),
+      spreadAspectValue: shadowRoot.getElementById('spread-aspect-value'),
+      layoutGroup: shadowRoot.getElementById('layout-group'),
+      layoutBtns: shadowRoot.querySelectorAll('.layout-btn'),
+      keyBindingsEditor: shadowRoot.getElementById('key-bindings-editor'),
+      tapLayoutBtns: shadowRoot.querySelectorAll('.tap-layout-btn'),
+      lookupBtns: shadowRoot.querySelectorAll('.lookup-btn'),
+      toggleTapSwap: shadowRoot.getElementById('toggle-tap-swap')
+    };
+
+    // Store elements for later use
+    window.__einkReaderElements = elements;
+
+    // State
+    let currentPage = 0;
+    let totalPages = 1;
+    let pageWidth = 0;
+    let pagesPerView = 1; // 2 in two-page spread mode
+    let pageDirection = 'ltr'; // 'rtl' for Arabic, Hebrew, Persian, ... - pages progress leftwards
+    let textDirection = 'ltr'; // Article's own dir (pageDirection also follows vertical layout)
+    let textLanguage = null; // Article's lang, picks the per-language layout
+    let writingMode = 'horizontal'; // 'vertical' for vertical-rl Japanese / Chinese
+    let currentAnchor = null; // Text anchor of the current page - survives re-layout
+    let settings = {
+      fontFamily: 'serif',
+      fontSize: 18,
+      lineHeight: 1.8,
+      pageWidth: 680,
+      theme: 'light',
+      boldText: false,
+      justifyText: false,
+      grayscale: false,
+      noImages: false,
+      safeAreaManual: 0,
+      listingModeEnabled: true,
+      stitchPages: true, // Follow "next page" links of multi-page articles
+      contentWaitSeconds: DEFAULT_CONTENT_WAIT_SECONDS, // Longest wait for script-rendered pages
+      exportFormat: 'html',
+      endnotesInExport: false, // Move footnotes to a notes list at the end of exports
+      spreadEnabled: true,
+      spreadMinAspect: 1.3,
+      // Text layout per language key (see getLanguageKey); missing keys are horizontal
+      layoutByLanguage: { ja: 'vertical', 'zh-hant': 'vertical' },
+      keyBindings: InkPagesKeyBindings.normalizeBindings(null),
+      tapZoneLayout: InkPagesTapZones.DEFAULT_LAYOUT,
+      tapZonesSwapped: false, // Left-handed: back and forward exchanged
+      lookupGesture: 'doubleTap', // Dictionary lookup: 'doubleTap', 'longPress' or 'off'
+      readAloudRate: 1,
+      readAloudVoiceByLanguage: {} // voiceURI per primary language ('' for articles without one)
+    };
+    let bindingsEditor = null; // Settings panel "press a key" editor
+    let tapPreviewTimer = null;
+
+    // Store state for later use
+    window.__einkReaderState = { currentPage, totalPages, pageWidth, pagesPerView, settings };
+
+    // Load settings
+    loadSettings();
+
+    // Set up event listeners
+    setupEventListeners();
+
+    async function loadSettings() {
+      try {
+        const result = await browserAPI.storage.sync.get('readerSettings');
+        if (result.readerSettings) {
+          settings = { ...settings, ...result.readerSettings };
+          window.__einkReaderState.settings = settings;
+        }
+        applySettings();
+      } catch (error) {
+        console.warn('Failed to load settings:', error);
+      }
+    }
+
+    async function saveSettings() {
+      try {
+        await browserAPI.storage.sync.set({ readerSettings: settings });
+      } catch (error) {
+        console.warn('Failed to save settings:', error);
+      }
+    }
+
+    function applySettings() {
+      const root = shadowRoot.host;
+      root.setAttribute('data-theme', settings.theme);
+      root.classList.remove('font-serif', 'font-sans-serif', 'font-monospace');
+      root.classList.add(`font-${settings.fontFamily}`);
+      root.style.setProperty('--font-size', `${settings.fontSize}px`);
+      root.style.setProperty('--line-height', settings.lineHeight);
+      root.style.setProperty('--page-width', `${settings.pageWidth}px`);
+      root.style.setProperty('--safe-area-manual', `${settings.safeAreaManual}px`);
+
+      root.classList.toggle('bold-text', settings.boldText);
+      root.classList.toggle('justify-text', settings.justifyText);
+      root.classList.toggle('grayscale', settings.grayscale);
+      root.classList.toggle('no-images', settings.noImages);
+
+      updateWritingMode();
+      updateSettingsUI();
+
+      // Re-layout; setupPagination() returns to the page holding currentAnchor
+      if (articleData && elements.articleContent) {
+        setTimeout(() => {
+          updateHeaderSpacer();
+          setupPagination();
+        }, 50);
+      }
+    }
+
+    function updateSettingsUI() {
+      elements.fontBtns.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.font === settings.fontFamily);
+      });
+
+      elements.themeBtns.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.theme === settings.theme);
+      });
+
+      elements.formatBtns.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.format === settings.exportFormat);
+      });
+      if (elements.toggleEndnotes) elements.toggleEndnotes.checked = settings.endnotesInExport;
+
+      if (elements.fontSizeSlider) {
+        elements.fontSizeSlider.value = settings.fontSize;
+        elements.fontSizeValue.textContent = `${settings.fontSize}px`;
+      }
+
+      if (elements.lineHeightSlider) {
+        elements.lineHeightSlider.value = settings.lineHeight;
+        elements.lineHeightValue.textContent = settings.lineHeight.toFixed(1);
+      }
+
+      if (elements.pageWidthSlider) {
+        elements.pageWidthSlider.value = settings.pageWidth;
+        elements.pageWidthValue.textContent = `${settings.pageWidth}px`;
+      }
+
+      if (elements.toggleBold) elements.toggleBold.checked = settings.boldText;
+      if (elements.toggleJustify) elements.toggleJustify.checked = settings.justifyText;
+      if (elements.toggleGrayscale) elements.toggleGrayscale.checked = settings.grayscale;
+      if (elements.toggleNoImages) elements.toggleNoImages.checked = settings.noImages;
+
+      if (elements.safeAreaSlider) {
+        elements.safeAreaSlider.value = settings.safeAreaManual;
+        elements.safeAreaValue.textContent = `${settings.safeAreaManual}px`;
+      }
+
+      if (elements.toggleListingMode) {
+        elements.toggleListingMode.checked = settings.listingModeEnabled;
+      }
+      if (elements.toggleStitchPages) elements.toggleStitchPages.checked = settings.stitchPages;
+      if (elements.contentWaitSlider) {
+        elements.contentWaitSlider.value = settings.contentWaitSeconds;
+        elements.contentWaitValue.textContent = `${settings.contentWaitSeconds}s`;
+      }
+
+      if (elements.toggleSpread) elements.toggleSpread.checked = settings.spreadEnabled;
+      if (elements.spreadAspectSlider) {
+        elements.spreadAspectSlider.value = settings.spreadMinAspect;
+        elements.spreadAspectSlider.disabled = !settings.spreadEnabled;
+        elements.spreadAspectValue.textContent = settings.spreadMinAspect.toFixed(1);
+      }
+
+      // Layout choice only applies to languages that can be set vertically
+      const languageKey = getLanguageKey(textLanguage);
+      const canBeVertical = VERTICAL_LANGUAGES.includes(languageKey);
+      if (elements.layoutGroup) elements.layoutGroup.classList.toggle('hidden', !canBeVertical);
+      elements.layoutBtns.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.layout === writingMode);
+      });
+
+      elements.tapLayoutBtns.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tapLayout === settings.tapZoneLayout);
+      });
+      if (elements.toggleTapSwap) elements.toggleTapSwap.checked = settings.tapZonesSwapped;
+
+      elements.lookupBtns.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.lookup === settings.lookupGesture);
+      });
+
+      if (bindingsEditor) bindingsEditor.render();
+    }
+
+    /**
+     * Two-page spread: on when enabled and the window is at least
+     * spreadMinAspect times wider than it is tall (landscape tablets, desktop).
+     * Toggles the host class so the page container and header resize
+     * before anything is measured.
+     */
+    function updateSpreadMode() {
+      const aspect = window.innerWidth / Math.max(1, window.innerHeight);
+      // Vertical pages stack on the block axis, so a spread doesn't apply
+      const spread = settings.spreadEnabled && writingMode === 'horizontal' &&
+        aspect >= settings.spreadMinAspect;
+      shadowRoot.host.classList.toggle('spread', spread);
+      pagesPerView = spread ? 2 : 1;
+      window.__einkReaderState.pagesPerView = pagesPerView;
+    }
+
+    /**
+     * Update the header spacer to match the current header height.
+     * The spacer compensates for the absolutely-positioned header on page 0,
+     * ensuring content continuity when navigating between pages.
+     */
+    function updateHeaderSpacer() {
+      if (!elements.articleHeader || !elements.articleContent) return;
+
+      // Header width depends on spread mode (left page only)
+      updateSpreadMode();
+
+      // Temporarily show header to measure its height (if it's hidden)
+      const wasMinimized = elements.articleHeader.classList.contains('minimized');
+      if (wasMinimized) {
+        elements.articleHeader.classList.remove('minimized');
+      }
+
+      // Measure actual header height (varies with title length, font size, viewport width)
+      // In vertical layout the header is a column on the right, so its width counts
+      const headerRect = elements.articleHeader.getBoundingClientRect();
+      const headerSize = writingMode === 'vertical' ? headerRect.width : headerRect.height;
+
+      // Restore header state
+      if (wasMinimized) {
+        elements.articleHeader.classList.add('minimized');
+      }
+
+      // Find or create spacer
+      let spacer = elements.articleContent.querySelector('#header-spacer');
+      if (!spacer) {
+        spacer = document.createElement('div');
+        spacer.id = 'header-spacer';
+        elements.articleContent.insertBefore(spacer, elements.articleContent.firstChild);
+      }
+
+      // Set spacer block size (height, or width when vertical) to match header
+      spacer.style.height = writingMode === 'vertical' ? '' : headerSize + 'px';
+      spacer.style.width = writingMode === 'vertical' ? headerSize + 'px' : '';
+    }
+
+    function setupPagination() {
+      const viewport = elements.contentViewport;
+      const content = elements.articleContent;
+
+      if (!viewport || !content) return;
+
+      updateSpreadMode();
+
+      const viewportRect = viewport.getBoundingClientRect();
+      const dbg = window.__debugOptions || {};
+
+      // Always round pixel values to prevent sub-pixel drift on narrow screens (v1.0.8 fix)
+      const viewportWidth = Math.floor(viewportRect.width);
+      const viewportHeight = Math.floor(viewportRect.height);
+      const columnGap = 50;
+
+      // Reset styles
+      content.style.width = '';
+      content.style.height = '';
+      content.style.columnWidth = '';
+      content.style.columnGap = '';
+      content.style.transform = '';
+      content.style.position = '';
+
+      // Vertical writing mode pages along the other axis
+      if (writingMode === 'vertical') {
+        setupVerticalColumns(content, viewportWidth, viewportHeight, columnGap);
+        finishPagination();
+        return;
+      }
+
+      // Measure natural height
+      content.style.position = 'absolute';
+      content.style.width = viewportWidth + 'px';
+      content.style.visibility = 'hidden';
+      void content.offsetHeight;
+      const naturalHeight = content.scrollHeight;
+
+      content.style.position = '';
+      content.style.visibility = '';
+
+      // Set up columns
+      // Subtract a small buffer for text descenders (p, g, y, j, q extend below baseline)
+      // This prevents the very last line from touching the progress bar
+      const computedStyle = getComputedStyle(content);
+      const fontSize = parseFloat(computedStyle.fontSize) || 18;
+      const descenderBuffer = Math.ceil(fontSize * 0.25);
+      content.style.height = (viewportHeight - descenderBuffer) + 'px';
+      content.style.width = 'max-content';
+
+      // Option 6: Force integer columnWidth
+      // In spread mode two columns share the viewport, separated by one gap
+      const colWidth = pagesPerView === 2
+        ? Math.floor((viewportWidth - columnGap) / 2)
+        : (dbg.integerColumnWidth ? Math.floor(viewportWidth) : viewportWidth);
+      content.style.columnWidth = colWidth + 'px';
+      content.style.columnGap = columnGap + 'px';
+      content.style.columnFill = 'auto';
+
+      void content.offsetHeight;
+      const actualScrollWidth = content.scrollWidth;
+
+      // pageWidth (one column + gap) is integer since widths are floored and columnGap is integer
+      pageWidth = colWidth + columnGap;
+
+      totalPages = Math.max(1, Math.ceil((actualScrollWidth + columnGap) / pageWidth));
+
+      const lastPageStart = (totalPages - 1) * pageWidth;
+      if (lastPageStart >= actualScrollWidth) {
+        totalPages = Math.max(1, totalPages - 1);
+      }
+
+      // Option 4: Use calculated width instead of scrollWidth
+      let finalWidth;
+      if (dbg.useCalculatedWidth) {
+        finalWidth = (totalPages - 1) * pageWidth + colWidth;
+      } else {
+        finalWidth = actualScrollWidth;
+      }
+      content.style.width = finalWidth + 'px';
+
+      finishPagination();
+    }
+
+    /**
+     * Vertical (vertical-rl) layout for Japanese and Chinese.
+     * Lines run top to bottom and progress right to left, so the multi-column
+     * container is constrained in width (its block size) and its columns stack
+     * downwards: each column is one viewport-high page, counted via scrollHeight
+     * and shown with translateY. Page progression is right-to-left.
+     */
+    function setupVerticalColumns(content, viewportWidth, viewportHeight, columnGap) {
+      // Same buffer as the horizontal descender buffer, on the block axis
+      const fontSize = parseFloat(getComputedStyle(content).fontSize) || 18;
+      const edgeBuffer = Math.ceil(fontSize * 0.25);
+
+      content.style.width = (viewportWidth - edgeBuffer) + 'px';
+      content.style.height = 'max-content';
+      content.style.columnWidth = viewportHeight + 'px';
+      content.style.columnGap = columnGap + 'px';
+      content.style.columnFill = 'auto';
+      // Lets images and figures size themselves to one page
+      content.style.setProperty('--vertical-page-height', viewportHeight + 'px');
+
+      void content.offsetHeight;
+      const actualScrollHeight = content.scrollHeight;
+
+      // pageWidth is the page step along the paging axis (here: page height + gap)
+      pageWidth = viewportHeight + columnGap;
+      totalPages = Math.max(1, Math.ceil((actualScrollHeight + columnGap) / pageWidth));
+      if ((totalPages - 1) * pageWidth >= actualScrollHeight) {
+        totalPages = Math.max(1, totalPages - 1);
+      }
+
+      content.style.height = actualScrollHeight + 'px';
+    }
+
+    // Shared tail of setupPagination(): restore position, clamp and display
+    function finishPagination() {
+      // Return to the page that now holds the anchored text
+      if (currentAnchor) {
+        const anchoredPage = getPageForAnchor(currentAnchor);
+        if (anchoredPage !== null) currentPage = anchoredPage;
+      }
+
+      currentPage = Math.min(currentPage, Math.max(0, totalPages - 1));
+      currentPage = alignToSpread(currentPage);
+
+      // Store state
+      window.__einkReaderState.currentPage = currentPage;
+      window.__einkReaderState.totalPages = totalPages;
+      window.__einkReaderState.pageWidth = pageWidth;
+
+      buildToc();
+      updateFindPages();
+      updateBookmarkPages();
+      updatePageDisplay(true);
+      if (isOverviewOpen()) renderOverview();
+      if (isBookmarksOpen()) renderBookmarks();
+    }
+
+    /**
+     * Update transform, indicator and progress for currentPage.
+     * After navigation the text anchor moves to the new page; after a
+     * re-layout (fromLayout) it is kept so repeated re-layouts don't drift.
+     */
+    function updatePageDisplay(fromLayout = false) {
+      if (!elements.articleContent) return;
+
+      elements.articleContent.style.transform = pageTransform(currentPage);
+
+      if (!fromLayout) {
+        hideFootnote();
+        hideAnnotationBar();
+        hideDefinition();
+      }
+      updateCurrentSection();
+      updateBookmarkState();
+      if (isScrubberOpen()) syncScrubber();
+
+      const lastVisible = Math.min(currentPage + pagesPerView, totalPages);
+      elements.pageIndicator.textContent = `${viewLabel(currentPage)} / ${totalPages}`;
+
+      const progress = totalPages > 1 ? (lastVisible / totalPages) * 100 : 100;
+      elements.progressFill.style.width = `${progress}%`;
+
+      // Hide full article header on pages 2+ (compact title in header bar is always visible)
+      // Note: No recalculation needed because header is positioned absolutely
+      // and a spacer in the content compensates for it on page 0
+      const isFirstPage = currentPage === 0;
+      if (elements.articleHeader) {
+        elements.articleHeader.classList.toggle('minimized', !isFirstPage);
+      }
+
+      if (!fromLayout || !currentAnchor) {
+        currentAnchor = getPageAnchor(currentPage);
+      }
+
+      saveReadingPosition();
+    }
+
+    /**
+     * Transform of #article-content that shows a page.
+     * Offset is always integer since page and pageWidth are integers
+     * (in spread mode page is the first page, so this moves whole spreads).
+     * RTL columns flow leftwards from the right edge, so content moves right instead.
+     * Vertical pages are stacked top to bottom, one page height apart.
+     */
+    function pageTransform(page) {
+      const offset = page * pageWidth;
+      if (writingMode === 'vertical') return `translateY(-${offset}px)`;
+      return pageDirection === 'rtl' ? `translateX(${offset}px)` : `translateX(-${offset}px)`;
+    }
+
+    // "3" for a page, "3–4" for a spread starting on it
+    function viewLabel(page) {
+      const lastVisible = Math.min(page + pagesPerView, totalPages);
+      return lastVisible > page + 1 ? `${page + 1}–${lastVisible}` : `${page + 1}`;
+    }
+
+    /**
+     * Page index for a client rect inside #article-content.
+     * Both rects include the current transform, so their difference is
+     * the untransformed offset into the column strip.
+     */
+    function getPageForRect(rect) {
+      if (!pageWidth) return 0;
+      const contentRect = elements.articleContent.getBoundingClientRect();
+      let offset;
+      if (writingMode === 'vertical') offset = rect.top - contentRect.top;
+      else if (pageDirection === 'rtl') offset = contentRect.right - rect.right;
+      else offset = rect.left - contentRect.left;
+      const page = Math.floor(offset / pageWidth);
+      return Math.min(Math.max(page, 0), totalPages - 1);
+    }
+
+    function getPageForElement(el) {
+      return getPageForRect(el.getClientRects()[0] || el.getBoundingClientRect());
+    }
+
+    function getPageAnchor(page) {
+      return InkPagesTextAnchor.anchorForPage(elements.articleContent, page, getPageForRect);
+    }
+
+    function getPageForAnchor(anchor) {
+      return InkPagesTextAnchor.pageForAnchor(elements.articleContent, anchor, getPageForRect);
+    }
+
+    /**
+     * Set the position to restore on the next setupPagination() run.
+     * Positions saved before text anchors existed only carry a page index.
+     */
+    function restorePosition(position) {
+      currentAnchor = position && position.anchor ? position.anchor : null;
+      currentPage = position && !position.anchor && position.page ? position.page : 0;
+      window.__einkReaderState.currentPage = currentPage;
+    }
+
+    function nextPage() {
+      if (currentPage + pagesPerView < totalPages) {
+        currentPage += pagesPerView;
+        window.__einkReaderState.currentPage = currentPage;
+        updatePageDisplay();
+      }
+    }
+
+    function prevPage() {
+      if (currentPage > 0) {
+        currentPage = Math.max(0, currentPage - pagesPerView);
+        window.__einkReaderState.currentPage = currentPage;
+        updatePageDisplay();
+      }
+    }
+
+    function goToPage(pageNum) {
+      if (pageNum >= 0 && pageNum < totalPages) {
+        currentPage = alignToSpread(pageNum);
+        window.__einkReaderState.currentPage = currentPage;
+        updatePageDisplay();
+      }
+    }
+
+    // In spread mode a page is shown as part of the spread that starts on its first page
+    function alignToSpread(page) {
+      return page - (page % pagesPerView);
+    }
+
+    // Physical page turns for tap zones, swipes and arrow keys:
+    // in RTL the next page is to the left
+    function turnPageLeft() {
+      if (pageDirection === 'rtl') nextPage();
+      else prevPage();
+    }
+
+    function turnPageRight() {
+      if (pageDirection === 'rtl') prevPage();
+      else nextPage();
+    }
+
+    /**
+     * Set the text and page progression direction of the content.
+     * Columns, the header and the progress bar follow the dir attribute;
+     * the reader chrome (header bar, settings) stays LTR.
+     */
+    function setPageDirection(dir, lang) {
+      textDirection = dir === 'rtl' ? 'rtl' : 'ltr';
+      textLanguage = lang || null;
+
+      if (elements.articleContainer) {
+        elements.articleContainer.dir = textDirection;
+        if (lang) elements.articleContainer.lang = lang;
+        else elements.articleContainer.removeAttribute('lang');
+      }
+
+      updateWritingMode();
+      updateSettingsUI();
+    }
+
+    /**
+     * Pick horizontal or vertical layout from the article language and the
+     * per-language setting. Vertical-rl text reads right to left, so its pages
+     * progress leftwards like RTL ones.
+     */
+    function updateWritingMode() {
+      const languageKey = getLanguageKey(textLanguage);
+      const canBeVertical = VERTICAL_LANGUAGES.includes(languageKey);
+      writingMode = canBeVertical && settings.layoutByLanguage[languageKey] === 'vertical'
+        ? 'vertical'
+        : 'horizontal';
+      shadowRoot.host.classList.toggle('vertical', writingMode === 'vertical');
+
+      pageDirection = writingMode === 'vertical' ? 'rtl' : textDirection;
+      shadowRoot.host.classList.toggle('rtl', pageDirection === 'rtl');
+      if (elements.progressBar) elements.progressBar.dir = pageDirection;
+
+      // Tap zones mirror so "back" stays on the side of the previous page
+      renderTapZones();
+    }
+
+    function getTapZones() {
+      return InkPagesTapZones.resolveZones(settings.tapZoneLayout, {
+        swapped: settings.tapZonesSwapped,
+        rtl: pageDirection === 'rtl'
+      });
+    }
+
+    // Build the tap zones from the layout in settings
+    function renderTapZones() {
+      if (!elements.tapZones) return;
+      const zones = getTapZones();
+
+      elements.tapZones.dataset.layout = InkPagesTapZones.validLayout(settings.tapZoneLayout);
+      InkPagesTapZones.renderZones(elements.tapZones, zones, (zone, action) => {
+        addTapHandler(zone, () => handleTapAction(action));
+      });
+
+      // Without a menu zone there would be no way to bring the toolbar back
+      if (!zones.some(zone => zone.action === 'menu') && shadowRoot.host.classList.contains('header-hidden')) {
+        toggleHeader();
+      }
+    }
+
+    function addTapHandler(element, handler) {
+      if (!element) return;
+      element.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        handler();
+      });
+      element.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        handler();
+      }, { passive: false });
+    }
+
+    function handleTapAction(action) {
+      if (action === 'back') prevPage();
+      else if (action === 'forward') nextPage();
+      else if (action === 'menu') toggleHeader();
+    }
+
+    // Show or hide the toolbar; the reading area takes its space, so re-layout
+    function toggleHeader() {
+      shadowRoot.host.classList.toggle('header-hidden');
+      updateHeaderSpacer();
+      setupPagination();
+    }
+
+    // Briefly draw the zones over everything (including the settings panel)
+    function previewTapZones() {
+      const preview = elements.tapZonePreview;
+      if (!preview) return;
+      preview.dataset.layout = InkPagesTapZones.validLayout(settings.tapZoneLayout);
+      InkPagesTapZones.renderZones(preview, getTapZones(), null, true);
+      preview.classList.remove('hidden');
+      clearTimeout(tapPreviewTimer);
+      tapPreviewTimer = setTimeout(() => preview.classList.add('hidden'), 2000);
+    }
+
+    async function saveReadingPosition() {
+      if (!articleData || !articleData.sourceUrl) return;
+      const key = 'pos_' + articleData.sourceUrl.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 100);
+
+      try {
+        const positions = (await browserAPI.storage.local.get('readingPositions')).readingPositions || {};
+        positions[key] = { page: currentPage, totalPages, anchor: currentAnchor, timestamp: Date.now() };
+
+        const keys = Object.keys(positions);
+        if (keys.length > 50) {
+          const sorted = keys.sort((a, b) => positions[a].timestamp - positions[b].timestamp);
+          sorted.slice(0, keys.length - 50).forEach(k => delete positions[k]);
+        }
+
+        await browserAPI.storage.local.set({ readingPositions: positions });
+      } catch (error) {
+        console.warn('Failed to save reading position:', error);
+      }
+    }
+
+    async function loadReadingPosition() {
+      if (!articleData || !articleData.sourceUrl) return null;
+      const key = 'pos_' + articleData.sourceUrl.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 100);
+
+      try {
+        const positions = (await browserAPI.storage.local.get('readingPositions')).readingPositions || {};
+        if (positions[key]) {
+          return positions[key];
+        }
+      } catch (error) {
+        console.warn('Failed to load reading position:', error);
+      }
+      return null;
+    }
+
+    function setupEventListeners() {
+      // Tap zones (rebuilt whenever the layout or page direction changes)
+      renderTapZones();
+
+      // Swipe gestures
+      let touchStartX = 0;
+      let touchStartY = 0;
+      const minSwipeDistance = 50;
+
+      shadowRoot.addEventListener('touchstart', (e) => {
+        touchStartX = e.touches[0].clientX;
+        touchStartY = e.touches[0].clientY;
+      }, { passive: true });
+
+      shadowRoot.addEventListener('touchend', (e) => {
+        if (!e.changedTouches.length) return;
+        const deltaX = e.changedTouches[0].clientX - touchStartX;
+        const deltaY = e.changedTouches[0].clientY - touchStartY;
+
+        if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > minSwipeDistance) {
+          // Swiping left reveals the page on the right
+          if (deltaX < 0) turnPageRight();
+          else turnPageLeft();
+        }
+      }, { passive: true });
+
+      // Keyboard - capture phase on window, so the page's own shortcuts don't see our keys
+      window.addEventListener('keydown', handleKeydown, true);
+
+      // Close buttons
+      if (elements.btnClose) {
+        elements.btnClose.addEventListener('click', () => deactivateReaderMode());
+      }
+      if (elements.btnCloseReader) {
+        elements.btnCloseReader.addEventListener('click', () => deactivateReaderMode());
+      }
+
+      // Settings
+      if (elements.btnSettings) {
+        elements.btnSettings.addEventListener('click', openSettings);
+      }
+      if (elements.btnCloseSettings) {
+        elements.btnCloseSettings.addEventListener('click', closeSettings);
+      }
+      if (elements.settingsOverlay) {
+        elements.settingsOverlay.addEventListener('click', closeSettings);
+      }
+
+      // Keyboard shortcuts editor
+      if (elements.keyBindingsEditor) {
+        bindingsEditor = InkPagesKeyBindings.createEditor(
+          elements.keyBindingsEditor,
+          () => settings.keyBindings,
+          (bindings) => {
+            settings.keyBindings = bindings;
+            saveSettings();
+          }
+        );
+      }
+
+      // Export button
+      if (elements.btnExport) {
+        elements.btnExport.addEventListener('click', () => exportArticle());
+      }
+
+      // Offline library
+      if (elements.btnSave) {
+        elements.btnSave.addEventListener('click', () => saveToLibrary());
+      }
+      if (elements.btnOpenTab) {
+        elements.btnOpenTab.addEventListener('click', () => {
+          if (!articleData) return;
+          browserAPI.runtime.sendMessage({ type: 'OPEN_READER_TAB', article: articleData });
+        });
+      }
+      if (elements.btnPick) {
+        elements.btnPick.addEventListener('click', () => startElementPicker());
+      }
+      if (elements.btnOpenLibrary) {
+        elements.btnOpenLibrary.addEventListener('click', () => {
+          browserAPI.runtime.sendMessage({ type: 'OPEN_LIBRARY' });
+        });
+      }
+      if (elements.btnSiteRules) {
+        elements.btnSiteRules.addEventListener('click', () => {
+          browserAPI.runtime.sendMessage({ type: 'OPEN_SITE_RULES', site: window.location.hostname });
+        });
+      }
+
+      // Digest (listing mode)
+      if (elements.btnDigest) {
+        elements.btnDigest.addEventListener('click', () => {
+          if (isSelectingDigest()) resetDigestSelection();
+          else startDigestSelection();
+        });
+      }
+      if (elements.btnDigestCancel) {
+        elements.btnDigestCancel.addEventListener('click', () => resetDigestSelection());
+      }
+      if (elements.btnDigestBuild) {
+        elements.btnDigestBuild.addEventListener('click', () => buildDigest());
+      }
+      elements.articleContent.addEventListener('click', handleDigestClick);
+
+      // Font buttons
+      elements.fontBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+          settings.fontFamily = btn.dataset.font;
+          applySettings();
+          saveSettings();
+        });
+      });
+
+      // Font size slider
+      if (elements.fontSizeSlider) {
+        elements.fontSizeSlider.addEventListener('input', (e) => {
+          settings.fontSize = parseInt(e.target.value, 10);
+          elements.fontSizeValue.textContent = `${settings.fontSize}px`;
+          applySettings();
+        });
+        elements.fontSizeSlider.addEventListener('change', saveSettings);
+      }
+
+      // Size buttons
+      elements.sizeBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+          const action = btn.dataset.action;
+          if (action === 'increase' && settings.fontSize < 32) {
+            settings.fontSize += 2;
+          } else if (action === 'decrease' && settings.fontSize > 14) {
+            settings.fontSize -= 2;
+          }
+          applySettings();
+          saveSettings();
+        });
+      });
+
+      // Line height slider
+      if (elements.lineHeightSlider) {
+        elements.lineHeightSlider.addEventListener('input', (e) => {
+          settings.lineHeight = parseFloat(e.target.value);
+          elements.lineHeightValue.textContent = settings.lineHeight.toFixed(1);
+          applySettings();
+        });
+        elements.lineHeightSlider.addEventListener('change', saveSettings);
+      }
+
+      // Page width slider
+      if (elements.pageWidthSlider) {
+        elements.pageWidthSlider.addEventListener('input', (e) => {
+          settings.pageWidth = parseInt(e.target.value, 10);
+          elements.pageWidthValue.textContent = `${settings.pageWidth}px`;
+          applySettings();
+        });
+        elements.pageWidthSlider.addEventListener('change', saveSettings);
+      }
+
+      // Theme buttons
+      elements.themeBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+          settings.theme = btn.dataset.theme;
+          applySettings();
+          saveSettings();
+        });
+      });
+
+      // Toggles
+      if (elements.toggleBold) {
+        elements.toggleBold.addEventListener('change', (e) => {
+          settings.boldText = e.target.checked;
+          applySettings();
+          saveSettings();
+        });
+      }
+      if (elements.toggleJustify) {
+        elements.toggleJustify.addEventListener('change', (e) => {
+          settings.justifyText = e.target.checked;
+          applySettings();
+          saveSettings();
+        });
+      }
+      if (elements.toggleGrayscale) {
+        elements.toggleGrayscale.addEventListener('change', (e) => {
+          settings.grayscale = e.target.checked;
+          applySettings();
+          saveSettings();
+        });
+      }
+      if (elements.toggleNoImages) {
+        elements.toggleNoImages.addEventListener('change', (e) => {
+          settings.noImages = e.target.checked;
+          applySettings();
+          saveSettings();
+        });
+      }
+
+      // Safe area slider
+      if (elements.safeAreaSlider) {
+        elements.safeAreaSlider.addEventListener('input', (e) => {
+          settings.safeAreaManual = parseInt(e.target.value, 10);
+          elements.safeAreaValue.textContent = `${settings.safeAreaManual}px`;
+          applySettings();
+        });
+        elements.safeAreaSlider.addEventListener('change', saveSettings);
+      }
+
+      // Export format buttons
+      elements.formatBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+          settings.exportFormat = btn.dataset.format;
+          updateSettingsUI();
+          saveSettings();
+        });
+      });
+
+      // Text layout - remembered per language
+      elements.layoutBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+          const languageKey = getLanguageKey(textLanguage);
+          if (!languageKey) return;
+          settings.layoutByLanguage = { ...settings.layoutByLanguage, [languageKey]: btn.dataset.layout };
+          applySettings();
+          saveSettings();
+        });
+      });
+
+      // Tap zone layout
+      elements.tapLayoutBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+          settings.tapZoneLayout = btn.dataset.tapLayout;
+          applySettings();
+          saveSettings();
+          previewTapZones();
+        });
+      });
+      if (elements.toggleTapSwap) {
+        elements.toggleTapSwap.addEventListener('change', (e) => {
+          settings.tapZonesSwapped = e.target.checked;
+          applySettings();
+          saveSettings();
+          previewTapZones();
+        });
+      }
+
+      // Two-page spread
+      if (elements.toggleSpread) {
+        elements.toggleSpread.addEventListener('change', (e) => {
+          settings.spreadEnabled = e.target.checked;
+          applySettings();
+          saveSettings();
+        });
+      }
+      if (elements.spreadAspectSlider) {
+        elements.spreadAspectSlider.addEventListener('input', (e) => {
+          settings.spreadMinAspect = parseFloat(e.target.value);
+          elements.spreadAspectValue.textContent = settings.spreadMinAspect.toFixed(1);
+          applySettings();
+        });
+        elements.spreadAspectSlider.addEventListener('change', saveSettings);
+      }
+
+      // Listing mode toggle
+      if (elements.toggleListingMode) {
+        elements.toggleListingMode.addEventListener('change', (e) => {
+          settings.listingModeEnabled = e.target.checked;
+          saveSettings();
+        });
+      }
+
+      // Multi-page articles (takes effect the next time an article is opened)
+      if (elements.toggleStitchPages) {
+        elements.toggleStitchPages.addEventListener('change', (e) => {
+          settings.stitchPages = e.target.checked;
+          saveSettings();
+        });
+      }
+
+      if (elements.toggleEndnotes) {
+        elements.toggleEndnotes.addEventListener('change', (e) => {
+          settings.endnotesInExport = e.target.checked;
+          saveSettings();
+        });
+      }
+
+      if (elements.btnBack) {
+        elements.btnBack.addEventListener('click', goBack);
+      }
+
+      // Contents drawer
+      if (elements.btnToc) {
+        elements.btnToc.addEventListener('click', openToc);
+      }
+      if (elements.btnCloseToc) {
+        elements.btnCloseToc.addEventListener('click', closeToc);
+      }
+      if (elements.tocOverlay) {
+        elements.tocOverlay.addEventListener('click', closeToc);
+      }
+
+      // Highlights and notes - the bar appears for text selected in the article
+      if (elements.annotationBar) {
+        let selectionTimeout;
+        document.addEventListener('selectionchange', () => {
+          clearTimeout(selectionTimeout);
+          selectionTimeout = setTimeout(handleSelectionChange, 300);
+        });
+        elements.articleContent.addEventListener('click', (e) => {
+          const mark = e.target.closest('mark.annotation');
+          if (!mark || e.defaultPrevented || mark.closest('a')) return;
+          const annotation = annotations.find(a => a.id === mark.dataset.annotationId);
+          if (annotation) editAnnotation(annotation);
+        });
+        // Buttons keep the selection they act on
+        shadowRoot.querySelector('.annotation-actions').addEventListener('mousedown', (e) => e.preventDefault());
+        elements.annotationColorBtns.forEach(btn => {
+          btn.addEventListener('click', () => setAnnotationColor(btn.dataset.color));
+        });
+        elements.btnAnnotationNote.addEventListener('click', openNoteEditor);
+        elements.btnAnnotationSave.addEventListener('click', saveAnnotationNote);
+        elements.btnAnnotationDelete.addEventListener('click', deleteAnnotation);
+        elements.btnCloseAnnotation.addEventListener('click', hideAnnotationBar);
+      }
+      if (elements.btnAnnotations) {
+        elements.btnAnnotations.addEventListener('click', openAnnotations);
+        elements.btnCloseAnnotations.addEventListener('click', closeAnnotations);
+        elements.annotationsOverlay.addEventListener('click', closeAnnotations);
+      }
+      if (elements.btnAnnotationsMarkdown) {
+        elements.btnAnnotationsMarkdown.addEventListener('click', () => exportAnnotations('markdown'));
+        elements.btnAnnotationsJson.addEventListener('click', () => exportAnnotations('json'));
+        elements.btnAnnotationsImport.addEventListener('click', () => elements.annotationsImportFile.click());
+        elements.annotationsImportFile.addEventListener('change', () => {
+          const file = elements.annotationsImportFile.files[0];
+          elements.annotationsImportFile.value = '';
+          if (file) importAnnotations(file);
+        });
+      }
+
+      // Bookmarks
+      if (elements.btnBookmark) {
+        elements.btnBookmark.addEventListener('click', toggleBookmark);
+      }
+      if (elements.btnBookmarks) {
+        elements.btnBookmarks.addEventListener('click', openBookmarks);
+        elements.btnCloseBookmarks.addEventListener('click', closeBookmarks);
+        elements.bookmarksOverlay.addEventListener('click', closeBookmarks);
+      }
+
+      // Dictionary lookup on the words of the article
+      if (elements.dictionaryPopup) {
+        InkPagesWordLookup.watchGestures(
+          elements.articleContent,
+          () => isListingMode ? 'off' : settings.lookupGesture,
+          lookUpWordAt
+        );
+        elements.btnCloseDictionary.addEventListener('click', hideDefinition);
+      }
+      elements.lookupBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+          settings.lookupGesture = btn.dataset.lookup;
+          updateSettingsUI();
+          saveSettings();
+        });
+      });
+      if (elements.btnDictionaries) {
+        elements.btnDictionaries.addEventListener('click', () => {
+          browserAPI.runtime.sendMessage({ type: 'OPEN_DICTIONARIES' });
+        });
+      }
+
+      // Page scrubber and overview
+      if (elements.pageIndicator) {
+        elements.pageIndicator.addEventListener('click', toggleScrubber);
+      }
+      if (elements.scrubberSlider) {
+        // Preview while dragging, turn the page on release (one e-ink refresh)
+        elements.scrubberSlider.addEventListener('input', () => {
+          updateScrubberPreview(parseInt(elements.scrubberSlider.value, 10) - 1);
+        });
+        elements.scrubberSlider.addEventListener('change', () => {
+          goToPage(parseInt(elements.scrubberSlider.value, 10) - 1);
+        });
+        elements.btnPageOverview.addEventListener('click', openOverview);
+        elements.btnCloseScrubber.addEventListener('click', closeScrubber);
+      }
+      if (elements.btnCloseOverview) {
+        elements.btnCloseOverview.addEventListener('click', closeOverview);
+      }
+
+      // Find bar - Enter searches, or steps to the next match if the query is unchanged
+      if (elements.btnFind) {
+        elements.btnFind.addEventListener('click', openFind);
+      }
+      if (elements.findForm) {
+        elements.findForm.addEventListener('submit', (e) => {
+          e.preventDefault();
+          submitFind(false);
+        });
+        elements.findInput.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' && e.shiftKey) {
+            e.preventDefault();
+            submitFind(true);
+          } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            closeFind();
+          } else if (e.key.toLowerCase() === 'f' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            elements.findInput.select();
+          }
+        });
+        elements.btnFindPrev.addEventListener('click', () => stepFind(-1));
+        elements.btnFindNext.addEventListener('click', () => stepFind(1));
+        elements.btnFindList.addEventListener('click', toggleFindResults);
+        elements.btnCloseFind.addEventListener('click', closeFind);
+      }
+
+      // Read aloud
+      if (elements.btnReadAloud) {
+        elements.btnReadAloud.addEventListener('click', openReadAloud);
+      }
+      if (elements.readAloudBar) {
+        elements.btnReadAloudPlay.addEventListener('click', toggleReadAloud);
+        elements.btnReadAloudSkip.addEventListener('click', () => {
+          if (readAloud) readAloud.skipParagraph();
+        });
+        elements.btnCloseReadAloud.addEventListener('click', closeReadAloud);
+        elements.readAloudRate.addEventListener('change', () => {
+          settings.readAloudRate = parseFloat(elements.readAloudRate.value);
+          if (readAloud) readAloud.setRate(settings.readAloudRate);
+          saveSettings();
+        });
+        elements.readAloudVoice.addEventListener('change', () => {
+          const lang = InkPagesReadAloud.primaryLanguage(articleData.lang);
+          settings.readAloudVoiceByLanguage = {
+            ...settings.readAloudVoiceByLanguage,
+            [lang]: elements.readAloudVoice.value
+          };
+          if (readAloud) readAloud.setVoice(selectedVoice());
+          saveSettings();
+        });
+      }
+
+      // Footnote popup - back-links in the note return to where the reader already is
+      if (elements.btnCloseFootnote) {
+        elements.btnCloseFootnote.addEventListener('click', hideFootnote);
+      }
+      if (elements.footnoteBody) {
+        elements.footnoteBody.addEventListener('click', (e) => {
+          const link = e.target.closest('a[href]');
+          if (link && link.hasAttribute('data-footnote-back')) {
+            e.preventDefault();
+            hideFootnote();
+          }
+        });
+      }
+
+      // Page loading (takes effect the next time a page is opened)
+      if (elements.contentWaitSlider) {
+        elements.contentWaitSlider.addEventListener('input', (e) => {
+          settings.contentWaitSeconds = parseInt(e.target.value, 10);
+          elements.contentWaitValue.textContent = `${settings.contentWaitSeconds}s`;
+        });
+        elements.contentWaitSlider.addEventListener('change', saveSettings);
+      }
+      if (elements.btnReextract) {
+        elements.btnReextract.addEventListener('click', reextract);
+      }
+      if (elements.btnReadNow) {
+        elements.btnReadNow.addEventListener('click', () => {
+          if (contentWait) contentWait.finish();
+        });
+      }
+
+      // Window resize
+      let resizeTimeout;
+      window.addEventListener('resize', () => {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(() => {
+          updateHeaderSpacer();
+          setupPagination();
+        }, 150);
+      });
+
+      // Debug controls for pagination fixes
+      setupDebugControls();
+    }
+
+    function handleKeydown(e) {
+      if (!isReaderActive || elementPicker) return;
+      if (InkPagesKeyBindings.isEditableTarget(e, shadowRoot)) return;
+
+      const settingsOpen = elements.settingsPanel && !elements.settingsPanel.classList.contains('hidden');
+      if (settingsOpen && bindingsEditor && bindingsEditor.handleKeydown(e)) return;
+
+      // Arrow keys are physical sides, so they swap for right-to-left pages
+      const action = InkPagesKeyBindings.actionForEvent(settings.keyBindings, e, pageDirection === 'rtl');
+      if (!action) return;
+
+      // Closing an open note comes before closing the reader
+      if (action === 'close' && isFootnoteOpen()) {
+        e.preventDefault();
+        e.stopPropagation();
+        hideFootnote();
+        return;
+      }
+
+      if (action === 'close' && isAnnotationBarOpen()) {
+        e.preventDefault();
+        e.stopPropagation();
+        hideAnnotationBar();
+        return;
+      }
+
+      if (action === 'close' && isDefinitionOpen()) {
+        e.preventDefault();
+        e.stopPropagation();
+        hideDefinition();
+        return;
+      }
+
+      if (isAnnotationsOpen()) {
+        if (action === 'close' || action === 'annotations') {
+          e.preventDefault();
+          e.stopPropagation();
+          closeAnnotations();
+        }
+        return;
+      }
+
+      if (isBookmarksOpen()) {
+        if (action === 'close' || action === 'bookmarks') {
+          e.preventDefault();
+          e.stopPropagation();
+          closeBookmarks();
+        }
+        return;
+      }
+
+      if (isOverviewOpen()) {
+        if (action === 'close' || action === 'goToPage') {
+          e.preventDefault();
+          e.stopPropagation();
+          closeOverview();
+        }
+        return;
+      }
+
+      if (isScrubberOpen()) {
+        // Arrow keys move the slider itself
+        if (shadowRoot.activeElement === elements.scrubberSlider) return;
+        if (action === 'close' || action === 'goToPage') {
+          e.preventDefault();
+          e.stopPropagation();
+          closeScrubber();
+          return;
+        }
+      }
+
+      if (action === 'close' && isFindOpen()) {
+        e.preventDefault();
+        e.stopPropagation();
+        closeFind();
+        return;
+      }
+
+      if (action === 'close' && isReadAloudOpen()) {
+        e.preventDefault();
+        e.stopPropagation();
+        closeReadAloud();
+        return;
+      }
+
+      if (isTocOpen()) {
+        if (action === 'close' || action === 'toc') {
+          e.preventDefault();
+          e.stopPropagation();
+          closeToc();
+        }
+        return;
+      }
+
+      // Only closing works while the settings panel is open
+      if (settingsOpen) {
+        if (action === 'close' || action === 'settings') {
+          e.preventDefault();
+          e.stopPropagation();
+          closeSettings();
+        }
+        return;
+      }
+
+      e.preventDefault();
+      e.stopPropagation();
+
+      switch (action) {
+        case 'next':
+          nextPage();
+          break;
+        case 'prev':
+          prevPage();
+          break;
+        case 'first':
+          goToPage(0);
+          break;
+        case 'last':
+          goToPage(totalPages - 1);
+          break;
+        case 'settings':
+          openSettings();
+          break;
+        case 'close':
+          deactivateReaderMode();
+          break;
+        case 'export':
+          exportArticle();
+          break;
+        case 'themeCycle':
+          cycleTheme();
+          break;
+        case 'back':
+          goBack();
+          break;
+        case 'toc':
+          if (tocEntries.length > 0) openToc();
+          break;
+        case 'find':
+          openFind();
+          break;
+        case 'goToPage':
+          openScrubber();
+          break;
+        case 'annotations':
+          if (!isListingMode) openAnnotations();
+          break;
+        case 'bookmark':
+          toggleBookmark();
+          break;
+        case 'bookmarks':
+          if (!isListingMode) openBookmarks();
+          break;
+        case 'readAloud':
+          if (!isListingMode) toggleReadAloud();
+          break;
+      }
+    }
+
+    function openSettings() {
+      elements.settingsPanel.classList.remove('hidden');
+    }
+
+    function closeSettings() {
+      elements.settingsPanel.classList.add('hidden');
+      if (bindingsEditor) bindingsEditor.cancel();
+    }
+
+    // Themes in the order of the settings panel buttons
+    function cycleTheme() {
+      const themes = Array.from(elements.themeBtns, btn => btn.dataset.theme);
+      settings.theme = themes[(themes.indexOf(settings.theme) + 1) % themes.length];
+      applySettings();
+      saveSettings();
+    }
+
+    // Export article in the format chosen in settings (HTML or EPUB)
+    async function exportArticle() {
+      if (!articleData) {
+        console.error('InkPages: No article data to export');
+        return;
+      }
+
+      if (settings.exportFormat === 'epub') {
+        await exportEpub();
+        return;
+      }
+
+      // Build self-contained HTML, with the reader's highlights and notes at the end
+      const html = generateExportHTML(forExport(articleData), InkPagesAnnotations.inReadingOrder(annotations));
+      const blob = new Blob([html], { type: 'text/html' });
+      await shareOrDownload(blob, getExportFilename('html'), articleData.title);
+    }
+
+    // Export article as an EPUB 3 book (images embedded)
+    async function exportEpub() {
+      const btn = elements.btnExport;
+      if (btn) btn.disabled = true;
+
+      try {
+        const blob = await InkPagesEpub.buildEpub({
+          title: articleData.title || 'Untitled',
+          language: articleData.lang,
+          dir: articleData.dir,
+          creator: articleData.byline,
+          publisher: articleData.siteName,
+          source: articleData.sourceUrl,
+          description: articleData.excerpt,
+          parts: [{ title: null, articles: [forExport(articleData)] }]
+        });
+        await shareOrDownload(blob, getExportFilename('epub'), articleData.title);
+      } catch (error) {
+        console.error('InkPages: EPUB export failed', error);
+        showNotification('EPUB export failed');
+      } finally {
+        if (btn) btn.disabled = false;
+      }
+    }
+
+    // Save the article to the offline library, with its images downloaded
+    async function saveToLibrary() {
+      if (!articleData) return;
+
+      const btn = elements.btnSave;
+      if (btn) btn.disabled = true;
+
+      try {
+        const content = await inlineImages(articleData.content, articleData.sourceUrl);
+        const response = await browserAPI.runtime.sendMessage({
+          type: 'LIBRARY_SAVE',
+          article: { ...articleData, content }
+        });
+        if (!response || !response.success) {
+          throw new Error(response ? response.error : 'No response from background');
+        }
+        showNotification('Saved to library');
+      } catch (error) {
+        console.error('InkPages: Saving to library failed', error);
+        showNotification('Could not save to library');
+      } finally {
+        if (btn) btn.disabled = false;
+      }
+    }
+
+    /**
+     * Replace image URLs with data URLs so the saved copy works offline.
+     * Images that can't be downloaded keep their URL (they load when online).
+     */
+    async function inlineImages(html, baseUrl) {
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+
+      // srcset / <source> would be picked over the inlined src
+      doc.querySelectorAll('picture source').forEach(el => el.remove());
+
+      for (const img of doc.querySelectorAll('img')) {
+        img.removeAttribute('srcset');
+        const src = img.getAttribute('src') || img.dataset.src || img.dataset.lazySrc;
+        if (!src || src.startsWith('data:')) continue;
+
+        let url;
+        try {
+          url = new URL(src, baseUrl).href;
+        } catch {
+          continue;
+        }
+        img.setAttribute('src', (await fetchAsDataUrl(url)) || url);
+      }
+
+      return doc.body.innerHTML;
+    }
+
+    async function fetchAsDataUrl(url) {
+      try {
+        const response = await fetch(url, { credentials: 'include' });
+        if (!response.ok) return null;
+        const blob = await response.blob();
+        if (!blob.type.startsWith('image/')) return null;
+        return await new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(blob);
+        });
+      } catch (e) {
+        console.warn('InkPages: Failed to download image for library', url, e);
+        return null;
+      }
+    }
+
+    // Generate clean filename from title
+    function getExportFilename(extension, title = articleData.title) {
+      const cleanTitle = (title || 'article')
+        .replace(/[^a-zA-Z0-9\s-]/g, '')
+        .replace(/\s+/g, '-')
+        .substring(0, 50)
+        .toLowerCase();
+      return `${cleanTitle || 'article'}.${extension}`;
+    }
+
+    // Share a file via Web Share API, falling back to a direct download
+    async function shareOrDownload(blob, filename, title) {
+      const file = new File([blob], filename, { type: blob.type });
+
+      // Try Web Share API first (mobile-friendly, opens share sheet)
+      if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        try {
+          await navigator.share({
+            files: [file],
+            title: title
+          });
+          return;
+        } catch (err) {
+          // User cancelled or share failed, fall through to download
+          if (err.name !== 'AbortError') {
+            console.log('InkPages: Share failed, falling back to download', err);
+          }
+        }
+      }
+
+      // Fallback: direct download
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }
+
+    // Clean, readable styles for exported HTML files (single article and digest)
+    const exportStyles = `
+      * { box-sizing: border-box; }
+      body {
+        max-width: 680px;
+        margin: 0 auto;
+        padding: 20px;
+        font-family: Georgia, 'Times New Roman', serif;
+        font-size: 18px;
+        line-height: 1.8;
+        color: #1a1a1a;
+        background: #fff;
+      }
+      header {
+        margin-bottom: 2em;
+        padding-bottom: 1em;
+        border-bottom: 1px solid #e0e0e0;
+      }
+      h1 {
+        font-size: 1.8em;
+        line-height: 1.3;
+        margin: 0 0 0.5em 0;
+      }
+      .meta {
+        color: #666;
+        font-size: 0.9em;
+      }
+      .meta a { color: #666; }
+      .source {
+        margin-top: 0.5em;
+        font-size: 0.85em;
+      }
+      .source a { color: #0066cc; }
+      img {
+        max-width: 100%;
+        height: auto;
+        display: block;
+        margin: 1em 0;
+      }
+      a { color: #0066cc; }
+      blockquote {
+        margin: 1em 0;
+        padding-left: 1em;
+        border-left: 3px solid #ccc;
+        color: #555;
+      }
+      pre, code {
+        background: #f5f5f5;
+        font-family: monospace;
+        font-size: 0.9em;
+      }
+      pre {
+        padding: 1em;
+        overflow-x: auto;
+      }
+      code { padding: 0.2em 0.4em; }
+      pre code { padding: 0; }
+      footer {
+        margin-top: 3em;
+        padding-top: 1em;
+        border-top: 1px solid #e0e0e0;
+        font-size: 0.85em;
+        color: #888;
+      }
+      nav.contents ol { padding-left: 1.2em; }
+      .part-title {
+        margin: 2.5em 0 1em 0;
+        font-size: 0.9em;
+        text-transform: uppercase;
+        letter-spacing: 0.08em;
+        color: #666;
+        border-bottom: 2px solid #e0e0e0;
+      }
+      .endnotes { font-size: 0.9em; }
+      .endnotes ol { padding-left: 1.5em; }
+      .annotations {
+        margin-top: 3em;
+        padding-top: 1em;
+        border-top: 1px solid #e0e0e0;
+      }
+      .annotation-note {
+        margin: -0.5em 0 1.5em 1em;
+        font-style: italic;
+        white-space: pre-wrap;
+      }
+      article + article {
+        margin-top: 3em;
+        padding-top: 2em;
+        border-top: 1px solid #e0e0e0;
+      }
+    `;
+
+    // Article as exported: footnotes collected as endnotes if chosen in settings
+    function forExport(article, idPrefix = '') {
+      if (!settings.endnotesInExport) return article;
+      return {
+        ...article,
+        content: InkPagesFootnotes.moveToEndnotes(article.content || '', article.sourceUrl, idPrefix)
+      };
+    }
+
+    /**
+     * Self-contained HTML file for an article
+     * @param {Object} article
+     * @param {Array} [annotations] - Highlights and notes, listed after the article
+     */
+    function generateExportHTML(article, annotations = []) {
+      const title = article.title || 'Untitled';
+      const byline = article.byline || '';
+      const siteName = article.siteName || '';
+      const content = article.content || '';
+      const sourceUrl = article.sourceUrl || '';
+
+      const highlights = annotations.map(item =>
+        `<blockquote>${escapeHtml(item.text)}</blockquote>` +
+        (item.note ? `<p class="annotation-note">${escapeHtml(item.note)}</p>` : '')
+      ).join('\n      ');
+
+      return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>${exportStyles}</style>
+</head>
+<body>
+  <article>
+    <header>
+      <h1>${escapeHtml(title)}</h1>
+      ${byline ? `<p class="meta">${escapeHtml(byline)}</p>` : ''}
+      ${siteName ? `<p class="meta">${escapeHtml(siteName)}</p>` : ''}
+      ${sourceUrl ? `<p class="source">Source: <a href="${escapeHtml(sourceUrl)}">${escapeHtml(sourceUrl)}</a></p>` : ''}
+    </header>
+    <main>${content}</main>
+    ${highlights ? `<section class="annotations">
+      <h2>Highlights &amp; Notes</h2>
+      ${highlights}
+    </section>` : ''}
+    <footer>
+      Saved with InkPages
+    </footer>
+  </article>
+</body>
+</html>`;
+    }
+
+    // ============================================
+    // Daily Digest (listing mode)
+    // Select several listing items and bundle them into one EPUB/HTML file
+    // ============================================
+
+    function startDigestSelection() {
+      if (!isListingMode) return;
+      shadowRoot.host.classList.add('digest-selecting');
+      elements.btnDigest.classList.add('active');
+      elements.digestBar.classList.remove('hidden');
+      updateDigestStatus();
+    }
+
+    function resetDigestSelection() {
+      shadowRoot.host.classList.remove('digest-selecting');
+      if (elements.btnDigest) elements.btnDigest.classList.remove('active');
+      if (elements.digestBar) elements.digestBar.classList.add('hidden');
+      elements.articleContent.querySelectorAll('.listing-item.selected').forEach(item => {
+        item.classList.remove('selected');
+        const checkbox = item.querySelector('.listing-select');
+        if (checkbox) checkbox.checked = false;
+      });
+    }
+
+    function isSelectingDigest() {
+      return shadowRoot.host.classList.contains('digest-selecting');
+    }
+
+    function getSelectedDigestHrefs() {
+      const hrefs = new Set();
+      elements.articleContent.querySelectorAll('.listing-item.selected .listing-main-link').forEach(link => {
+        hrefs.add(link.href);
+      });
+      return hrefs;
+    }
+
+    function updateDigestStatus(message) {
+      const count = getSelectedDigestHrefs().size;
+      elements.digestStatus.textContent = message ||
+        (count === 0 ? 'Tap articles to add them to the digest' : `${count} article${count === 1 ? '' : 's'} selected`);
+      elements.btnDigestBuild.disabled = count === 0;
+    }
+
+    // While selecting, a tap on a main link toggles it instead of navigating
+    function handleDigestClick(e) {
+      if (!isSelectingDigest()) return;
+      const link = e.target.closest('.listing-main-link');
+      if (!link) {
+        // Sub-links and section links stay inert while selecting
+        if (e.target.closest('a[href]')) e.preventDefault();
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+
+      const item = link.closest('.listing-item');
+      const selected = !item.classList.contains('selected');
+      item.classList.toggle('selected', selected);
+      const checkbox = link.querySelector('.listing-select');
+      if (checkbox) checkbox.checked = selected;
+      updateDigestStatus();
+    }
+
+    async function buildDigest() {
+      if (!listingData) return;
+
+      const selected = getSelectedDigestHrefs();
+      if (selected.size === 0) return;
+
+      elements.btnDigestBuild.disabled = true;
+      elements.btnDigestCancel.disabled = true;
+
+      try {
+        // Fetch articles in listing order, grouped under the listing section titles
+        const parts = [];
+        let done = 0;
+        let failed = 0;
+
+        for (const section of listingData.sections) {
+          const part = { title: section.title || null, articles: [] };
+
+          for (const item of section.items || []) {
+            if (!selected.has(item.main.href)) continue;
+            done++;
+            updateDigestStatus(`Fetching ${done} / ${selected.size}…`);
+
+            try {
+              const article = await fetchArticle(item.main.href);
+              if (article) {
+                part.articles.push(forExport(article, `a${done}-`));
+              } else {
+                failed++;
+              }
+            } catch (error) {
+              console.warn('InkPages: Failed to fetch digest article', item.main.href, error);
+              failed++;
+            }
+          }
+
+          if (part.articles.length > 0) parts.push(part);
+        }
+
+        if (parts.length === 0) {
+          updateDigestStatus('Could not extract any of the selected articles');
+          return;
+        }
+
+        const date = new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+        const title = `${listingData.siteName || listingData.pageTitle || 'InkPages'} – ${date}`;
+
+        let blob;
+        let extension;
+        if (settings.exportFormat === 'epub') {
+          updateDigestStatus('Building EPUB…');
+          const first = parts[0].articles[0];
+          blob = await InkPagesEpub.buildEpub({
+            title,
+            language: first.lang,
+            dir: first.dir,
+            publisher: listingData.siteName,
+            source: listingData.sourceUrl,
+            parts
+          });
+          extension = 'epub';
+        } else {
+          blob = new Blob([generateDigestHTML(title, parts)], { type: 'text/html' });
+          extension = 'html';
+        }
+
+        await shareOrDownload(blob, getExportFilename(extension, `digest ${listingData.siteName || ''} ${new Date().toISOString().substring(0, 10)}`), title);
+
+        if (failed > 0) {
+          showNotification(`Digest built - ${failed} article${failed === 1 ? '' : 's'} could not be extracted`);
+        }
+        resetDigestSelection();
+      } catch (error) {
+        console.error('InkPages: Digest build failed', error);
+        updateDigestStatus('Digest build failed');
+      } finally {
+        elements.btnDigestBuild.disabled = getSelectedDigestHrefs().size === 0;
+        elements.btnDigestCancel.disabled = false;
       }
-      return 0;
     }
 
-    function setupEventListeners() {
-      // Tap zones
-      function addTapHandler(element, handler) {
-        if (!element) return;
-        element.addEventListener('click', (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          handler();
+    function generateDigestHTML(title, parts) {
+      let toc = '';
+      let body = '';
+      let index = 0;
+
+      for (const part of parts) {
+        let partToc = '';
+        if (part.title) {
+          body += `<h2 class="part-title">${escapeHtml(part.title)}</h2>`;
+        }
+
+        for (const article of part.articles) {
+          index++;
+          const id = `article-${index}`;
+          partToc += `<li><a href="#${id}">${escapeHtml(article.title || 'Untitled')}</a></li>`;
+          body += `
+  <article id="${id}">
+    <header>
+      <h1>${escapeHtml(article.title || 'Untitled')}</h1>
+      ${article.byline ? `<p class="meta">${escapeHtml(article.byline)}</p>` : ''}
+      ${article.sourceUrl ? `<p class="source">Source: <a href="${escapeHtml(article.sourceUrl)}">${escapeHtml(article.sourceUrl)}</a></p>` : ''}
+    </header>
+    <main>${article.content || ''}</main>
+  </article>`;
+        }
+
+        toc += part.title ? `<li>${escapeHtml(part.title)}<ol>${partToc}</ol></li>` : partToc;
+      }
+
+      return `<!DOCTYPE html>
+<html lang="${escapeHtml(parts[0].articles[0].lang || 'en')}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>${exportStyles}</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    <nav class="contents"><ol>${toc}</ol></nav>
+  </header>
+  ${body}
+  <footer>
+    Saved with InkPages
+  </footer>
+</body>
+</html>`;
+    }
+
+    // Debug options for testing pagination fixes (controlled via Settings panel)
+    const debugOptions = {
+      zeroUlLiStyles: false,
+      forceListingInline: false,
+      roundPixels: false,
+      useCalculatedWidth: false,
+      integerColumnWidth: false
+    };
+
+    function setupDebugControls() {
+      try {
+        // Wire up debug checkboxes in settings panel
+        const debugZeroUl = shadowRoot.querySelector('#debug-zero-ul');
+      const debugForceListing = shadowRoot.querySelector('#debug-force-listing');
+      const debugRoundPixels = shadowRoot.querySelector('#debug-round-pixels');
+      const debugCalcWidth = shadowRoot.querySelector('#debug-calc-width');
+      const debugIntColumn = shadowRoot.querySelector('#debug-int-column');
+      const debugRecalcBtn = shadowRoot.querySelector('#btn-debug-recalc');
+
+      if (debugZeroUl) {
+        debugZeroUl.addEventListener('change', () => {
+          debugOptions.zeroUlLiStyles = debugZeroUl.checked;
         });
-        element.addEventListener('touchend', (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          handler();
-        }, { passive: false });
       }
+      if (debugForceListing) {
+        debugForceListing.addEventListener('change', () => {
+          debugOptions.forceListingInline = debugForceListing.checked;
+        });
+      }
+      if (debugRoundPixels) {
+        debugRoundPixels.addEventListener('change', () => {
+          debugOptions.roundPixels = debugRoundPixels.checked;
+        });
+      }
+      if (debugCalcWidth) {
+        debugCalcWidth.addEventListener('change', () => {
+          debugOptions.useCalculatedWidth = debugCalcWidth.checked;
+        });
+      }
+      if (debugIntColumn) {
+        debugIntColumn.addEventListener('change', () => {
+          debugOptions.integerColumnWidth = debugIntColumn.checked;
+        });
+      }
+
+      if (debugRecalcBtn) {
+        debugRecalcBtn.addEventListener('click', () => {
+          applyDebugFixes();
+          setupPagination();
+          updateDebugInfo();
+        });
+      }
+
+      // Store options globally for setupPagination to access
+      window.__debugOptions = debugOptions;
+      } catch (e) {
+        console.error('InkPages: Error setting up debug controls:', e);
+      }
+    }
+
+    function applyDebugFixes() {
+      // Remove previous debug styles
+      const prevStyle = shadowRoot.querySelector('#debug-styles');
+      if (prevStyle) prevStyle.remove();
+
+      let css = '';
+
+      if (debugOptions.zeroUlLiStyles) {
+        css += `
+          #article-content ul, #article-content ol, #article-content li {
+            padding: 0 !important;
+            margin: 0 !important;
+          }
+        `;
+      }
+
+      if (debugOptions.forceListingInline) {
+        css += `
+          #article-content .listing-items,
+          #article-content .listing-sub-links {
+            padding: 0 !important;
+            margin: 0 !important;
+            list-style: none !important;
+          }
+          #article-content .listing-item,
+          #article-content .listing-sub-links li {
+            padding: 0 !important;
+            margin: 0 !important;
+          }
+          #article-content .listing-sub-links {
+            padding-left: 0.75em !important;
+            margin-left: 0.25em !important;
+            border-left: 2px solid #ccc !important;
+          }
+        `;
+      }
+
+      if (css) {
+        const style = document.createElement('style');
+        style.id = 'debug-styles';
+        style.textContent = css;
+        shadowRoot.appendChild(style);
+      }
+
+      // Update global options
+      window.__debugOptions = debugOptions;
+    }
+
+    function updateDebugInfo() {
+      const infoDiv = shadowRoot.querySelector('#debug-info');
+      if (!infoDiv) return;
+
+      const viewport = elements.contentViewport;
+      const content = elements.articleContent;
+
+      if (!viewport || !content) {
+        infoDiv.innerHTML = 'Elements not found';
+        return;
+      }
+
+      const rect = viewport.getBoundingClientRect();
+      const listingItems = content.querySelector('.listing-items');
+      const listingItemsStyle = listingItems ? getComputedStyle(listingItems) : null;
+      const firstLi = content.querySelector('.listing-item');
+      const firstLiStyle = firstLi ? getComputedStyle(firstLi) : null;
+      const subLinks = content.querySelector('.listing-sub-links');
+      const subLinksStyle = subLinks ? getComputedStyle(subLinks) : null;
+
+      infoDiv.innerHTML = `
+        <b>Viewport:</b> ${rect.width.toFixed(1)} x ${rect.height.toFixed(1)}<br>
+        <b>scrollWidth:</b> ${content.scrollWidth}<br>
+        <b>pageWidth:</b> ${pageWidth}<br>
+        <b>totalPages:</b> ${totalPages}<br>
+        <b>currentPage:</b> ${currentPage}<br>
+        <hr style="margin:5px 0;border:none;border-top:1px solid #ccc;">
+        <b>.listing-items pad-L:</b> ${listingItemsStyle ? listingItemsStyle.paddingLeft : 'N/A'}<br>
+        <b>.listing-item margin-B:</b> ${firstLiStyle ? firstLiStyle.marginBottom : 'N/A'}<br>
+        <b>.listing-sub-links pad-L:</b> ${subLinksStyle ? subLinksStyle.paddingLeft : 'N/A'}
+      `;
+    }
+
+    // ============================================
+    // Navigation history - in-article links remember where they came from
+    // ============================================
+
+    const MAX_HISTORY = 20;
+    let pageHistory = []; // { anchor, page } - the anchor survives re-layout
+
+    /**
+     * Go to the page holding an element of the article (link targets)
+     */
+    function jumpToElement(el) {
+      jumpToPage(getPageForElement(el));
+    }
+
+    function jumpToPage(page) {
+      if (alignToSpread(page) === currentPage) return;
+
+      pageHistory.push({ anchor: currentAnchor, page: currentPage });
+      if (pageHistory.length > MAX_HISTORY) pageHistory.shift();
+      updateBackButton();
+      goToPage(page);
+    }
+
+    function goBack() {
+      const entry = pageHistory.pop();
+      updateBackButton();
+      if (!entry) return;
+
+      const anchoredPage = entry.anchor ? getPageForAnchor(entry.anchor) : null;
+      goToPage(anchoredPage !== null ? anchoredPage : Math.min(entry.page, totalPages - 1));
+    }
+
+    function resetPageHistory() {
+      pageHistory = [];
+      updateBackButton();
+    }
+
+    function updateBackButton() {
+      if (elements.btnBack) elements.btnBack.classList.toggle('hidden', pageHistory.length === 0);
+    }
+
+    // ============================================
+    // Table of contents - headings mapped to pages after each layout
+    // ============================================
+
+    let tocEntries = [];
+
+    function buildToc() {
+      tocEntries = isListingMode || !elements.articleContent
+        ? []
+        : InkPagesToc.buildEntries(elements.articleContent, getPageForElement);
+
+      // A single heading isn't worth a drawer
+      if (tocEntries.length < 2) tocEntries = [];
+      if (elements.btnToc) elements.btnToc.classList.toggle('hidden', tocEntries.length === 0);
+
+      if (tocEntries.length === 0) closeToc();
+      else if (isTocOpen()) renderToc();
+    }
+
+    function currentTocEntry() {
+      return InkPagesToc.currentEntry(tocEntries, currentPage + pagesPerView - 1);
+    }
+
+    function updateCurrentSection() {
+      if (!elements.currentSection) return;
+      const entry = currentTocEntry();
+      elements.currentSection.textContent = entry ? entry.text : '';
+    }
+
+    function renderToc() {
+      InkPagesToc.renderList(elements.tocList, tocEntries, currentTocEntry(), (entry) => {
+        closeToc();
+        jumpToElement(entry.heading);
+      });
+    }
+
+    function openToc() {
+      if (!elements.tocPanel) return;
+      closeSettings();
+      renderToc();
+      elements.tocPanel.classList.remove('hidden');
+      const current = elements.tocList.querySelector('.toc-link.current');
+      if (current) current.scrollIntoView({ block: 'center' });
+    }
+
+    function closeToc() {
+      if (elements.tocPanel) elements.tocPanel.classList.add('hidden');
+    }
+
+    function isTocOpen() {
+      return elements.tocPanel && !elements.tocPanel.classList.contains('hidden');
+    }
+
+    // ============================================
+    // Highlights and notes - anchored to the text, so they survive re-layout
+    // ============================================
+
+    let annotations = []; // Stored annotations of this article
+    let annotationMarks = new Map(); // id -> <mark> elements in the content
+    let annotationsLoad = 0; // Ignores loads overtaken by a newer render
+    let pendingRange = null; // Selected text waiting for a colour or note
+    let editingAnnotation = null; // Highlight tapped in the text
+
+    /**
+     * Load this article's annotations and mark them in the freshly
+     * rendered content
+     */
+    async function applyAnnotations() {
+      const load = ++annotationsLoad;
+      InkPagesAnnotations.unmark(elements.articleContent);
+      annotations = [];
+      annotationMarks = new Map();
+      hideAnnotationBar();
+      if (elements.btnAnnotations) elements.btnAnnotations.classList.toggle('hidden', isListingMode);
+      if (isListingMode || !articleData || !articleData.sourceUrl) return;
+
+      let items;
+      try {
+        items = await InkPagesAnnotations.load(articleData.sourceUrl);
+      } catch (error) {
+        console.warn('InkPages: Failed to load annotations:', error);
+        return;
+      }
+      if (load !== annotationsLoad) return;
+
+      annotations = items;
+      annotations.forEach(annotation => {
+        annotationMarks.set(annotation.id, InkPagesAnnotations.apply(elements.articleContent, annotation));
+      });
+      if (isAnnotationsOpen()) renderAnnotations();
+    }
+
+    async function saveAnnotations() {
+      if (isAnnotationsOpen()) renderAnnotations();
+      try {
+        await InkPagesAnnotations.save(articleData.sourceUrl, articleData.title, annotations);
+      } catch (error) {
+        console.warn('InkPages: Failed to save annotations:', error);
+      }
+    }
+
+    function handleSelectionChange() {
+      if (!isReaderActive || isListingMode || !elements.articleContent) return;
+      // The word being looked up, selected by the same gesture
+      if (isDefinitionOpen()) return;
+      const range = InkPagesAnnotations.selectedRange(elements.articleContent);
+
+      if (range) {
+        pendingRange = range.cloneRange();
+        editingAnnotation = null;
+        showAnnotationBar();
+      } else if (pendingRange && elements.annotationNoteEditor.classList.contains('hidden')) {
+        // Selection gone before a colour was picked (a note being written keeps it)
+        hideAnnotationBar();
+      }
+    }
+
+    function editAnnotation(annotation) {
+      pendingRange = null;
+      editingAnnotation = annotation;
+      showAnnotationBar();
+    }
+
+    function showAnnotationBar() {
+      const color = editingAnnotation ? editingAnnotation.color : null;
+      elements.annotationColorBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.color === color));
+      elements.btnAnnotationDelete.classList.toggle('hidden', !editingAnnotation);
+      elements.annotationNoteEditor.classList.add('hidden');
+      elements.annotationBar.classList.remove('hidden');
+    }
+
+    function hideAnnotationBar() {
+      pendingRange = null;
+      editingAnnotation = null;
+      if (elements.annotationBar) elements.annotationBar.classList.add('hidden');
+    }
+
+    function isAnnotationBarOpen() {
+      return elements.annotationBar && !elements.annotationBar.classList.contains('hidden');
+    }
+
+    // New annotation from the selection, marked in the content right away
+    function createAnnotation(fields) {
+      const annotation = InkPagesAnnotations.fromRange(elements.articleContent, pendingRange, fields);
+      if (!annotation) return;
+
+      annotations.push(annotation);
+      annotationMarks.set(annotation.id, InkPagesAnnotations.apply(elements.articleContent, annotation));
+      document.getSelection().removeAllRanges();
+      saveAnnotations();
+    }
+
+    function setAnnotationColor(color) {
+      if (editingAnnotation) {
+        editingAnnotation.color = color;
+        InkPagesAnnotations.update(annotationMarks.get(editingAnnotation.id) || [], editingAnnotation);
+        saveAnnotations();
+      } else if (pendingRange) {
+        createAnnotation({ color });
+      }
+      hideAnnotationBar();
+    }
+
+    function openNoteEditor() {
+      elements.annotationNoteInput.value = editingAnnotation ? editingAnnotation.note : '';
+      elements.annotationNoteEditor.classList.remove('hidden');
+      elements.annotationNoteInput.focus();
+    }
+
+    function saveAnnotationNote() {
+      const note = elements.annotationNoteInput.value.trim();
+      if (editingAnnotation) {
+        editingAnnotation.note = note;
+        InkPagesAnnotations.update(annotationMarks.get(editingAnnotation.id) || [], editingAnnotation);
+        saveAnnotations();
+      } else if (pendingRange) {
+        createAnnotation({ note });
+      }
+      hideAnnotationBar();
+    }
 
-      addTapHandler(elements.tapZonePrev, prevPage);
-      addTapHandler(elements.tapZoneNext, nextPage);
+    function deleteAnnotation() {
+      if (!editingAnnotation) return;
+      const id = editingAnnotation.id;
+      annotations = annotations.filter(a => a.id !== id);
+      annotationMarks.delete(id);
+      InkPagesAnnotations.unmark(elements.articleContent, id);
+      hideAnnotationBar();
+      saveAnnotations();
+    }
 
-      // Swipe gestures
-      let touchStartX = 0;
-      let touchStartY = 0;
-      const minSwipeDistance = 50;
+    function openAnnotations() {
+      if (!elements.annotationsPanel) return;
+      closeSettings();
+      closeToc();
+      hideAnnotationBar();
+      renderAnnotations();
+      elements.annotationsPanel.classList.remove('hidden');
+    }
 
-      shadowRoot.addEventListener('touchstart', (e) => {
-        touchStartX = e.touches[0].clientX;
-        touchStartY = e.touches[0].clientY;
-      }, { passive: true });
+    function closeAnnotations() {
+      if (elements.annotationsPanel) elements.annotationsPanel.classList.add('hidden');
+    }
 
-      shadowRoot.addEventListener('touchend', (e) => {
-        if (!e.changedTouches.length) return;
-        const deltaX = e.changedTouches[0].clientX - touchStartX;
-        const deltaY = e.changedTouches[0].clientY - touchStartY;
+    function isAnnotationsOpen() {
+      return elements.annotationsPanel && !elements.annotationsPanel.classList.contains('hidden');
+    }
 
-        if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > minSwipeDistance) {
-          if (deltaX < 0) nextPage();
-          else prevPage();
-        }
-      }, { passive: true });
+    // Drawer entries in reading order, with the page each one starts on
+    function renderAnnotations() {
+      const items = InkPagesAnnotations.inReadingOrder(annotations).map(annotation => {
+        const marks = annotationMarks.get(annotation.id) || [];
+        return { ...annotation, page: marks.length > 0 ? getPageForElement(marks[0]) : null };
+      });
 
-      // Keyboard
-      document.addEventListener('keydown', handleKeydown);
+      elements.annotationsEmpty.classList.toggle('hidden', items.length > 0);
+      InkPagesAnnotations.renderList(elements.annotationsList, items, (item) => {
+        closeAnnotations();
+        jumpToElement(annotationMarks.get(item.id)[0]);
+      });
+    }
 
-      // Close buttons
-      if (elements.btnClose) {
-        elements.btnClose.addEventListener('click', () => deactivateReaderMode());
-      }
-      if (elements.btnCloseReader) {
-        elements.btnCloseReader.addEventListener('click', () => deactivateReaderMode());
-      }
+    /**
+     * Export this article's annotations, or every article's, as Markdown
+     * (for note apps) or JSON (for importing again)
+     */
+    async function exportAnnotations(format) {
+      const allArticles = elements.annotationsExportScope.value === 'all';
 
-      // Settings
-      if (elements.btnSettings) {
-        elements.btnSettings.addEventListener('click', () => {
-          elements.settingsPanel.classList.remove('hidden');
-        });
-      }
-      if (elements.btnCloseSettings) {
-        elements.btnCloseSettings.addEventListener('click', () => {
-          elements.settingsPanel.classList.add('hidden');
-        });
+      let records;
+      try {
+        records = allArticles
+          ? Object.values(await InkPagesAnnotations.loadAll())
+          : [{ url: InkPagesAnnotations.articleKey(articleData.sourceUrl), title: articleData.title || '', items: annotations }];
+      } catch (error) {
+        console.warn('InkPages: Failed to load annotations for export:', error);
+        return;
       }
-      if (elements.settingsOverlay) {
-        elements.settingsOverlay.addEventListener('click', () => {
-          elements.settingsPanel.classList.add('hidden');
-        });
+      records = records.filter(record => record.items.length > 0);
+      if (records.length === 0) {
+        showNotification('No highlights or notes to export');
+        return;
       }
 
-      // Export button
-      if (elements.btnExport) {
-        elements.btnExport.addEventListener('click', () => exportArticle());
+      const title = allArticles ? 'InkPages highlights' : `${articleData.title || 'article'} highlights`;
+      const blob = format === 'json'
+        ? new Blob([InkPagesAnnotations.toJSON(records)], { type: 'application/json' })
+        : new Blob([InkPagesAnnotations.toMarkdown(records)], { type: 'text/markdown' });
+      await shareOrDownload(blob, getExportFilename(format === 'json' ? 'json' : 'md', title), title);
+    }
+
+    async function importAnnotations(file) {
+      try {
+        const { articles, added } = await InkPagesAnnotations.importJSON(await file.text());
+        showNotification(added === 0
+          ? 'No new highlights or notes in the file'
+          : `Imported ${added} highlight${added === 1 ? '' : 's'}`);
+        if (articles.includes(InkPagesAnnotations.articleKey(articleData.sourceUrl))) applyAnnotations();
+      } catch (error) {
+        console.warn('InkPages: Annotation import failed:', error);
+        showNotification(`Import failed: ${error.message}`);
       }
+    }
 
-      // Font buttons
-      elements.fontBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-          settings.fontFamily = btn.dataset.font;
-          applySettings();
-          saveSettings();
-        });
-      });
+    // ============================================
+    // Bookmarks - named pages, found again by the text they start with
+    // ============================================
 
-      // Font size slider
-      if (elements.fontSizeSlider) {
-        elements.fontSizeSlider.addEventListener('input', (e) => {
-          settings.fontSize = parseInt(e.target.value, 10);
-          elements.fontSizeValue.textContent = `${settings.fontSize}px`;
-          applySettings();
-        });
-        elements.fontSizeSlider.addEventListener('change', saveSettings);
-      }
+    let bookmarks = []; // Stored bookmarks of this article
+    let bookmarkPages = new Map(); // id -> page index in the current layout (null if the text is gone)
+    let bookmarksLoad = 0; // Ignores loads overtaken by a newer render
 
-      // Size buttons
-      elements.sizeBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-          const action = btn.dataset.action;
-          if (action === 'increase' && settings.fontSize < 32) {
-            settings.fontSize += 2;
-          } else if (action === 'decrease' && settings.fontSize > 14) {
-            settings.fontSize -= 2;
-          }
-          applySettings();
-          saveSettings();
-        });
+    async function applyBookmarks() {
+      const load = ++bookmarksLoad;
+      bookmarks = [];
+      bookmarkPages = new Map();
+      [elements.btnBookmark, elements.btnBookmarks].forEach(btn => {
+        if (btn) btn.classList.toggle('hidden', isListingMode);
       });
+      updateBookmarkState();
+      if (isListingMode || !articleData || !articleData.sourceUrl) return;
 
-      // Line height slider
-      if (elements.lineHeightSlider) {
-        elements.lineHeightSlider.addEventListener('input', (e) => {
-          settings.lineHeight = parseFloat(e.target.value);
-          elements.lineHeightValue.textContent = settings.lineHeight.toFixed(1);
-          applySettings();
-        });
-        elements.lineHeightSlider.addEventListener('change', saveSettings);
+      let items;
+      try {
+        items = await InkPagesBookmarks.load(articleData.sourceUrl);
+      } catch (error) {
+        console.warn('InkPages: Failed to load bookmarks:', error);
+        return;
       }
+      if (load !== bookmarksLoad) return;
 
-      // Page width slider
-      if (elements.pageWidthSlider) {
-        elements.pageWidthSlider.addEventListener('input', (e) => {
-          settings.pageWidth = parseInt(e.target.value, 10);
-          elements.pageWidthValue.textContent = `${settings.pageWidth}px`;
-          applySettings();
-        });
-        elements.pageWidthSlider.addEventListener('change', saveSettings);
+      bookmarks = items;
+      updateBookmarkPages();
+      updateBookmarkState();
+    }
+
+    async function saveBookmarks() {
+      if (isBookmarksOpen()) renderBookmarks();
+      try {
+        await InkPagesBookmarks.save(articleData.sourceUrl, articleData.title, bookmarks);
+      } catch (error) {
+        console.warn('InkPages: Failed to save bookmarks:', error);
       }
+    }
 
-      // Theme buttons
-      elements.themeBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-          settings.theme = btn.dataset.theme;
-          applySettings();
-          saveSettings();
-        });
+    // Pages move with every layout; the anchors don't
+    function updateBookmarkPages() {
+      bookmarkPages = new Map(bookmarks.map(bookmark => [bookmark.id, getPageForAnchor(bookmark.anchor)]));
+    }
+
+    function bookmarksInView() {
+      return bookmarks.filter(bookmark => {
+        const page = bookmarkPages.get(bookmark.id);
+        return page !== null && page !== undefined && page >= currentPage && page < currentPage + pagesPerView;
       });
+    }
 
-      // Toggles
-      if (elements.toggleBold) {
-        elements.toggleBold.addEventListener('change', (e) => {
-          settings.boldText = e.target.checked;
-          applySettings();
-          saveSettings();
-        });
-      }
-      if (elements.toggleJustify) {
-        elements.toggleJustify.addEventListener('change', (e) => {
-          settings.justifyText = e.target.checked;
-          applySettings();
-          saveSettings();
-        });
-      }
-      if (elements.toggleGrayscale) {
-        elements.toggleGrayscale.addEventListener('change', (e) => {
-          settings.grayscale = e.target.checked;
-          applySettings();
-          saveSettings();
-        });
-      }
-      if (elements.toggleNoImages) {
-        elements.toggleNoImages.addEventListener('change', (e) => {
-          settings.noImages = e.target.checked;
-          applySettings();
-          saveSettings();
-        });
+    // Dog-ear and toolbar button for the page (or spread) on screen
+    function updateBookmarkState() {
+      const marked = bookmarksInView().length > 0;
+      if (elements.dogEar) elements.dogEar.classList.toggle('hidden', !marked);
+      if (elements.btnBookmark) {
+        elements.btnBookmark.classList.toggle('active', marked);
+        elements.btnBookmark.setAttribute('aria-pressed', String(marked));
+        elements.btnBookmark.title = marked ? 'Remove Bookmark' : 'Bookmark This Page';
       }
+    }
 
-      // Safe area slider
-      if (elements.safeAreaSlider) {
-        elements.safeAreaSlider.addEventListener('input', (e) => {
-          settings.safeAreaManual = parseInt(e.target.value, 10);
-          elements.safeAreaValue.textContent = `${settings.safeAreaManual}px`;
-          applySettings();
-        });
-        elements.safeAreaSlider.addEventListener('change', saveSettings);
-      }
+    /**
+     * Bookmark the page on screen, named after its section, or remove the
+     * bookmarks it already has
+     */
+    function toggleBookmark() {
+      if (isListingMode || !articleData || !articleData.sourceUrl) return;
 
-      // Listing mode toggle
-      if (elements.toggleListingMode) {
-        elements.toggleListingMode.addEventListener('change', (e) => {
-          settings.listingModeEnabled = e.target.checked;
-          saveSettings();
-        });
+      const inView = bookmarksInView();
+      if (inView.length > 0) {
+        bookmarks = bookmarks.filter(bookmark => !inView.includes(bookmark));
+      } else {
+        const anchor = getPageAnchor(currentPage);
+        if (!anchor) {
+          showNotification('No text on this page to bookmark');
+          return;
+        }
+        const section = currentTocEntry();
+        const bookmark = InkPagesBookmarks.create(anchor, section ? section.text : `Bookmark ${bookmarks.length + 1}`);
+        bookmarks.push(bookmark);
+        bookmarkPages.set(bookmark.id, currentPage);
       }
 
-      // Window resize
-      let resizeTimeout;
-      window.addEventListener('resize', () => {
-        clearTimeout(resizeTimeout);
-        resizeTimeout = setTimeout(() => {
-          updateHeaderSpacer();
-          setupPagination();
-        }, 150);
+      updateBookmarkState();
+      saveBookmarks();
+    }
+
+    function openBookmarks() {
+      if (!elements.bookmarksPanel) return;
+      closeSettings();
+      closeToc();
+      closeAnnotations();
+      renderBookmarks();
+      elements.bookmarksPanel.classList.remove('hidden');
+    }
+
+    function closeBookmarks() {
+      if (elements.bookmarksPanel) elements.bookmarksPanel.classList.add('hidden');
+    }
+
+    function isBookmarksOpen() {
+      return elements.bookmarksPanel && !elements.bookmarksPanel.classList.contains('hidden');
+    }
+
+    function renderBookmarks() {
+      const items = InkPagesBookmarks.inReadingOrder(bookmarks).map(bookmark => {
+        const page = bookmarkPages.get(bookmark.id);
+        return { ...bookmark, page: page === undefined ? null : page };
       });
 
-      // Debug controls for pagination fixes
-      setupDebugControls();
+      elements.bookmarksEmpty.classList.toggle('hidden', items.length > 0);
+      InkPagesBookmarks.renderList(elements.bookmarksList, items, {
+        onSelect: (item) => {
+          closeBookmarks();
+          jumpToPage(item.page);
+        },
+        onRename: (item, label) => {
+          const bookmark = bookmarks.find(b => b.id === item.id);
+          if (!bookmark || bookmark.label === label) {
+            renderBookmarks();
+            return;
+          }
+          bookmark.label = label;
+          saveBookmarks();
+        },
+        onDelete: (item) => {
+          bookmarks = bookmarks.filter(b => b.id !== item.id);
+          updateBookmarkState();
+          saveBookmarks();
+        }
+      });
     }
 
-    function handleKeydown(e) {
-      if (!isReaderActive) return;
+    // ============================================
+    // Page scrubber and overview - jump anywhere without paging through
+    // ============================================
+
+    let overview = null; // Grid handle while the overview is open
+
+    function toggleScrubber() {
+      if (isScrubberOpen()) closeScrubber();
+      else openScrubber();
+    }
+
+    function openScrubber() {
+      if (!elements.pageScrubber) return;
+      closeSettings();
+      closeToc();
+      hideFootnote();
+      syncScrubber();
+      elements.pageScrubber.classList.remove('hidden');
+    }
+
+    function closeScrubber() {
+      if (elements.pageScrubber) elements.pageScrubber.classList.add('hidden');
+    }
+
+    function isScrubberOpen() {
+      return elements.pageScrubber && !elements.pageScrubber.classList.contains('hidden');
+    }
+
+    function syncScrubber() {
+      elements.scrubberSlider.max = totalPages;
+      elements.scrubberSlider.value = currentPage + 1;
+      updateScrubberPreview(currentPage);
+    }
+
+    // "Page 17 of 60 — 'Section title'"
+    function updateScrubberPreview(page) {
+      const entry = InkPagesToc.currentEntry(tocEntries, page);
+      elements.scrubberPreview.textContent = `Page ${page + 1} of ${totalPages}` +
+        (entry ? ` — ‘${entry.text}’` : '');
+    }
+
+    function openOverview() {
+      if (!elements.pageOverview) return;
+      closeScrubber();
+      elements.pageOverview.classList.remove('hidden');
+      renderOverview();
+    }
+
+    function closeOverview() {
+      if (!elements.pageOverview) return;
+      if (overview) overview.destroy();
+      overview = null;
+      elements.pageOverview.classList.add('hidden');
+    }
+
+    function isOverviewOpen() {
+      return elements.pageOverview && !elements.pageOverview.classList.contains('hidden');
+    }
+
+    function renderOverview() {
+      if (overview) overview.destroy();
+
+      const views = [];
+      for (let page = 0; page < totalPages; page += pagesPerView) {
+        views.push({ page, label: viewLabel(page) });
+      }
 
-      if (elements.settingsPanel && !elements.settingsPanel.classList.contains('hidden')) {
-        if (e.key === 'Escape') {
-          elements.settingsPanel.classList.add('hidden');
+      overview = InkPagesOverview.renderGrid(elements.overviewGrid, {
+        viewport: elements.contentViewport,
+        content: elements.articleContent,
+        views,
+        transformFor: pageTransform,
+        current: currentPage,
+        onSelect: (page) => {
+          closeOverview();
+          goToPage(page);
         }
+      });
+    }
+
+    // ============================================
+    // Find in article - matches are marked in the content and pages turned to them
+    // ============================================
+
+    const MAX_FIND_MATCHES = 500;
+    let findQuery = '';
+    let foundMatches = []; // { marks, snippet, page }
+    let findIndex = -1;
+
+    function openFind() {
+      if (!elements.findBar) return;
+      closeSettings();
+      closeToc();
+      elements.findBar.classList.remove('hidden');
+      elements.findInput.focus();
+      elements.findInput.select();
+    }
+
+    function closeFind() {
+      if (!elements.findBar) return;
+      clearFind();
+      elements.findBar.classList.add('hidden');
+      elements.findInput.blur();
+    }
+
+    function isFindOpen() {
+      return elements.findBar && !elements.findBar.classList.contains('hidden');
+    }
+
+    function clearFind() {
+      InkPagesFind.clearHighlights(elements.articleContent);
+      findQuery = '';
+      foundMatches = [];
+      findIndex = -1;
+      elements.findResults.classList.add('hidden');
+      updateFindControls();
+    }
+
+    function submitFind(backwards) {
+      const query = elements.findInput.value.trim();
+      if (query && query === findQuery) {
+        stepFind(backwards ? -1 : 1);
         return;
       }
 
-      switch (e.key) {
-        case 'ArrowRight':
-          e.preventDefault();
-          nextPage();
-          break;
-        case ' ':
-          e.preventDefault();
-          if (e.shiftKey) prevPage();
-          else nextPage();
-          break;
-        case 'ArrowLeft':
-          e.preventDefault();
-          prevPage();
-          break;
-        case 'ArrowDown':
-        case 'PageDown':
-          e.preventDefault();
-          nextPage();
-          break;
-        case 'ArrowUp':
-        case 'PageUp':
-          e.preventDefault();
-          prevPage();
-          break;
-        case 'Home':
-          e.preventDefault();
-          goToPage(0);
-          break;
-        case 'End':
-          e.preventDefault();
-          goToPage(totalPages - 1);
-          break;
-        case 'Escape':
-          deactivateReaderMode();
-          break;
-        case 's':
-        case 'S':
-          if (!e.ctrlKey && !e.metaKey) {
-            elements.settingsPanel.classList.remove('hidden');
-          }
-          break;
+      clearFind();
+      if (!query) return;
+
+      findQuery = query;
+      foundMatches = InkPagesFind.findMatches(elements.articleContent, query, MAX_FIND_MATCHES);
+      InkPagesFind.highlightMatches(foundMatches);
+      updateFindPages();
+
+      if (foundMatches.length === 0) {
+        updateFindControls();
+        return;
       }
+
+      // Start from the page being read rather than the beginning
+      const index = foundMatches.findIndex(match => match.page >= currentPage);
+      showFindMatch(index === -1 ? 0 : index);
+    }
+
+    /**
+     * Page of each match for the current layout. Matches without a box
+     * (e.g. in captions of hidden images) are dropped.
+     */
+    function updateFindPages() {
+      if (foundMatches.length === 0) return;
+
+      const current = foundMatches[findIndex];
+      foundMatches = foundMatches.filter(match => {
+        const rect = match.marks[0].getClientRects()[0];
+        if (!rect) return false;
+        match.page = getPageForRect(rect);
+        return true;
+      });
+      findIndex = foundMatches.indexOf(current);
+      if (findIndex === -1 && foundMatches.length > 0) findIndex = 0;
+
+      updateFindControls();
+      if (!elements.findResults.classList.contains('hidden')) renderFindResults();
+    }
+
+    function stepFind(direction) {
+      if (foundMatches.length === 0) return;
+      showFindMatch((findIndex + direction + foundMatches.length) % foundMatches.length);
+    }
+
+    function showFindMatch(index) {
+      const previous = foundMatches[findIndex];
+      if (previous) previous.marks.forEach(mark => mark.classList.remove('current'));
+
+      findIndex = index;
+      const match = foundMatches[index];
+      match.marks.forEach(mark => mark.classList.add('current'));
+      updateFindControls();
+      goToPage(match.page);
     }
 
-    // Export article as self-contained HTML file
-    async function exportArticle() {
-      if (!articleData) {
-        console.error('InkPages: No article data to export');
-        return;
+    function updateFindControls() {
+      const count = foundMatches.length;
+      if (!findQuery) elements.findCount.textContent = '';
+      else if (count === 0) elements.findCount.textContent = 'No matches';
+      else {
+        const total = count >= MAX_FIND_MATCHES ? `${count}+` : count;
+        elements.findCount.textContent = `${findIndex + 1} / ${total}`;
       }
 
-      // Generate clean filename from title
-      const cleanTitle = (articleData.title || 'article')
-        .replace(/[^a-zA-Z0-9\s-]/g, '')
-        .replace(/\s+/g, '-')
-        .substring(0, 50)
-        .toLowerCase();
-      const filename = `${cleanTitle}.html`;
+      elements.btnFindPrev.disabled = count === 0;
+      elements.btnFindNext.disabled = count === 0;
+      elements.btnFindList.disabled = count === 0;
+      elements.btnFindList.classList.toggle('active', !elements.findResults.classList.contains('hidden'));
+    }
 
-      // Build self-contained HTML
-      const html = generateExportHTML();
+    function toggleFindResults() {
+      const show = elements.findResults.classList.contains('hidden');
+      if (show) renderFindResults();
+      elements.findResults.classList.toggle('hidden', !show);
+      updateFindControls();
+    }
 
-      // Create file blob
-      const blob = new Blob([html], { type: 'text/html' });
-      const file = new File([blob], filename, { type: 'text/html' });
+    function renderFindResults() {
+      InkPagesFind.renderResults(elements.findResults, foundMatches, (index) => {
+        elements.findResults.classList.add('hidden');
+        showFindMatch(index);
+      });
+    }
 
-      // Try Web Share API first (mobile-friendly, opens share sheet)
-      if (navigator.canShare && navigator.canShare({ files: [file] })) {
-        try {
-          await navigator.share({
-            files: [file],
-            title: articleData.title
-          });
-          return;
-        } catch (err) {
-          // User cancelled or share failed, fall through to download
-          if (err.name !== 'AbortError') {
-            console.log('InkPages: Share failed, falling back to download', err);
-          }
-        }
-      }
+    // ============================================
+    // Footnotes
+    // ============================================
 
-      // Fallback: direct download
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+    /**
+     * Footnote references open their note in a popup (the page stays put);
+     * back-links in the article's own notes section go to the reference's page
+     */
+    function attachFootnotes() {
+      hideFootnote();
+      InkPagesFootnotes.attach(elements.articleContent, articleData.sourceUrl, {
+        onNote: showFootnote,
+        onBackLink: jumpToElement
+      });
     }
 
-    function generateExportHTML() {
-      const title = articleData.title || 'Untitled';
-      const byline = articleData.byline || '';
-      const siteName = articleData.siteName || '';
-      const content = articleData.content || '';
-      const sourceUrl = articleData.sourceUrl || '';
-
-      // Clean, readable styles for the exported HTML
-      const styles = `
-        * { box-sizing: border-box; }
-        body {
-          max-width: 680px;
-          margin: 0 auto;
-          padding: 20px;
-          font-family: Georgia, 'Times New Roman', serif;
-          font-size: 18px;
-          line-height: 1.8;
-          color: #1a1a1a;
-          background: #fff;
-        }
-        header {
-          margin-bottom: 2em;
-          padding-bottom: 1em;
-          border-bottom: 1px solid #e0e0e0;
-        }
-        h1 {
-          font-size: 1.8em;
-          line-height: 1.3;
-          margin: 0 0 0.5em 0;
-        }
-        .meta {
-          color: #666;
-          font-size: 0.9em;
-        }
-        .meta a { color: #666; }
-        .source {
-          margin-top: 0.5em;
-          font-size: 0.85em;
-        }
-        .source a { color: #0066cc; }
-        img {
-          max-width: 100%;
-          height: auto;
-          display: block;
-          margin: 1em 0;
-        }
-        a { color: #0066cc; }
-        blockquote {
-          margin: 1em 0;
-          padding-left: 1em;
-          border-left: 3px solid #ccc;
-          color: #555;
-        }
-        pre, code {
-          background: #f5f5f5;
-          font-family: monospace;
-          font-size: 0.9em;
+    function showFootnote(note) {
+      note.querySelectorAll('a[href]').forEach(link => {
+        if (!link.hasAttribute('data-footnote-back')) {
+          link.setAttribute('target', '_blank');
+          link.setAttribute('rel', 'noopener noreferrer');
         }
-        pre {
-          padding: 1em;
-          overflow-x: auto;
-        }
-        code { padding: 0.2em 0.4em; }
-        pre code { padding: 0; }
-        footer {
-          margin-top: 3em;
-          padding-top: 1em;
-          border-top: 1px solid #e0e0e0;
-          font-size: 0.85em;
-          color: #888;
-        }
-      `;
+      });
+      hideDefinition();
+      elements.footnoteBody.textContent = '';
+      elements.footnoteBody.appendChild(note);
+      elements.footnotePopup.classList.remove('hidden');
+    }
 
-      return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${escapeHtml(title)}</title>
-  <style>${styles}</style>
-</head>
-<body>
-  <article>
-    <header>
-      <h1>${escapeHtml(title)}</h1>
-      ${byline ? `<p class="meta">${escapeHtml(byline)}</p>` : ''}
-      ${siteName ? `<p class="meta">${escapeHtml(siteName)}</p>` : ''}
-      ${sourceUrl ? `<p class="source">Source: <a href="${escapeHtml(sourceUrl)}">${escapeHtml(sourceUrl)}</a></p>` : ''}
-    </header>
-    <main>${content}</main>
-    <footer>
-      Saved with InkPages
-    </footer>
-  </article>
-</body>
-</html>`;
+    function hideFootnote() {
+      if (elements.footnotePopup) elements.footnotePopup.classList.add('hidden');
     }
 
-    // Debug options for testing pagination fixes (controlled via Settings panel)
-    const debugOptions = {
-      zeroUlLiStyles: false,
-      forceListingInline: false,
-      roundPixels: false,
-      useCalculatedWidth: false,
-      integerColumnWidth: false
-    };
+    function isFootnoteOpen() {
+      return elements.footnotePopup && !elements.footnotePopup.classList.contains('hidden');
+    }
 
-    function setupDebugControls() {
-      try {
-        // Wire up debug checkboxes in settings panel
-        const debugZeroUl = shadowRoot.querySelector('#debug-zero-ul');
-      const debugForceListing = shadowRoot.querySelector('#debug-force-listing');
-      const debugRoundPixels = shadowRoot.querySelector('#debug-round-pixels');
-      const debugCalcWidth = shadowRoot.querySelector('#debug-calc-width');
-      const debugIntColumn = shadowRoot.querySelector('#debug-int-column');
-      const debugRecalcBtn = shadowRoot.querySelector('#btn-debug-recalc');
+    // ============================================
+    // Dictionary - definitions from imported dictionaries, never the network
+    // ============================================
 
-      if (debugZeroUl) {
-        debugZeroUl.addEventListener('change', () => {
-          debugOptions.zeroUlLiStyles = debugZeroUl.checked;
-        });
-      }
-      if (debugForceListing) {
-        debugForceListing.addEventListener('change', () => {
-          debugOptions.forceListingInline = debugForceListing.checked;
-        });
-      }
-      if (debugRoundPixels) {
-        debugRoundPixels.addEventListener('change', () => {
-          debugOptions.roundPixels = debugRoundPixels.checked;
-        });
-      }
-      if (debugCalcWidth) {
-        debugCalcWidth.addEventListener('change', () => {
-          debugOptions.useCalculatedWidth = debugCalcWidth.checked;
-        });
-      }
-      if (debugIntColumn) {
-        debugIntColumn.addEventListener('change', () => {
-          debugOptions.integerColumnWidth = debugIntColumn.checked;
-        });
+    let lookupRequest = 0; // Ignores answers overtaken by a newer lookup
+
+    /**
+     * Show the definition of the word at a point. The dictionaries live in
+     * the extension's IndexedDB, which only the background script can reach.
+     */
+    async function lookUpWordAt(x, y, target) {
+      const lang = articleData ? articleData.lang : null;
+      const word = InkPagesWordLookup.wordAtPoint(elements.articleContent, x, y, target, lang);
+      if (!word) return;
+
+      // A double-tap or long-press also selects the word - that isn't a highlight
+      clearSelection();
+      hideAnnotationBar();
+      hideFootnote();
+
+      const request = ++lookupRequest;
+      let response;
+      try {
+        response = await browserAPI.runtime.sendMessage({ type: 'DICTIONARY_LOOKUP', word, lang });
+      } catch (error) {
+        console.warn('InkPages: Dictionary lookup failed:', error);
+        return;
       }
+      if (request !== lookupRequest || !response || response.error) return;
 
-      if (debugRecalcBtn) {
-        debugRecalcBtn.addEventListener('click', () => {
-          applyDebugFixes();
-          setupPagination();
-          updateDebugInfo();
+      InkPagesWordLookup.renderResults(elements.dictionaryBody, word, response);
+      clearSelection(); // Touch selection can arrive after the gesture
+      elements.dictionaryBody.scrollTop = 0;
+      elements.dictionaryPopup.classList.remove('hidden');
+    }
+
+    function clearSelection() {
+      const selection = document.getSelection();
+      if (selection) selection.removeAllRanges();
+    }
+
+    function hideDefinition() {
+      lookupRequest++;
+      if (elements.dictionaryPopup) elements.dictionaryPopup.classList.add('hidden');
+    }
+
+    function isDefinitionOpen() {
+      return elements.dictionaryPopup && !elements.dictionaryPopup.classList.contains('hidden');
+    }
+
+    // ============================================
+    // Read aloud - the spoken sentence is marked, and pages turn to follow it
+    // ============================================
+
+    let readAloud = null; // Player for the rendered content while the bar is open
+    let readAloudVoices = []; // Voices offered for the article's language
+
+    async function openReadAloud() {
+      if (!elements.readAloudBar || isListingMode || !articleData || !InkPagesReadAloud.isSupported()) return;
+      closeSettings();
+      closeScrubber();
+      elements.readAloudBar.classList.remove('hidden');
+      elements.readAloudRate.value = String(settings.readAloudRate);
+
+      if (!readAloud) {
+        readAloud = InkPagesReadAloud.createPlayer(elements.articleContent, {
+          lang: articleData.lang,
+          onPosition: followReadAloud,
+          onStateChange: updateReadAloudControls
         });
-      }
+        readAloud.setRate(settings.readAloudRate);
+        updateReadAloudControls('stopped');
 
-      // Store options globally for setupPagination to access
-      window.__debugOptions = debugOptions;
-      } catch (e) {
-        console.error('InkPages: Error setting up debug controls:', e);
+        const player = readAloud;
+        readAloudVoices = InkPagesReadAloud.voicesFor(await InkPagesReadAloud.loadVoices(), articleData.lang);
+        if (player !== readAloud) return; // Closed while the voices loaded
+
+        const lang = InkPagesReadAloud.primaryLanguage(articleData.lang);
+        InkPagesReadAloud.renderVoiceOptions(elements.readAloudVoice, readAloudVoices, settings.readAloudVoiceByLanguage[lang]);
+        readAloud.setVoice(selectedVoice());
       }
+
+      if (readAloud.state() !== 'playing') playReadAloud();
     }
 
-    function applyDebugFixes() {
-      // Remove previous debug styles
-      const prevStyle = shadowRoot.querySelector('#debug-styles');
-      if (prevStyle) prevStyle.remove();
+    function closeReadAloud() {
+      if (!elements.readAloudBar) return;
+      if (readAloud) readAloud.stop();
+      readAloud = null;
+      elements.readAloudBar.classList.add('hidden');
+    }
 
-      let css = '';
+    function isReadAloudOpen() {
+      return elements.readAloudBar && !elements.readAloudBar.classList.contains('hidden');
+    }
 
-      if (debugOptions.zeroUlLiStyles) {
-        css += `
-          #article-content ul, #article-content ol, #article-content li {
-            padding: 0 !important;
-            margin: 0 !important;
-          }
-        `;
-      }
+    function toggleReadAloud() {
+      if (!readAloud) openReadAloud();
+      else if (readAloud.state() === 'playing') readAloud.pause();
+      else playReadAloud();
+    }
 
-      if (debugOptions.forceListingInline) {
-        css += `
-          #article-content .listing-items,
-          #article-content .listing-sub-links {
-            padding: 0 !important;
-            margin: 0 !important;
-            list-style: none !important;
-          }
-          #article-content .listing-item,
-          #article-content .listing-sub-links li {
-            padding: 0 !important;
-            margin: 0 !important;
-          }
-          #article-content .listing-sub-links {
-            padding-left: 0.75em !important;
-            margin-left: 0.25em !important;
-            border-left: 2px solid #ccc !important;
-          }
-        `;
+    // A paused sentence still in view goes on; otherwise reading starts at the top of the page
+    function playReadAloud() {
+      const rect = readAloud.sentenceRect();
+      if (rect && isRectInView(rect)) {
+        readAloud.play();
+        return;
       }
+      const start = InkPagesTextAnchor.resolveAnchor(elements.articleContent, currentAnchor);
+      readAloud.play(start || { node: elements.articleContent, offset: 0 });
+    }
 
-      if (css) {
-        const style = document.createElement('style');
-        style.id = 'debug-styles';
-        style.textContent = css;
-        shadowRoot.appendChild(style);
+    function selectedVoice() {
+      return readAloudVoices.find(voice => voice.voiceURI === elements.readAloudVoice.value) || null;
+    }
+
+    function isRectInView(rect) {
+      const page = getPageForRect(rect);
+      return page >= currentPage && page < currentPage + pagesPerView;
+    }
+
+    // Spoken text has moved past the pages in view (a word boundary or a new sentence)
+    function followReadAloud(rect) {
+      const page = getPageForRect(rect);
+      while (page >= currentPage + pagesPerView && currentPage + pagesPerView < totalPages) {
+        nextPage();
       }
+    }
 
-      // Update global options
-      window.__debugOptions = debugOptions;
+    function updateReadAloudControls(state) {
+      const playing = state === 'playing';
+      elements.readAloudBar.classList.toggle('playing', playing);
+      elements.btnReadAloudPlay.title = playing ? 'Pause' : 'Play';
+      elements.btnReadAloudSkip.disabled = state === 'stopped';
     }
 
-    function updateDebugInfo() {
-      const infoDiv = shadowRoot.querySelector('#debug-info');
-      if (!infoDiv) return;
+    // ============================================
+    // Loading and re-extraction - for pages that render their content late
+    // ============================================
 
-      const viewport = elements.contentViewport;
-      const content = elements.articleContent;
+    /**
+     * Loading screen: 'loading' while waiting for the page, 'slow' once it
+     * has been changing for a while (offers "Read Now")
+     */
+    function setLoadingState(state) {
+      if (!elements.loadingContainer) return;
+      elements.loadingContainer.classList.remove('hidden');
+      if (elements.loadingSlow) elements.loadingSlow.classList.toggle('hidden', state !== 'slow');
+    }
 
-      if (!viewport || !content) {
-        infoDiv.innerHTML = 'Elements not found';
+    /**
+     * Extract again from the live page, for content that arrived after the
+     * reader opened. Stays on the current text.
+     */
+    function reextract() {
+      closeSettings();
+
+      if (isListingMode) {
+        const listing = extractListing();
+        if (!listing || listing.sections.length === 0) {
+          showNotification('Could not extract listing from this page');
+          return;
+        }
+        listingData = listing;
+        renderListing();
         return;
       }
 
-      const rect = viewport.getBoundingClientRect();
-      const listingItems = content.querySelector('.listing-items');
-      const listingItemsStyle = listingItems ? getComputedStyle(listingItems) : null;
-      const firstLi = content.querySelector('.listing-item');
-      const firstLiStyle = firstLi ? getComputedStyle(firstLi) : null;
-      const subLinks = content.querySelector('.listing-sub-links');
-      const subLinksStyle = subLinks ? getComputedStyle(subLinks) : null;
-
-      infoDiv.innerHTML = `
-        <b>Viewport:</b> ${rect.width.toFixed(1)} x ${rect.height.toFixed(1)}<br>
-        <b>scrollWidth:</b> ${content.scrollWidth}<br>
-        <b>pageWidth:</b> ${pageWidth}<br>
-        <b>totalPages:</b> ${totalPages}<br>
-        <b>currentPage:</b> ${currentPage}<br>
-        <hr style="margin:5px 0;border:none;border-top:1px solid #ccc;">
-        <b>.listing-items pad-L:</b> ${listingItemsStyle ? listingItemsStyle.paddingLeft : 'N/A'}<br>
-        <b>.listing-item margin-B:</b> ${firstLiStyle ? firstLiStyle.marginBottom : 'N/A'}<br>
-        <b>.listing-sub-links pad-L:</b> ${subLinksStyle ? subLinksStyle.paddingLeft : 'N/A'}
-      `;
+      const article = extractArticle();
+      if (!article) {
+        showNotification('Could not extract article from this page');
+        return;
+      }
+      articleData = article;
+      renderArticle({ keepPosition: true });
+      if (settings.stitchPages) {
+        stitchFollowingPages(findNextPageUrl(document, window.location.href));
+      }
     }
 
     // Expose functions for external use
@@ -1777,14 +4673,28 @@
       setupPagination,
       updateHeaderSpacer,
       applySettings,
-      loadReadingPosition
+      loadReadingPosition,
+      restorePosition,
+      setPageDirection,
+      resetDigestSelection,
+      setLoadingState,
+      attachFootnotes,
+      jumpToElement,
+      resetPageHistory,
+      closeFind,
+      closeReadAloud,
+      applyAnnotations,
+      applyBookmarks
     };
   }
 
   /**
    * Render article content
+   * @param {Object} [options]
+   * @param {boolean} [options.keepPosition] - Stay on the current text (content was extended)
+   *   instead of restoring the saved reading position
    */
-  function renderArticle() {
+  function renderArticle({ keepPosition = false } = {}) {
     const elements = window.__einkReaderElements;
     if (!elements || !articleData) return;
 
@@ -1793,6 +4703,18 @@
       elements.loadingContainer.classList.add('hidden');
     }
 
+    // Digest selection only applies to listing mode
+    if (elements.btnDigest) {
+      elements.btnDigest.classList.add('hidden');
+      window.__einkReaderFunctions.resetDigestSelection();
+    }
+    if (elements.btnSave) elements.btnSave.classList.remove('hidden');
+    if (elements.btnOpenTab) elements.btnOpenTab.classList.remove('hidden');
+    if (elements.btnReadAloud) elements.btnReadAloud.classList.toggle('hidden', !InkPagesReadAloud.isSupported());
+
+    // Text direction from Readability (Arabic, Hebrew, Persian, ... are RTL)
+    window.__einkReaderFunctions.setPageDirection(articleData.dir, articleData.lang);
+
     // Set article data
     elements.articleTitle.textContent = articleData.title || '';
     elements.articleByline.textContent = articleData.byline || '';
@@ -1807,7 +4729,16 @@
       elements.articleReadingTime.textContent = `${articleData.readingTime} min read`;
     }
 
-    // Render content
+    // Multi-page articles fetched and combined by stitchFollowingPages()
+    if (elements.articlePages) {
+      elements.articlePages.textContent = articleData.mergedPages
+        ? `Combined from ${articleData.mergedPages} pages`
+        : '';
+    }
+
+    // Render content (an open search and the sentence being read point into the old content)
+    window.__einkReaderFunctions.closeFind();
+    window.__einkReaderFunctions.closeReadAloud();
     elements.articleContent.innerHTML = articleData.content || '';
 
     // Process images
@@ -1819,23 +4750,26 @@
       img.style.breakInside = 'avoid';
     });
 
+    // Footnote references first - their popup takes the click
+    window.__einkReaderFunctions.attachFootnotes();
+    window.__einkReaderFunctions.applyAnnotations();
+    window.__einkReaderFunctions.applyBookmarks();
+    if (!keepPosition) window.__einkReaderFunctions.resetPageHistory();
+
     // Process links - intercept for sticky reader mode
     const links = elements.articleContent.querySelectorAll('a[href]');
     links.forEach(link => {
       link.addEventListener('click', handleLinkClick);
     });
 
-    // Set up pagination after content is rendered
+    // Set up pagination after content is rendered, restoring the saved position
     requestAnimationFrame(() => {
       requestAnimationFrame(async () => {
         const funcs = window.__einkReaderFunctions;
         if (funcs) {
+          if (!keepPosition) funcs.restorePosition(await funcs.loadReadingPosition());
           funcs.updateHeaderSpacer();
           funcs.setupPagination();
-          const savedPage = await funcs.loadReadingPosition();
-          if (savedPage > 0) {
-            funcs.goToPage(savedPage);
-          }
         }
       });
     });
@@ -1853,6 +4787,18 @@
       elements.loadingContainer.classList.add('hidden');
     }
 
+    // Articles on this page can be bundled into a digest
+    if (elements.btnDigest) {
+      elements.btnDigest.classList.remove('hidden');
+      window.__einkReaderFunctions.resetDigestSelection();
+    }
+    // A listing isn't an article to save or open in a tab
+    if (elements.btnSave) elements.btnSave.classList.add('hidden');
+    if (elements.btnOpenTab) elements.btnOpenTab.classList.add('hidden');
+    if (elements.btnReadAloud) elements.btnReadAloud.classList.add('hidden');
+
+    window.__einkReaderFunctions.setPageDirection('ltr');
+
     // Set header data
     elements.articleTitle.textContent = listingData.pageTitle || 'Contents';
     elements.articleByline.textContent = '';
@@ -1886,8 +4832,8 @@
           const mainExternal = item.main.isExternal ? ' <span class="external-indicator">↗</span>' : '';
           html += '<li class="listing-item">';
 
-          // Main link
-          html += `<a href="${escapeHtml(item.main.href)}" class="listing-main-link">${escapeHtml(item.main.text)}${mainExternal}</a>`;
+          // Main link (checkbox is shown while selecting articles for a digest)
+          html += `<a href="${escapeHtml(item.main.href)}" class="listing-main-link"><input type="checkbox" class="listing-select" tabindex="-1" aria-hidden="true">${escapeHtml(item.main.text)}${mainExternal}</a>`;
 
           // Sub-links (if any)
           if (item.subs && item.subs.length > 0) {
@@ -1909,7 +4855,11 @@
     html += '</div>';
 
     // Render content
+    window.__einkReaderFunctions.closeFind();
+    window.__einkReaderFunctions.closeReadAloud();
     elements.articleContent.innerHTML = html;
+    window.__einkReaderFunctions.applyAnnotations();
+    window.__einkReaderFunctions.applyBookmarks();
 
     // Process links - external open in new tab
     const links = elements.articleContent.querySelectorAll('a[href]');
@@ -1922,6 +4872,7 @@
       requestAnimationFrame(() => {
         const funcs = window.__einkReaderFunctions;
         if (funcs) {
+          funcs.restorePosition(null);
           funcs.updateHeaderSpacer();
           funcs.setupPagination();
         }
@@ -1962,12 +4913,22 @@
    * Handle link clicks - external links open in new tab
    */
   function handleLinkClick(e) {
+    if (e.defaultPrevented) return; // Footnote reference or back-link
     const link = e.currentTarget;
     const href = link.href;
 
-    // Only modify external links - open them in new tab
     try {
       const url = new URL(href);
+
+      // Anchor in this article - turn to the page that holds it
+      const target = getAnchorTarget(url);
+      if (target) {
+        e.preventDefault();
+        window.__einkReaderFunctions.jumpToElement(target);
+        return;
+      }
+
+      // Only modify external links - open them in new tab
       if (url.origin !== window.location.origin) {
         // External link - open in new tab
         link.setAttribute('target', '_blank');
@@ -1980,6 +4941,28 @@
     }
   }
 
+  /**
+   * Element of the rendered article a link points at (#section on this
+   * page or on one of the stitched pages), or null
+   */
+  function getAnchorTarget(url) {
+    const elements = window.__einkReaderElements;
+    if (!url.hash || url.hash === '#' || !elements || !articleData) return null;
+
+    const pageUrls = [window.location.href, articleData.sourceUrl, ...(articleData.sourceUrls || [])]
+      .filter(Boolean)
+      .map(pageUrl => pageUrl.split('#')[0]);
+    if (!pageUrls.includes(url.href.split('#')[0])) return null;
+
+    let id = url.hash.slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch {
+      // Keep the raw fragment
+    }
+    return elements.articleContent.querySelector(`[id="${CSS.escape(id)}"], a[name="${CSS.escape(id)}"]`);
+  }
+
   /**
    * Show notification
    */
@@ -0,0 +1,324 @@
+/**
+ * Annotations
+ *
+ * Highlights and notes on article text. Stored in storage.local (see
+ * article-store.js) as annotations: { [article URL]: { url, title,
+ * updated, items } }, where each item is
+ * {
+ *   id:      unique id
+ *   start:   text anchor of the first character (see text-anchor.js)
+ *   end:     text anchor just past the last character
+ *   text:    the highlighted text, for listing and export
+ *   color:   one of COLORS
+ *   note:    the reader's note, '' for a plain highlight
+ *   created: timestamp
+ * }
+ *
+ * Anchors are independent of layout, so annotations survive font and page
+ * changes; in rendered content they are <mark class="annotation"> elements.
+ *
+ * Exported as Markdown for note tools, or as JSON that can be imported
+ * again (on another device, or after clearing storage).
+ *
+ * Shared by the in-page overlay (content script) and reader.html.
+ */
+
+(function() {
+  'use strict';
+
+  const { articleKey, createId } = InkPagesArticleStore;
+  const store = InkPagesArticleStore.createStore('annotations');
+
+  const COLORS = ['yellow', 'green', 'blue', 'pink'];
+
+  const EXPORT_FORMAT = 'inkpages-annotations';
+  const EXPORT_VERSION = 1;
+
+  /**
+   * Annotations sorted by where they start in the article
+   */
+  function inReadingOrder(items) {
+    return [...items].sort((a, b) => a.start.block - b.start.block || a.start.offset - b.start.offset);
+  }
+
+  // Ids as createId() makes them - imported ids must match
+  const ID_FORMAT = /^[a-z0-9-]+$/;
+
+  /**
+   * The current selection as a Range, if it lies inside root.
+   * Selections in a shadow root are only exposed by getComposedRanges().
+   * @param {Element} root
+   * @returns {Range|null}
+   */
+  function selectedRange(root) {
+    const selection = root.ownerDocument.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+    let range = null;
+    const shadowRoot = root.getRootNode();
+    if (shadowRoot !== root.ownerDocument && selection.getComposedRanges) {
+      const [staticRange] = selection.getComposedRanges({ shadowRoots: [shadowRoot] });
+      if (staticRange) {
+        range = root.ownerDocument.createRange();
+        range.setStart(staticRange.startContainer, staticRange.startOffset);
+        range.setEnd(staticRange.endContainer, staticRange.endOffset);
+      }
+    } else {
+      range = selection.getRangeAt(0);
+    }
+
+    if (!range || range.collapsed || !root.contains(range.commonAncestorContainer)) return null;
+    return range;
+  }
+
+  /**
+   * New annotation for a range of the content
+   * @param {Element} root
+   * @param {Range} range
+   * @param {Object} fields - color, note
+   * @returns {Object|null}
+   */
+  function fromRange(root, range, { color = COLORS[0], note = '' } = {}) {
+    const start = InkPagesTextAnchor.anchorFromPosition(root, range.startContainer, range.startOffset);
+    const end = InkPagesTextAnchor.anchorFromPosition(root, range.endContainer, range.endOffset);
+    const text = range.toString().replace(/\s+/g, ' ').trim();
+    if (!start || !end || !text) return null;
+
+    return { id: createId(), start, end, text, color, note, created: Date.now() };
+  }
+
+  // Text nodes inside a range, with the part of each that is selected
+  function rangeSegments(range) {
+    const root = range.commonAncestorContainer;
+    if (root.nodeType === Node.TEXT_NODE) {
+      return [{ node: root, start: range.startOffset, end: range.endOffset }];
+    }
+
+    const segments = [];
+    const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      if (!range.intersectsNode(node)) continue;
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.data.length;
+      if (end > start && node.data.slice(start, end).trim()) segments.push({ node, start, end });
+    }
+    return segments;
+  }
+
+  /**
+   * Mark an annotation in rendered content
+   * @param {Element} root
+   * @param {Object} annotation
+   * @returns {Array<Element>} Its <mark> elements, empty if the text is gone
+   */
+  function apply(root, annotation) {
+    const range = InkPagesTextAnchor.rangeFromAnchors(root, annotation.start, annotation.end);
+    if (!range) return [];
+
+    const marks = [];
+    // Backwards, so splitting a text node doesn't move the segments before it
+    rangeSegments(range).reverse().forEach(({ node, start, end }) => {
+      const mark = node.ownerDocument.createElement('mark');
+      mark.className = 'annotation';
+      mark.dataset.annotationId = annotation.id;
+      marks.unshift(InkPagesTextAnchor.wrapText(node, start, end, mark));
+    });
+
+    update(marks, annotation);
+    return marks;
+  }
+
+  /**
+   * Show an annotation's colour and whether it has a note on its marks
+   */
+  function update(marks, annotation) {
+    marks.forEach((mark, i) => {
+      mark.dataset.color = annotation.color;
+      mark.classList.toggle('annotation-note', Boolean(annotation.note) && i === marks.length - 1);
+    });
+  }
+
+  /**
+   * Remove the marks of one annotation, or of all with no id
+   * @param {Element} root
+   * @param {string} [id]
+   */
+  function unmark(root, id) {
+    const parents = new Set();
+    root.querySelectorAll('mark.annotation').forEach(mark => {
+      if (id && mark.dataset.annotationId !== id) return;
+      parents.add(mark.parentNode);
+      mark.replaceWith(...mark.childNodes);
+    });
+    parents.forEach(parent => parent.normalize());
+  }
+
+  /**
+   * Replace the contents of a list with one entry per annotation
+   * @param {Element} list - <ol> in the drawer
+   * @param {Array} items - Annotations with a page index each (null if not in the content)
+   * @param {function(Object)} onSelect
+   */
+  function renderList(list, items, onSelect) {
+    const doc = list.ownerDocument;
+    list.textContent = '';
+
+    items.forEach(item => {
+      const entry = doc.createElement('li');
+      const button = doc.createElement('button');
+      button.className = 'annotation-item';
+      button.dataset.color = item.color;
+
+      const page = doc.createElement('span');
+      page.className = 'annotation-item-page';
+      page.textContent = item.page === null ? '–' : item.page + 1;
+
+      const body = doc.createElement('span');
+      body.className = 'annotation-item-body';
+      const quote = doc.createElement('span');
+      quote.className = 'annotation-item-text';
+      quote.textContent = item.text;
+      body.appendChild(quote);
+      if (item.note) {
+        const note = doc.createElement('span');
+        note.className = 'annotation-item-note';
+        note.textContent = item.note;
+        body.appendChild(note);
+      }
+
+      button.append(page, body);
+      button.disabled = item.page === null;
+      button.addEventListener('click', () => onSelect(item));
+      entry.appendChild(button);
+      list.appendChild(entry);
+    });
+  }
+
+  // Local date and time, e.g. 2024-05-01 14:03
+  function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  function escapeMarkdown(text) {
+    return text.replace(/([\\[\]*_`])/g, '\\$1');
+  }
+
+  /**
+   * Markdown with a section per article: its highlights as blockquotes,
+   * notes below them, and when each was made
+   * @param {Array<{url: string, title: string, items: Array}>} records
+   * @returns {string}
+   */
+  function toMarkdown(records) {
+    const lines = ['# Highlights & Notes', '', `Exported from InkPages on ${formatTimestamp(Date.now())}`];
+
+    records.forEach(record => {
+      lines.push('', `## [${escapeMarkdown(record.title || record.url)}](<${record.url}>)`);
+
+      inReadingOrder(record.items).forEach(item => {
+        lines.push('', `> ${item.text}`);
+        if (item.note) lines.push('', ...item.note.split('\n'));
+        lines.push('', `*${formatTimestamp(item.created)} · ${item.color}*`);
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * JSON that importJSON() reads back
+   * @param {Array} records - As stored (url, title, updated, items)
+   * @returns {string}
+   */
+  function toJSON(records) {
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exported: new Date().toISOString(),
+      articles: records
+    }, null, 2);
+  }
+
+  function isValidAnchor(anchor) {
+    return Boolean(anchor) && Number.isInteger(anchor.block) && Number.isInteger(anchor.offset) &&
+      typeof anchor.snippet === 'string';
+  }
+
+  function isValidItem(item) {
+    return Boolean(item) && typeof item.id === 'string' && ID_FORMAT.test(item.id) && typeof item.text === 'string' &&
+      isValidAnchor(item.start) && isValidAnchor(item.end);
+  }
+
+  /**
+   * Add the annotations of an exported JSON file to storage. Annotations
+   * that are already stored (same id) are left as they are.
+   * @param {string} text - File contents
+   * @returns {Promise<{articles: string[], added: number}>} URLs that gained annotations, and how many
+   * @throws {Error} If the file isn't an annotations export
+   */
+  async function importJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('Not a JSON file');
+    }
+    if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.articles)) {
+      throw new Error('Not an InkPages annotations file');
+    }
+
+    const all = await store.loadAll();
+    const articles = [];
+    let added = 0;
+
+    data.articles.forEach(record => {
+      if (!record || typeof record.url !== 'string' || !Array.isArray(record.items)) return;
+      const key = articleKey(record.url);
+      const existing = all[key] || { url: key, title: record.title || '', items: [] };
+      const ids = new Set(existing.items.map(item => item.id));
+
+      const fresh = record.items
+        .filter(item => isValidItem(item) && !ids.has(item.id))
+        .map(item => ({
+          id: item.id,
+          start: { block: item.start.block, offset: item.start.offset, snippet: item.start.snippet },
+          end: { block: item.end.block, offset: item.end.offset, snippet: item.end.snippet },
+          text: item.text,
+          color: COLORS.includes(item.color) ? item.color : COLORS[0],
+          note: typeof item.note === 'string' ? item.note : '',
+          created: Number.isFinite(item.created) ? item.created : Date.now()
+        }));
+      if (fresh.length === 0) return;
+
+      all[key] = { ...existing, updated: Date.now(), items: existing.items.concat(fresh) };
+      articles.push(key);
+      added += fresh.length;
+    });
+
+    await store.saveAll(all);
+    return { articles, added };
+  }
+
+  window.InkPagesAnnotations = {
+    COLORS,
+    articleKey,
+    loadAll: store.loadAll,
+    load: store.load,
+    save: store.save,
+    inReadingOrder,
+    selectedRange,
+    fromRange,
+    apply,
+    update,
+    unmark,
+    renderList,
+    formatTimestamp,
+    toMarkdown,
+    toJSON,
+    importJSON
+  };
+})();
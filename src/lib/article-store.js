@@ -0,0 +1,80 @@
+/**
+ * Article Store
+ *
+ * Items kept per article in storage.local (highlights, bookmarks). Each
+ * kind has its own key, holding
+ * { [article URL]: { url, title, updated, items } }
+ * URLs are stored without their fragment: items belong to the article,
+ * not to a spot on its page.
+ *
+ * Shared by the in-page overlay (content script) and reader.html.
+ */
+
+(function() {
+  'use strict';
+
+  const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+  function articleKey(url) {
+    return (url || '').split('#')[0];
+  }
+
+  // Time-ordered and unique enough for one reader's items; only [a-z0-9-]
+  function createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Storage for one kind of item
+   * @param {string} storageKey - storage.local key holding the records
+   * @returns {{loadAll: function(): Promise<Object>, saveAll: function(Object): Promise<void>,
+   *   load: function(string): Promise<Array>, save: function(string, string, Array): Promise<void>}}
+   */
+  function createStore(storageKey) {
+    /**
+     * All records, by article URL
+     */
+    async function loadAll() {
+      const result = await browserAPI.storage.local.get(storageKey);
+      return result[storageKey] || {};
+    }
+
+    async function saveAll(all) {
+      await browserAPI.storage.local.set({ [storageKey]: all });
+    }
+
+    /**
+     * Items of one article, in the order they were saved
+     * @param {string} url - Article URL
+     */
+    async function load(url) {
+      const record = (await loadAll())[articleKey(url)];
+      return record ? record.items : [];
+    }
+
+    /**
+     * Replace the items of one article (an empty list removes it)
+     * @param {string} url
+     * @param {string} title - Kept for listing and export
+     * @param {Array} items
+     */
+    async function save(url, title, items) {
+      const all = await loadAll();
+      const key = articleKey(url);
+      if (items.length > 0) {
+        all[key] = { url: key, title: title || '', updated: Date.now(), items };
+      } else {
+        delete all[key];
+      }
+      await saveAll(all);
+    }
+
+    return { loadAll, saveAll, load, save };
+  }
+
+  window.InkPagesArticleStore = {
+    articleKey,
+    createId,
+    createStore
+  };
+})();
@@ -0,0 +1,141 @@
+/**
+ * Bookmarks
+ *
+ * Named bookmarks on pages of an article, next to the reading position
+ * that is saved automatically. Stored in storage.local (see article-store.js) as
+ * bookmarks: { [article URL]: { url, title, updated, items } }, where each
+ * item is
+ * {
+ *   id:      unique id
+ *   anchor:  text anchor of the first word on the page (see text-anchor.js)
+ *   label:   name shown in the bookmark list
+ *   created: timestamp
+ * }
+ *
+ * Pages are never stored: the anchor is resolved to a page after every
+ * layout, so a bookmark stays with its text when the font size changes.
+ *
+ * Shared by the in-page overlay (content script) and reader.html.
+ */
+
+(function() {
+  'use strict';
+
+  const store = InkPagesArticleStore.createStore('bookmarks');
+
+  /**
+   * New bookmark at a text anchor
+   * @param {{block: number, offset: number, snippet: string}} anchor
+   * @param {string} label
+   * @returns {Object}
+   */
+  function create(anchor, label) {
+    return {
+      id: InkPagesArticleStore.createId(),
+      anchor,
+      label,
+      created: Date.now()
+    };
+  }
+
+  /**
+   * Bookmarks sorted by where they are in the article
+   */
+  function inReadingOrder(items) {
+    return [...items].sort((a, b) => a.anchor.block - b.anchor.block || a.anchor.offset - b.anchor.offset);
+  }
+
+  // Swap an entry's button for a text field until the new name is confirmed
+  function startRename(entry, item, onRename) {
+    const input = entry.ownerDocument.createElement('input');
+    input.type = 'text';
+    input.className = 'bookmark-label-input';
+    input.value = item.label;
+    input.setAttribute('aria-label', 'Bookmark name');
+
+    let done = false;
+    const finish = (label) => {
+      if (done) return;
+      done = true;
+      onRename(item, label);
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(input.value.trim() || item.label);
+      else if (e.key === 'Escape') finish(item.label);
+      else return;
+      e.preventDefault();
+      e.stopPropagation();
+    });
+    input.addEventListener('blur', () => finish(input.value.trim() || item.label));
+
+    entry.querySelector('.bookmark-item').replaceWith(input);
+    input.focus();
+    input.select();
+  }
+
+  function actionButton(doc, title, glyph) {
+    const button = doc.createElement('button');
+    button.className = 'bookmark-action';
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.textContent = glyph;
+    return button;
+  }
+
+  /**
+   * Replace the contents of a list with one entry per bookmark
+   * @param {Element} list - <ol> in the drawer
+   * @param {Array} items - Bookmarks with a page index each (null if the text is gone)
+   * @param {Object} handlers
+   * @param {function(Object)} handlers.onSelect
+   * @param {function(Object, string)} handlers.onRename - Called with the new label (the old one if cancelled)
+   * @param {function(Object)} handlers.onDelete
+   */
+  function renderList(list, items, { onSelect, onRename, onDelete }) {
+    const doc = list.ownerDocument;
+    list.textContent = '';
+
+    items.forEach(item => {
+      const entry = doc.createElement('li');
+      entry.className = 'bookmark-entry';
+
+      const button = doc.createElement('button');
+      button.className = 'bookmark-item';
+
+      const page = doc.createElement('span');
+      page.className = 'bookmark-item-page';
+      page.textContent = item.page === null ? '–' : item.page + 1;
+
+      const body = doc.createElement('span');
+      body.className = 'bookmark-item-body';
+      const label = doc.createElement('span');
+      label.className = 'bookmark-item-label';
+      label.textContent = item.label;
+      const snippet = doc.createElement('span');
+      snippet.className = 'bookmark-item-snippet';
+      snippet.textContent = item.anchor.snippet ? `${item.anchor.snippet}…` : '';
+      body.append(label, snippet);
+
+      button.append(page, body);
+      button.disabled = item.page === null;
+      button.addEventListener('click', () => onSelect(item));
+
+      const rename = actionButton(doc, 'Rename Bookmark', '✎');
+      rename.addEventListener('click', () => startRename(entry, item, onRename));
+      const remove = actionButton(doc, 'Remove Bookmark', '✕');
+      remove.addEventListener('click', () => onDelete(item));
+
+      entry.append(button, rename, remove);
+      list.appendChild(entry);
+    });
+  }
+
+  window.InkPagesBookmarks = {
+    articleKey: InkPagesArticleStore.articleKey,
+    load: store.load,
+    save: store.save,
+    create,
+    inReadingOrder,
+    renderList
+  };
+})();
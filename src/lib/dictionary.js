@@ -0,0 +1,442 @@
+/**
+ * Offline Dictionaries
+ *
+ * Word lists imported on the options page and looked up while reading,
+ * without any network access. Kept in the extension's IndexedDB:
+ * - dictionaries: { id, name, lang, format, entryCount, importedAt }
+ * - entries:      { dictionaryId, key, headword, definition }, indexed by
+ *                 key (the lower-cased headword) and by dictionary
+ *
+ * Imports read StarDict dictionaries (.ifo + .idx + .dict, gzipped .dz
+ * and .gz files included), JSON ({ word: definition } or a list of
+ * entries) and TSV (word<TAB>definition per line).
+ *
+ * Like the library, only usable from extension pages (background page,
+ * options page, reader.html). Content scripts look words up through the
+ * background script (DICTIONARY_LOOKUP message).
+ */
+
+(function() {
+  'use strict';
+
+  const DB_NAME = 'inkpages-dictionaries';
+  const DB_VERSION = 1;
+
+  const IMPORT_BATCH = 5000; // Entries per write transaction
+
+  let dbPromise = null;
+
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('dictionaries')) {
+          db.createObjectStore('dictionaries', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('entries')) {
+          const entries = db.createObjectStore('entries', { autoIncrement: true });
+          entries.createIndex('key', 'key', { unique: false });
+          entries.createIndex('dictionaryId', 'dictionaryId', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  // Wrap an IDBRequest / IDBTransaction in a promise
+  function promisify(target) {
+    return new Promise((resolve, reject) => {
+      if (target instanceof IDBTransaction) {
+        target.oncomplete = () => resolve();
+        target.onerror = () => reject(target.error);
+        target.onabort = () => reject(target.error);
+      } else {
+        target.onsuccess = () => resolve(target.result);
+        target.onerror = () => reject(target.error);
+      }
+    });
+  }
+
+  function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  function normalizeKey(word) {
+    return word.normalize('NFC').trim().toLowerCase();
+  }
+
+  // "en-GB" -> "en"; dictionaries and articles are matched on the language alone
+  function primaryLanguage(lang) {
+    return (lang || '').split(/[-_]/)[0].toLowerCase();
+  }
+
+  // ============================================
+  // Import
+  // ============================================
+
+  /**
+   * Store a parsed dictionary
+   * @param {Object} dictionary
+   * @param {string} dictionary.name
+   * @param {string} dictionary.lang - Language code, '' for any language
+   * @param {string} dictionary.format - 'stardict', 'json' or 'tsv'
+   * @param {Array<[string, string]>} dictionary.entries - [headword, definition] pairs
+   * @param {function(number)} [onProgress] - Called with the number of entries stored so far
+   * @returns {Promise<Object>} The stored dictionary record
+   */
+  async function importDictionary({ name, lang, format, entries }, onProgress) {
+    const db = await openDatabase();
+    const record = {
+      id: createId(),
+      name,
+      lang: primaryLanguage(lang),
+      format,
+      entryCount: entries.length,
+      importedAt: Date.now()
+    };
+
+    try {
+      for (let start = 0; start < entries.length; start += IMPORT_BATCH) {
+        const tx = db.transaction('entries', 'readwrite');
+        const store = tx.objectStore('entries');
+        entries.slice(start, start + IMPORT_BATCH).forEach(([headword, definition]) => {
+          store.put({ dictionaryId: record.id, key: normalizeKey(headword), headword, definition });
+        });
+        await promisify(tx);
+        if (onProgress) onProgress(Math.min(start + IMPORT_BATCH, entries.length));
+      }
+    } catch (error) {
+      await deleteEntries(record.id);
+      throw error;
+    }
+
+    // Listed only once all its entries are in
+    const tx = db.transaction('dictionaries', 'readwrite');
+    tx.objectStore('dictionaries').put(record);
+    await promisify(tx);
+    return record;
+  }
+
+  async function deleteEntries(dictionaryId) {
+    const db = await openDatabase();
+    const tx = db.transaction('entries', 'readwrite');
+    const index = tx.objectStore('entries').index('dictionaryId');
+    const keys = await promisify(index.getAllKeys(dictionaryId));
+    keys.forEach(key => tx.objectStore('entries').delete(key));
+    await promisify(tx);
+  }
+
+  /**
+   * Imported dictionaries, in import order
+   */
+  async function listDictionaries() {
+    const db = await openDatabase();
+    const dictionaries = await promisify(db.transaction('dictionaries').objectStore('dictionaries').getAll());
+    return dictionaries.sort((a, b) => a.importedAt - b.importedAt);
+  }
+
+  /**
+   * Change the name or language of an imported dictionary
+   */
+  async function updateDictionary(id, { name, lang }) {
+    const db = await openDatabase();
+    const tx = db.transaction('dictionaries', 'readwrite');
+    const store = tx.objectStore('dictionaries');
+    const record = await promisify(store.get(id));
+    if (!record) return;
+    if (name !== undefined) record.name = name;
+    if (lang !== undefined) record.lang = primaryLanguage(lang);
+    store.put(record);
+    await promisify(tx);
+  }
+
+  async function deleteDictionary(id) {
+    const db = await openDatabase();
+    const tx = db.transaction('dictionaries', 'readwrite');
+    tx.objectStore('dictionaries').delete(id);
+    await promisify(tx);
+    await deleteEntries(id);
+  }
+
+  // ============================================
+  // Lookup
+  // ============================================
+
+  // Simple English endings, tried when the word itself isn't listed
+  const ENGLISH_ENDINGS = [
+    ['ies', 'y'], ['ied', 'y'], ['es', ''], ['s', ''],
+    ['ed', ''], ['ed', 'e'], ['ing', ''], ['ing', 'e'],
+    ['er', ''], ['est', ''], ['ly', '']
+  ];
+
+  /**
+   * Keys to try for a word, most likely first
+   * @param {string} word
+   * @param {string} lang
+   * @returns {string[]}
+   */
+  function candidates(word, lang) {
+    const key = normalizeKey(word).replace(/^['’]+|['’]+$/g, '');
+    const keys = [key, key.replace(/['’]s$/, '')];
+
+    if (primaryLanguage(lang) === 'en' || !lang) {
+      ENGLISH_ENDINGS.forEach(([ending, replacement]) => {
+        if (key.length > ending.length + 2 && key.endsWith(ending)) {
+          const stem = key.slice(0, -ending.length);
+          keys.push(stem + replacement);
+          // running -> run, stopped -> stop
+          if (!replacement && /([^aeiou])\1$/.test(stem)) keys.push(stem.slice(0, -1));
+        }
+      });
+    }
+
+    return [...new Set(keys)].filter(Boolean);
+  }
+
+  /**
+   * Definitions of a word in the dictionaries for a language (all
+   * dictionaries if the language is unknown; dictionaries without a
+   * language are always used)
+   * @param {string} word
+   * @param {string} [lang] - Article language, e.g. "en-US"
+   * @returns {Promise<{results: Array<{dictionary: string, headword: string, definition: string}>, dictionaryCount: number}>}
+   *   dictionaryCount is the number of dictionaries that were searched
+   */
+  async function lookup(word, lang) {
+    const language = primaryLanguage(lang);
+    const dictionaries = (await listDictionaries())
+      .filter(dictionary => !language || !dictionary.lang || dictionary.lang === language);
+    if (dictionaries.length === 0) return { results: [], dictionaryCount: 0 };
+
+    const names = new Map(dictionaries.map(dictionary => [dictionary.id, dictionary.name]));
+    const db = await openDatabase();
+
+    for (const key of candidates(word, lang)) {
+      const index = db.transaction('entries').objectStore('entries').index('key');
+      const entries = (await promisify(index.getAll(key))).filter(entry => names.has(entry.dictionaryId));
+      if (entries.length > 0) {
+        return {
+          results: entries.map(entry => ({
+            dictionary: names.get(entry.dictionaryId),
+            headword: entry.headword,
+            definition: entry.definition
+          })),
+          dictionaryCount: dictionaries.length
+        };
+      }
+    }
+
+    return { results: [], dictionaryCount: dictionaries.length };
+  }
+
+  // ============================================
+  // File formats
+  // ============================================
+
+  const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  // Plain text from the HTML, XDXF and Pango markup some dictionaries use
+  function markupToText(markup) {
+    return markup
+      .replace(/<br\s*\/?>|<\/(p|div|li|def)>/gi, '\n')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+          const code = entity[1] === 'x' || entity[1] === 'X'
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10);
+          return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity.toLowerCase()] || match;
+      })
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Tab-separated: headword, tab, definition. "\n" in a definition is a
+   * line break; empty lines and lines starting with # are skipped.
+   */
+  function parseTSV(text) {
+    const entries = [];
+    text.split(/\r?\n/).forEach(line => {
+      if (!line.trim() || line.startsWith('#')) return;
+      const tab = line.indexOf('\t');
+      if (tab <= 0) return;
+      const definition = line.slice(tab + 1).replace(/\\n/g, '\n').replace(/\\t/g, '\t').trim();
+      if (definition) entries.push([line.slice(0, tab).trim(), definition]);
+    });
+    return entries;
+  }
+
+  /**
+   * { "word": "definition" }, or a list of [word, definition] pairs or of
+   * { word, definition } objects (definitions may be lists of senses)
+   */
+  function parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('Not a JSON file');
+    }
+
+    const asText = value => Array.isArray(value) ? value.map(String).join('\n') : String(value || '');
+    let pairs;
+    if (Array.isArray(data)) {
+      pairs = data.map(item => Array.isArray(item)
+        ? [item[0], item[1]]
+        : [item && (item.word || item.headword || item.term), item && (item.definition || item.definitions || item.meaning)]);
+    } else if (data && typeof data === 'object') {
+      pairs = Object.entries(data);
+    } else {
+      throw new Error('No entries found in the JSON file');
+    }
+
+    return pairs
+      .filter(([word, definition]) => typeof word === 'string' && word.trim() && definition)
+      .map(([word, definition]) => [word.trim(), asText(definition).trim()]);
+  }
+
+  async function gunzip(buffer) {
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+  }
+
+  function parseIfo(text) {
+    const info = {};
+    text.split(/\r?\n/).forEach(line => {
+      const eq = line.indexOf('=');
+      if (eq > 0) info[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+    });
+    return info;
+  }
+
+  // Readable text of one StarDict entry; without a sametypesequence each
+  // field carries its own type
+  function stardictDefinition(bytes, sameTypeSequence, decoder) {
+    const parts = [];
+    let pos = 0;
+    const types = sameTypeSequence ? sameTypeSequence.split('') : null;
+
+    for (let field = 0; pos < bytes.length && (!types || field < types.length); field++) {
+      const type = types ? types[field] : String.fromCharCode(bytes[pos++]);
+      const last = types && field === types.length - 1;
+      let data;
+
+      if (type === type.toLowerCase()) {
+        // Text, ended by a NUL (except the last field of a sametypesequence)
+        let end = last ? bytes.length : bytes.indexOf(0, pos);
+        if (end === -1) end = bytes.length;
+        data = bytes.subarray(pos, end);
+        pos = end + 1;
+      } else {
+        // Binary (images, sounds) - skipped
+        const size = last ? bytes.length - pos : new DataView(bytes.buffer, bytes.byteOffset + pos, 4).getUint32(0);
+        pos += (last ? 0 : 4) + size;
+        continue;
+      }
+
+      const text = decoder.decode(data);
+      if (type === 'r') continue; // Resource file list
+      parts.push('hxgk'.includes(type) ? markupToText(text) : text.trim());
+    }
+
+    return parts.filter(Boolean).join('\n');
+  }
+
+  /**
+   * StarDict dictionary from its .ifo, .idx and .dict files
+   * @param {{ifo: string, idx: ArrayBuffer, dict: ArrayBuffer}} files - Already decompressed
+   * @returns {{name: string, entries: Array<[string, string]>}}
+   */
+  function parseStarDict({ ifo, idx, dict }) {
+    const info = parseIfo(ifo);
+    if (!info.version) throw new Error('Not a StarDict .ifo file');
+
+    const decoder = new TextDecoder('utf-8');
+    const index = new Uint8Array(idx);
+    const data = new Uint8Array(dict);
+    const view = new DataView(idx);
+    const offsetBytes = info.idxoffsetbits === '64' ? 8 : 4;
+
+    const entries = [];
+    let pos = 0;
+    while (pos < index.length) {
+      const end = index.indexOf(0, pos);
+      if (end === -1 || end + 1 + offsetBytes + 4 > index.length) break;
+      const headword = decoder.decode(index.subarray(pos, end));
+      pos = end + 1;
+
+      const offset = offsetBytes === 8
+        ? Number(view.getBigUint64(pos))
+        : view.getUint32(pos);
+      const size = view.getUint32(pos + offsetBytes);
+      pos += offsetBytes + 4;
+
+      const definition = stardictDefinition(data.subarray(offset, offset + size), info.sametypesequence, decoder);
+      if (headword && definition) entries.push([headword, definition]);
+    }
+
+    return { name: info.bookname || 'StarDict dictionary', entries };
+  }
+
+  function fileBaseName(name) {
+    return name.replace(/\.(ifo|idx|idx\.gz|dict|dict\.dz|json|tsv|txt)$/i, '');
+  }
+
+  /**
+   * Read dictionary files picked on the options page
+   * @param {File[]} files - One JSON or TSV file, or the files of a StarDict dictionary
+   * @returns {Promise<{name: string, format: string, entries: Array<[string, string]>}>}
+   */
+  async function readFiles(files) {
+    const byName = name => files.find(file => file.name.toLowerCase().endsWith(name));
+
+    const ifo = byName('.ifo');
+    if (ifo) {
+      const idxFile = byName('.idx') || byName('.idx.gz');
+      const dictFile = byName('.dict') || byName('.dict.dz');
+      if (!idxFile || !dictFile) throw new Error('Pick the .ifo, .idx and .dict (or .dict.dz) files together');
+
+      let idx = await idxFile.arrayBuffer();
+      if (idxFile.name.toLowerCase().endsWith('.gz')) idx = await gunzip(idx);
+      let dict = await dictFile.arrayBuffer();
+      if (dictFile.name.toLowerCase().endsWith('.dz')) dict = await gunzip(dict);
+
+      const { name, entries } = parseStarDict({ ifo: await ifo.text(), idx, dict });
+      return { name, format: 'stardict', entries };
+    }
+
+    if (files.length !== 1) throw new Error('Pick one JSON or TSV file, or the files of a StarDict dictionary');
+    const [file] = files;
+    const text = await file.text();
+    const isJSON = file.name.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+    const entries = isJSON ? parseJSON(text) : parseTSV(text);
+    return { name: fileBaseName(file.name), format: isJSON ? 'json' : 'tsv', entries };
+  }
+
+  window.InkPagesDictionary = {
+    importDictionary,
+    listDictionaries,
+    updateDictionary,
+    deleteDictionary,
+    lookup,
+    candidates,
+    readFiles,
+    parseTSV,
+    parseJSON,
+    parseStarDict
+  };
+})();
@@ -0,0 +1,571 @@
+/**
+ * EPUB 3 Builder
+ *
+ * Packages one or more extracted articles into an EPUB 3 container that
+ * e-reader apps (Kobo, PocketBook, Boox, ...) open as a real book:
+ * - mimetype + META-INF/container.xml
+ * - OPF package document with Dublin Core metadata
+ * - XHTML nav document built from article titles and h2/h3 headings
+ * - One XHTML chapter per article, with images embedded as resources
+ *
+ * The ZIP container is written uncompressed (STORE), which every reader
+ * supports and keeps this file free of dependencies.
+ *
+ * Usage:
+ *   const blob = await InkPagesEpub.buildEpub({
+ *     title, language, dir, creator, publisher, source,
+ *     parts: [{ title: null, articles: [articleData] }]
+ *   });
+ */
+
+(function() {
+  'use strict';
+
+  const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+  // Image types EPUB readers are required to support (EPUB 3.3 core media types)
+  const IMAGE_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg'
+  };
+
+  const EXTENSION_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml'
+  };
+
+  const BOOK_CSS = `
+body {
+  font-family: serif;
+  line-height: 1.6;
+  margin: 0 0.5em;
+}
+h1 { font-size: 1.6em; line-height: 1.25; margin: 0 0 0.5em 0; }
+h2 { font-size: 1.3em; line-height: 1.3; margin: 1.5em 0 0.5em 0; }
+h3 { font-size: 1.1em; line-height: 1.3; margin: 1.2em 0 0.5em 0; }
+.part-title { text-align: center; margin-top: 30%; }
+.article-header { margin-bottom: 1.5em; padding-bottom: 0.75em; border-bottom: 1px solid #999; }
+.meta { font-size: 0.9em; font-style: italic; margin: 0.25em 0; }
+.source { font-size: 0.8em; margin: 0.25em 0; word-wrap: break-word; }
+img { max-width: 100%; height: auto; }
+figure { margin: 1em 0; }
+figcaption { font-size: 0.85em; text-align: center; }
+blockquote { margin: 1em 0; padding-left: 1em; border-left: 3px solid #999; }
+pre { white-space: pre-wrap; font-size: 0.85em; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #999; padding: 0.25em 0.5em; }
+`;
+
+  // ============================================
+  // ZIP Writer (STORE only)
+  // ============================================
+
+  let crcTable = null;
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Build an uncompressed ZIP archive.
+   * Entries are written in order - EPUB requires "mimetype" to come first.
+   * @param {Array<{name: string, data: string|Uint8Array}>} entries
+   * @returns {Blob}
+   */
+  function createZip(entries) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    // DOS date/time for all entries
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    for (const entry of entries) {
+      const nameBytes = encoder.encode(entry.name);
+      const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+      const crc = crc32(data);
+
+      // Local file header
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);          // version needed
+      local.setUint16(6, 0x0800, true);      // flags: UTF-8 file names
+      local.setUint16(8, 0, true);           // method: STORE
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);          // extra field length
+
+      chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+      // Central directory header
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014B50, true);
+      header.setUint16(4, 20, true);         // version made by
+      header.setUint16(6, 20, true);         // version needed
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, dosTime, true);
+      header.setUint16(14, dosDate, true);
+      header.setUint32(16, crc, true);
+      header.setUint32(20, data.length, true);
+      header.setUint32(24, data.length, true);
+      header.setUint16(28, nameBytes.length, true);
+      header.setUint32(42, offset, true);    // local header offset (other fields zero)
+      central.push(new Uint8Array(header.buffer), nameBytes);
+
+      offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: 'application/epub+zip' });
+  }
+
+  // ============================================
+  // XML / XHTML helpers
+  // ============================================
+
+  function escapeXml(text) {
+    return String(text == null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Serialize the children of an HTML element as well-formed XHTML
+   */
+  function serializeChildren(element) {
+    const serializer = new XMLSerializer();
+    const xml = serializer.serializeToString(element);
+    // Strip the wrapper element, keeping its (namespace-inheriting) children
+    const start = xml.indexOf('>') + 1;
+    const end = xml.lastIndexOf('</');
+    if (start <= 0 || end < start) return '';
+    return xml.substring(start, end).replace(new RegExp(` xmlns="${XHTML_NS}"`, 'g'), '');
+  }
+
+  function xhtmlDocument(title, lang, dir, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="${XHTML_NS}" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(lang)}" lang="${escapeXml(lang)}" dir="${escapeXml(dir)}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+  }
+
+  function randomUuid() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0F) | 0x40;
+    bytes[8] = (bytes[8] & 0x3F) | 0x80;
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  // ============================================
+  // Images
+  // ============================================
+
+  function mediaTypeFor(url, contentType) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (IMAGE_TYPES[type]) return type;
+
+    try {
+      const ext = new URL(url).pathname.split('.').pop().toLowerCase();
+      return EXTENSION_TYPES[ext] || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Download an image so it can be embedded in the book.
+   * Returns null for failed downloads and unsupported formats.
+   */
+  async function fetchImage(url) {
+    try {
+      if (url.startsWith('data:')) {
+        const match = url.match(/^data:([^;,]+)(;base64)?,(.*)$/);
+        if (!match || !IMAGE_TYPES[match[1]]) return null;
+        // Percent-encoded data (usually SVG) is text - encode it as UTF-8, not byte by byte
+        const data = match[2]
+          ? Uint8Array.from(atob(match[3]), c => c.charCodeAt(0))
+          : new TextEncoder().encode(decodeURIComponent(match[3]));
+        return { mediaType: match[1], data };
+      }
+
+      const response = await fetch(url, { credentials: 'include' });
+      if (!response.ok) return null;
+      const mediaType = mediaTypeFor(url, response.headers.get('Content-Type'));
+      if (!mediaType) return null;
+      return { mediaType, data: new Uint8Array(await response.arrayBuffer()) };
+    } catch (e) {
+      console.warn('InkPages: Failed to download image for EPUB', url, e);
+      return null;
+    }
+  }
+
+  // ============================================
+  // Chapters
+  // ============================================
+
+  /**
+   * Convert one article into an XHTML chapter.
+   * Assigns ids to h2/h3 headings (for the nav document) and collects
+   * the images that need to be embedded.
+   */
+  function prepareChapter(article, index, book, imageCache) {
+    const filename = `chapter-${index + 1}.xhtml`;
+    const doc = new DOMParser().parseFromString('<!DOCTYPE html><body></body>', 'text/html');
+    const body = doc.body;
+
+    // Article header - title, byline, site and source link
+    const header = doc.createElement('header');
+    header.className = 'article-header';
+    const h1 = doc.createElement('h1');
+    h1.textContent = article.title || 'Untitled';
+    header.appendChild(h1);
+    [article.byline, article.siteName !== book.publisher ? article.siteName : '']
+      .filter(Boolean)
+      .forEach(text => {
+        const p = doc.createElement('p');
+        p.className = 'meta';
+        p.textContent = text;
+        header.appendChild(p);
+      });
+    if (article.sourceUrl) {
+      const p = doc.createElement('p');
+      p.className = 'source';
+      const a = doc.createElement('a');
+      a.href = article.sourceUrl;
+      a.textContent = article.sourceUrl;
+      p.append('Source: ', a);
+      header.appendChild(p);
+    }
+
+    const section = doc.createElement('section');
+    section.setAttribute('epub:type', 'chapter');
+    section.appendChild(header);
+
+    const main = doc.createElement('div');
+    main.innerHTML = article.content || '';
+    section.appendChild(main);
+    body.appendChild(section);
+
+    // Nothing that needs a network connection or a script engine
+    main.querySelectorAll('script, style, iframe, object, embed, video, audio, source, picture > source').forEach(el => el.remove());
+
+    // Headings for the nav document
+    const headings = [];
+    main.querySelectorAll('h2, h3').forEach((heading, i) => {
+      const text = heading.textContent.trim();
+      if (!text) return;
+      if (!heading.id) heading.id = `ch${index + 1}-section-${i + 1}`;
+      headings.push({ id: heading.id, text, level: heading.tagName === 'H2' ? 2 : 3 });
+    });
+
+    // Images to embed - remember the element so src can be rewritten later
+    const images = [];
+    main.querySelectorAll('img').forEach(img => {
+      const src = img.getAttribute('src') || img.dataset.src || img.dataset.lazySrc;
+      img.removeAttribute('srcset');
+      img.removeAttribute('sizes');
+      img.removeAttribute('loading');
+      if (!img.hasAttribute('alt')) img.setAttribute('alt', '');
+      if (!src) {
+        img.remove();
+        return;
+      }
+      let url;
+      try {
+        url = new URL(src, article.sourceUrl || undefined).href;
+      } catch {
+        img.remove();
+        return;
+      }
+      if (!imageCache.has(url)) imageCache.set(url, null);
+      images.push({ element: img, url });
+    });
+
+    // Internal links that point at this article's own anchors stay relative
+    main.querySelectorAll('a[href]').forEach(a => {
+      const href = a.getAttribute('href');
+      if (href.startsWith('#')) return;
+      try {
+        const url = new URL(href, article.sourceUrl || undefined);
+        if (article.sourceUrl && url.hash && url.href.split('#')[0] === article.sourceUrl.split('#')[0]) {
+          a.setAttribute('href', url.hash);
+        } else {
+          a.setAttribute('href', url.href);
+        }
+      } catch {
+        a.removeAttribute('href');
+      }
+    });
+
+    return { filename, title: article.title || 'Untitled', article, body, images, headings };
+  }
+
+  function buildNav(book, chapters) {
+    function link(href, text) {
+      return `<a href="${escapeXml(href)}">${escapeXml(text)}</a>`;
+    }
+
+    // h2 headings at the top level, h3 headings nested under the preceding h2
+    function headingList(chapter) {
+      const tree = [];
+      chapter.headings.forEach(heading => {
+        const parent = tree[tree.length - 1];
+        if (heading.level === 3 && parent) {
+          parent.children.push(heading);
+        } else {
+          tree.push({ ...heading, children: [] });
+        }
+      });
+      if (tree.length === 0) return '';
+
+      return '<ol>' + tree.map(heading => {
+        const children = heading.children.length
+          ? '<ol>' + heading.children.map(child => `<li>${link(`${chapter.filename}#${child.id}`, child.text)}</li>`).join('') + '</ol>'
+          : '';
+        return `<li>${link(`${chapter.filename}#${heading.id}`, heading.text)}${children}</li>`;
+      }).join('') + '</ol>';
+    }
+
+    let items = '';
+
+    if (chapters.length === 1) {
+      // Single article - nav lists the article itself and its sections
+      const chapter = chapters[0];
+      items = `<li>${link(chapter.filename, chapter.title)}${headingList(chapter)}</li>`;
+    } else {
+      // Multi-article book - chapters grouped under their part titles
+      for (const part of book.parts) {
+        const partChapters = chapters.filter(c => c.part === part);
+        if (partChapters.length === 0) continue;
+        const chapterItems = partChapters.map(chapter => `<li>${link(chapter.filename, chapter.title)}</li>`).join('');
+        if (partChapters[0].partFile) {
+          items += `<li>${link(partChapters[0].partFile, part.title)}<ol>${chapterItems}</ol></li>`;
+        } else {
+          items += chapterItems;
+        }
+      }
+    }
+
+    const body = `<nav epub:type="toc" id="toc">
+  <h1>${escapeXml(book.title)}</h1>
+  <ol>${items}</ol>
+</nav>`;
+    return xhtmlDocument(book.title, book.language, book.dir, body);
+  }
+
+  function buildOpf(book, manifestItems, spineIds) {
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const progression = book.dir === 'rtl' ? ' page-progression-direction="rtl"' : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="pub-id" xml:lang="${escapeXml(book.language)}" dir="${escapeXml(book.dir)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="pub-id">urn:uuid:${book.identifier}</dc:identifier>
+    <dc:title>${escapeXml(book.title)}</dc:title>
+    <dc:language>${escapeXml(book.language)}</dc:language>
+${book.creator ? `    <dc:creator>${escapeXml(book.creator)}</dc:creator>\n` : ''}${book.publisher ? `    <dc:publisher>${escapeXml(book.publisher)}</dc:publisher>\n` : ''}${book.source ? `    <dc:source>${escapeXml(book.source)}</dc:source>\n` : ''}${book.description ? `    <dc:description>${escapeXml(book.description)}</dc:description>\n` : ''}    <dc:date>${modified.substring(0, 10)}</dc:date>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+${manifestItems.map(item => `    <item id="${item.id}" href="${escapeXml(item.href)}" media-type="${item.mediaType}"${item.properties ? ` properties="${item.properties}"` : ''}/>`).join('\n')}
+  </manifest>
+  <spine${progression}>
+${spineIds.map(id => `    <itemref idref="${id}"/>`).join('\n')}
+  </spine>
+</package>`;
+  }
+
+  /**
+   * Build an EPUB 3 file.
+   *
+   * @param {Object} options
+   * @param {string} options.title - Book title
+   * @param {string} [options.language] - BCP 47 language tag
+   * @param {string} [options.dir] - 'ltr' or 'rtl'
+   * @param {string} [options.creator] - Author / byline
+   * @param {string} [options.publisher] - Site name
+   * @param {string} [options.source] - Source URL
+   * @param {string} [options.description]
+   * @param {Array<{title: string|null, articles: Object[]}>} options.parts -
+   *   Articles (in the articleData shape) grouped under optional part titles
+   * @param {boolean} [options.embedImages=true]
+   * @returns {Promise<Blob>}
+   */
+  async function buildEpub(options) {
+    const book = {
+      title: options.title || 'Untitled',
+      language: options.language || 'en',
+      dir: options.dir === 'rtl' ? 'rtl' : 'ltr',
+      creator: options.creator || '',
+      publisher: options.publisher || '',
+      source: options.source || '',
+      description: options.description || '',
+      parts: options.parts || [],
+      identifier: randomUuid()
+    };
+    const embedImages = options.embedImages !== false;
+
+    // Prepare chapters
+    const imageCache = new Map();
+    const chapters = [];
+    const partFiles = [];
+    const grouped = book.parts.filter(p => p.articles && p.articles.length).length > 1;
+
+    for (const part of book.parts) {
+      if (!part.articles || part.articles.length === 0) continue;
+
+      // Part title pages for grouped books (e.g. "News", "Sport")
+      let partFile = null;
+      if (grouped && part.title) {
+        partFile = `part-${partFiles.length + 1}.xhtml`;
+        partFiles.push({ filename: partFile, part });
+      }
+
+      for (const article of part.articles) {
+        const chapter = prepareChapter(article, chapters.length, book, imageCache);
+        chapter.part = part;
+        chapter.partFile = partFile;
+        chapters.push(chapter);
+      }
+    }
+
+    // Download images once per URL
+    if (embedImages) {
+      let imageIndex = 0;
+      for (const url of imageCache.keys()) {
+        const image = await fetchImage(url);
+        if (image) {
+          imageIndex++;
+          const filename = `images/image-${String(imageIndex).padStart(3, '0')}.${IMAGE_TYPES[image.mediaType]}`;
+          imageCache.set(url, { filename, ...image });
+        }
+      }
+    }
+
+    chapters.forEach(chapter => {
+      chapter.images.forEach(({ element, url }) => {
+        const image = imageCache.get(url);
+        if (image) {
+          element.setAttribute('src', image.filename);
+        } else {
+          element.remove();
+        }
+      });
+    });
+
+    // Assemble container entries
+    const entries = [
+      { name: 'mimetype', data: 'application/epub+zip' },
+      {
+        name: 'META-INF/container.xml',
+        data: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`
+      }
+    ];
+
+    const manifestItems = [
+      { id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' },
+      { id: 'css', href: 'style.css', mediaType: 'text/css' }
+    ];
+    const spineIds = [];
+
+    entries.push({ name: 'OEBPS/nav.xhtml', data: buildNav(book, chapters) });
+    entries.push({ name: 'OEBPS/style.css', data: BOOK_CSS });
+
+    chapters.forEach((chapter, i) => {
+      const partInfo = partFiles.find(p => p.filename === chapter.partFile);
+      if (partInfo && !partInfo.written) {
+        partInfo.written = true;
+        const id = partInfo.filename.replace('.xhtml', '');
+        const body = `<section epub:type="part"><h1 class="part-title">${escapeXml(partInfo.part.title)}</h1></section>`;
+        entries.push({ name: `OEBPS/${partInfo.filename}`, data: xhtmlDocument(partInfo.part.title, book.language, book.dir, body) });
+        manifestItems.push({ id, href: partInfo.filename, mediaType: 'application/xhtml+xml' });
+        spineIds.push(id);
+      }
+
+      const article = chapter.article;
+      const id = `chapter-${i + 1}`;
+      const lang = article.lang || book.language;
+      const dir = article.dir === 'rtl' ? 'rtl' : 'ltr';
+      entries.push({
+        name: `OEBPS/${chapter.filename}`,
+        data: xhtmlDocument(chapter.title, lang, dir, serializeChildren(chapter.body))
+      });
+      manifestItems.push({ id, href: chapter.filename, mediaType: 'application/xhtml+xml' });
+      spineIds.push(id);
+    });
+
+    let imageId = 0;
+    for (const image of imageCache.values()) {
+      if (!image) continue;
+      imageId++;
+      entries.push({ name: `OEBPS/${image.filename}`, data: image.data });
+      manifestItems.push({ id: `img-${imageId}`, href: image.filename, mediaType: image.mediaType });
+    }
+
+    entries.push({ name: 'OEBPS/content.opf', data: buildOpf(book, manifestItems, spineIds) });
+
+    return createZip(entries);
+  }
+
+  window.InkPagesEpub = {
+    buildEpub,
+    createZip,
+    escapeXml
+  };
+})();
@@ -0,0 +1,181 @@
+/**
+ * Find in Article
+ *
+ * Text search over rendered article content. The browser's own find bar
+ * can't see into the reader's closed shadow root, and where it does match
+ * it scrolls content that is paginated with transforms - so the reader
+ * searches itself, wraps the matches in <mark> and turns pages to them.
+ *
+ * Matches may cross inline elements (<em>, <a>, ...) but not blocks.
+ * Marks are added with InkPagesTextAnchor.wrapText(), so text anchors
+ * (block + character offset) stay valid while matches are highlighted.
+ *
+ * Shared by the in-page overlay (content script) and reader.html.
+ */
+
+(function() {
+  'use strict';
+
+  const { BLOCK_SELECTOR, IGNORE_SELECTOR } = InkPagesTextAnchor;
+
+  const MARK_CLASS = 'find-match';
+  const SNIPPET_CONTEXT = 40;
+
+  // Text nodes grouped by block, each with its offset into the block's text
+  function collectBlocks(root) {
+    const doc = root.ownerDocument;
+    const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        const parent = node.parentElement;
+        if (parent && parent.closest(IGNORE_SELECTOR)) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    const blocks = [];
+    let current = null;
+    let node;
+    while ((node = walker.nextNode())) {
+      const parent = node.parentElement;
+      let block = parent.closest(BLOCK_SELECTOR);
+      if (!block || !root.contains(block)) block = parent;
+
+      if (!current || current.block !== block) {
+        current = { block, text: '', nodes: [] };
+        blocks.push(current);
+      }
+      current.nodes.push({ node, start: current.text.length });
+      current.text += node.data;
+    }
+
+    return blocks;
+  }
+
+  // Case-insensitive, and any run of whitespace in the query matches any other
+  function queryPattern(query) {
+    const escaped = query.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(escaped, 'giu');
+  }
+
+  function snippetFor(text, start, end) {
+    const from = Math.max(0, start - SNIPPET_CONTEXT);
+    const to = Math.min(text.length, end + SNIPPET_CONTEXT);
+    const clean = s => s.replace(/\s+/g, ' ');
+    return {
+      before: (from > 0 ? '…' : '') + clean(text.slice(from, start)).trimStart(),
+      match: clean(text.slice(start, end)),
+      after: clean(text.slice(end, to)).trimEnd() + (to < text.length ? '…' : '')
+    };
+  }
+
+  /**
+   * Matches of a query in document order
+   * @param {Element} root - Rendered article content
+   * @param {string} query
+   * @param {number} [limit] - Stop after this many matches
+   * @returns {Array<{segments: Array<{node: Text, start: number, end: number}>, snippet: Object}>}
+   */
+  function findMatches(root, query, limit = Infinity) {
+    if (!query || !query.trim()) return [];
+
+    const pattern = queryPattern(query);
+    const matches = [];
+
+    for (const { text, nodes } of collectBlocks(root)) {
+      pattern.lastIndex = 0;
+      let result;
+      while ((result = pattern.exec(text))) {
+        if (result[0].length === 0) {
+          pattern.lastIndex++;
+          continue;
+        }
+        const start = result.index;
+        const end = start + result[0].length;
+
+        const segments = nodes
+          .filter(({ node, start: nodeStart }) => nodeStart < end && nodeStart + node.data.length > start)
+          .map(({ node, start: nodeStart }) => ({
+            node,
+            start: Math.max(0, start - nodeStart),
+            end: Math.min(node.data.length, end - nodeStart)
+          }));
+
+        matches.push({ segments, snippet: snippetFor(text, start, end) });
+        if (matches.length >= limit) return matches;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Wrap each match in <mark class="find-match">; sets match.marks.
+   * Works backwards so splitting a text node never moves an earlier match.
+   * @param {Array} matches - From findMatches()
+   */
+  function highlightMatches(matches) {
+    for (let i = matches.length - 1; i >= 0; i--) {
+      const match = matches[i];
+      match.marks = [];
+
+      for (let j = match.segments.length - 1; j >= 0; j--) {
+        const { node, start, end } = match.segments[j];
+        const mark = node.ownerDocument.createElement('mark');
+        mark.className = MARK_CLASS;
+        match.marks.unshift(InkPagesTextAnchor.wrapText(node, start, end, mark));
+      }
+    }
+  }
+
+  /**
+   * Remove all find highlights, merging the split text back together
+   * @param {Element} root
+   */
+  function clearHighlights(root) {
+    const parents = new Set();
+    root.querySelectorAll(`mark.${MARK_CLASS}`).forEach(mark => {
+      parents.add(mark.parentNode);
+      mark.replaceWith(...mark.childNodes);
+    });
+    parents.forEach(parent => parent.normalize());
+  }
+
+  /**
+   * Replace the contents of a list with one button per match
+   * @param {Element} list - <ol> of results
+   * @param {Array} matches - With a page index each
+   * @param {function(number)} onSelect - Index of the chosen match
+   */
+  function renderResults(list, matches, onSelect) {
+    const doc = list.ownerDocument;
+    list.textContent = '';
+
+    matches.forEach((match, index) => {
+      const item = doc.createElement('li');
+      const button = doc.createElement('button');
+      button.className = 'find-result';
+
+      const page = doc.createElement('span');
+      page.className = 'find-result-page';
+      page.textContent = match.page + 1;
+
+      const snippet = doc.createElement('span');
+      snippet.className = 'find-result-snippet';
+      const strong = doc.createElement('strong');
+      strong.textContent = match.snippet.match;
+      snippet.append(match.snippet.before, strong, match.snippet.after);
+
+      button.append(page, snippet);
+      button.addEventListener('click', () => onSelect(index));
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+  }
+
+  window.InkPagesFind = {
+    findMatches,
+    highlightMatches,
+    clearHighlights,
+    renderResults
+  };
+})();
@@ -0,0 +1,255 @@
+/**
+ * Footnotes
+ *
+ * Finds footnote references in article content - links like
+ * <sup><a href="#fn3">3</a></sup> that point at a note in the same
+ * article - so the reader can show notes in a popup instead of
+ * following the anchor (paginated content is translated, not scrolled).
+ * Also rewrites content for export with all notes collected as endnotes.
+ *
+ * Shared by the in-page overlay (content script) and reader.html.
+ */
+
+(function() {
+  'use strict';
+
+  // Reference text: 3, [3], (3), *, †, a ...
+  const NOTE_REF_TEXT = /^[[(]?(\d{1,3}|[*†‡§¶]|[a-z])[\])]?$/i;
+
+  // Back-link text: ↩, ^, ↑, "back"
+  const BACK_LINK_TEXT = /^([↩↑^⤴]|back)/i;
+
+  function escapeAttr(value) {
+    return value.replace(/["\\]/g, '\\$&');
+  }
+
+  /**
+   * Target id of a same-page fragment link, or null
+   * @param {Element} link
+   * @param {string} pageUrl - URL of the article (links may have been made absolute)
+   */
+  function fragmentId(link, pageUrl) {
+    const href = link.getAttribute('href') || '';
+    const hashIndex = href.indexOf('#');
+    if (hashIndex === -1 || hashIndex === href.length - 1) return null;
+
+    if (hashIndex > 0) {
+      try {
+        const page = (pageUrl || '').split('#')[0];
+        if (new URL(href, page).href.split('#')[0] !== page) return null;
+      } catch {
+        return null;
+      }
+    }
+
+    try {
+      return decodeURIComponent(href.slice(hashIndex + 1));
+    } catch {
+      return href.slice(hashIndex + 1);
+    }
+  }
+
+  function looksLikeNoteRef(link) {
+    const role = link.getAttribute('role') || '';
+    if (role === 'doc-noteref' || link.getAttribute('rel') === 'footnote') return true;
+    if (link.closest('sup')) return true;
+    return NOTE_REF_TEXT.test(link.textContent.trim());
+  }
+
+  // Anchors like <a id="fn3"></a> mark the note rather than hold it
+  function noteElementFor(target) {
+    if (target.tagName === 'A' || target.textContent.trim().length < 2) {
+      return target.closest('li, p, aside, dd, div') || target;
+    }
+    return target;
+  }
+
+  /**
+   * Footnote references in a content element and the notes they point at
+   * @param {Element} root
+   * @param {string} pageUrl
+   * @returns {Array<{ref: Element, note: Element}>}
+   */
+  function findFootnotes(root, pageUrl) {
+    const results = [];
+
+    root.querySelectorAll('a[href*="#"]').forEach(ref => {
+      const id = fragmentId(ref, pageUrl);
+      if (!id || !looksLikeNoteRef(ref) || isBackLink(ref)) return;
+
+      // Headings are table-of-contents targets; references (in <sup>) are back-link targets
+      const target = root.querySelector(`[id="${escapeAttr(id)}"], a[name="${escapeAttr(id)}"]`);
+      if (!target || /^H[1-6]$/.test(target.tagName) || target.closest('sup')) return;
+
+      const note = noteElementFor(target);
+      if (note === root || note.contains(ref) || ref.contains(note)) return;
+
+      results.push({ ref, note });
+    });
+
+    return results;
+  }
+
+  function isBackLink(link) {
+    return link.getAttribute('role') === 'doc-backlink' || BACK_LINK_TEXT.test(link.textContent.trim());
+  }
+
+  // Ids a back-link may point at: the reference itself or its <sup> / wrapper
+  function refIds(ref) {
+    return [ref, ref.closest('sup'), ref.parentElement]
+      .filter(el => el && el.id)
+      .map(el => el.id);
+  }
+
+  /**
+   * Back-links in a note (links that return to the reference)
+   */
+  function findBackLinks(note, ref, pageUrl) {
+    const ids = refIds(ref);
+    return Array.from(note.querySelectorAll('a[href]')).filter(link => {
+      const id = fragmentId(link, pageUrl);
+      return id && (ids.includes(id) || isBackLink(link));
+    });
+  }
+
+  /**
+   * Copy of a note for display elsewhere; back-links are marked with
+   * data-footnote-back so they can close the popup
+   */
+  function noteContent(note, ref, pageUrl) {
+    const backLinks = new Set(findBackLinks(note, ref, pageUrl));
+    const copy = note.ownerDocument.createElement('div');
+    copy.innerHTML = note.tagName === 'LI' ? note.innerHTML : note.outerHTML;
+
+    // Same positions in the copy as in the original
+    const originals = Array.from(note.querySelectorAll('a[href]'));
+    const copies = Array.from(copy.querySelectorAll('a[href]'));
+    originals.forEach((link, i) => {
+      if (backLinks.has(link) && copies[i]) copies[i].dataset.footnoteBack = '';
+    });
+
+    copy.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+    return copy;
+  }
+
+  /**
+   * Make footnote references in rendered content open their note, and
+   * back-links in the notes return to the reference.
+   * @param {Element} root - Rendered article content
+   * @param {string} pageUrl
+   * @param {Object} handlers
+   * @param {function(Element, Element)} handlers.onNote - (note content, reference)
+   * @param {function(Element)} handlers.onBackLink - (reference)
+   * @returns {number} Number of references found
+   */
+  function attach(root, pageUrl, { onNote, onBackLink }) {
+    const footnotes = findFootnotes(root, pageUrl);
+
+    footnotes.forEach(({ ref, note }) => {
+      ref.classList.add('footnote-ref');
+      ref.removeAttribute('target');
+      ref.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onNote(noteContent(note, ref, pageUrl), ref);
+      });
+
+      findBackLinks(note, ref, pageUrl).forEach(link => {
+        link.removeAttribute('target');
+        link.addEventListener('click', (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          onBackLink(ref);
+        });
+      });
+    });
+
+    return footnotes.length;
+  }
+
+  // Remove an element left without content after its notes were moved out
+  // (e.g. a "Notes" section that now only has its heading)
+  function removeIfEmptied(el, root) {
+    while (el && el !== root && el.parentElement) {
+      const rest = el.cloneNode(true);
+      rest.querySelectorAll('h1, h2, h3, h4, h5, h6, hr').forEach(child => child.remove());
+      if (rest.textContent.trim() || rest.querySelector('img, svg, video, iframe')) return;
+      const parent = el.parentElement;
+      el.remove();
+      el = parent;
+    }
+  }
+
+  /**
+   * Content HTML with every footnote moved to a numbered endnotes list
+   * at the end, linked both ways.
+   * @param {string} html
+   * @param {string} pageUrl
+   * @param {string} [idPrefix] - Keeps ids unique when several articles share a document
+   * @returns {string}
+   */
+  function moveToEndnotes(html, pageUrl, idPrefix = '') {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const root = doc.body;
+    const footnotes = findFootnotes(root, pageUrl);
+    if (footnotes.length === 0) return html;
+
+    const list = doc.createElement('ol');
+    const numbers = new Map(); // note element -> number
+
+    footnotes.forEach(({ ref, note }) => {
+      let number = numbers.get(note);
+      if (!number) {
+        number = numbers.size + 1;
+        numbers.set(note, number);
+
+        const item = doc.createElement('li');
+        item.id = `${idPrefix}note-${number}`;
+        item.setAttribute('role', 'doc-endnote');
+        item.setAttribute('epub:type', 'endnote');
+        const content = noteContent(note, ref, pageUrl);
+        content.querySelectorAll('[data-footnote-back]').forEach(link => link.remove());
+        item.append(...content.childNodes);
+
+        const back = doc.createElement('a');
+        back.href = `#${idPrefix}noteref-${number}`;
+        back.setAttribute('role', 'doc-backlink');
+        back.textContent = '↩';
+        item.append(' ', back);
+        list.appendChild(item);
+
+        ref.id = `${idPrefix}noteref-${number}`;
+      }
+
+      ref.setAttribute('href', `#${idPrefix}note-${number}`);
+      ref.setAttribute('role', 'doc-noteref');
+      ref.setAttribute('epub:type', 'noteref');
+      const text = ref.textContent.trim();
+      if (/^[[(]?\d+[\])]?$/.test(text)) ref.textContent = text.replace(/\d+/, number);
+    });
+
+    numbers.forEach((number, note) => {
+      const parent = note.parentElement;
+      note.remove();
+      removeIfEmptied(parent, root);
+    });
+
+    const section = doc.createElement('section');
+    section.className = 'endnotes';
+    section.setAttribute('role', 'doc-endnotes');
+    section.setAttribute('epub:type', 'endnotes');
+    const heading = doc.createElement('h2');
+    heading.textContent = 'Notes';
+    section.append(doc.createElement('hr'), heading, list);
+    root.appendChild(section);
+
+    return root.innerHTML;
+  }
+
+  window.InkPagesFootnotes = {
+    findFootnotes,
+    noteContent,
+    attach,
+    moveToEndnotes
+  };
+})();
@@ -0,0 +1,291 @@
+/**
+ * Key Bindings
+ *
+ * Maps reader actions to key combos so page turners, remotes and e-ink
+ * devices that send unusual keys (VolumeUp, MediaTrackNext, F13, Enter, ...)
+ * can drive the reader. Bindings live in readerSettings.keyBindings as
+ * { action: ['Combo', ...] }, where a combo is the KeyboardEvent.key value
+ * with modifiers in front, e.g. 'ArrowRight', 'Shift+Space', 'Ctrl+Alt+N'.
+ *
+ * Also provides the "press a key to bind" editor used in the settings panel.
+ *
+ * Shared by the in-page overlay (content script) and reader.html.
+ */
+
+(function() {
+  'use strict';
+
+  const ACTIONS = [
+    { id: 'next', label: 'Next page' },
+    { id: 'prev', label: 'Previous page' },
+    { id: 'first', label: 'First page' },
+    { id: 'last', label: 'Last page' },
+    { id: 'back', label: 'Back to previous spot' },
+    { id: 'toc', label: 'Table of contents' },
+    { id: 'goToPage', label: 'Go to page' },
+    { id: 'annotations', label: 'Highlights and notes' },
+    { id: 'bookmark', label: 'Bookmark this page' },
+    { id: 'bookmarks', label: 'Bookmarks' },
+    { id: 'find', label: 'Find in article' },
+    { id: 'readAloud', label: 'Read aloud (play / pause)' },
+    { id: 'settings', label: 'Open settings' },
+    { id: 'close', label: 'Close reader' },
+    { id: 'export', label: 'Export' },
+    { id: 'themeCycle', label: 'Next theme' }
+  ];
+
+  // ArrowLeft / ArrowRight are physical: they swap next and prev for RTL pages
+  const DEFAULT_BINDINGS = {
+    next: ['ArrowRight', 'Space', 'ArrowDown', 'PageDown'],
+    prev: ['ArrowLeft', 'Shift+Space', 'ArrowUp', 'PageUp'],
+    first: ['Home'],
+    last: ['End'],
+    back: ['Backspace'],
+    toc: ['T'],
+    goToPage: ['G'],
+    annotations: ['A'],
+    bookmark: ['B'],
+    bookmarks: ['Shift+B'],
+    find: ['Ctrl+F', 'F'],
+    readAloud: ['R'],
+    settings: ['S'],
+    close: ['Escape'],
+    export: [],
+    themeCycle: []
+  };
+
+  const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock', 'Fn', 'FnLock', 'NumLock'];
+
+  const KEY_LABELS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc'
+  };
+
+  /**
+   * Combo string for a keydown event, or null for a bare modifier
+   */
+  function comboFromEvent(e) {
+    if (MODIFIER_KEYS.includes(e.key)) return null;
+
+    let key = e.key;
+    if (key === ' ') key = 'Space';
+    else if (key.length === 1) key = key.toUpperCase();
+    else if (key === 'Unidentified' || !key) key = e.code || null;
+    if (!key) return null;
+
+    const parts = [];
+    if (e.ctrlKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    if (e.metaKey) parts.push('Meta');
+    parts.push(key);
+    return parts.join('+');
+  }
+
+  function mirrorCombo(combo) {
+    return combo.replace(/Arrow(Left|Right)$/, (match, side) => side === 'Left' ? 'ArrowRight' : 'ArrowLeft');
+  }
+
+  /**
+   * Saved bindings merged over the defaults (keeps actions added later)
+   */
+  function normalizeBindings(saved) {
+    const bindings = {};
+    ACTIONS.forEach(({ id }) => {
+      const keys = saved && Array.isArray(saved[id]) ? saved[id] : DEFAULT_BINDINGS[id];
+      bindings[id] = keys.slice();
+    });
+    return bindings;
+  }
+
+  function findAction(bindings, combo) {
+    const action = ACTIONS.find(({ id }) => (bindings[id] || []).includes(combo));
+    return action ? action.id : null;
+  }
+
+  /**
+   * Action bound to a keydown event.
+   * @param {boolean} mirrored - true for right-to-left page progression
+   */
+  function actionForEvent(bindings, e, mirrored) {
+    const combo = comboFromEvent(e);
+    if (!combo) return null;
+    return findAction(normalizeBindings(bindings), mirrored ? mirrorCombo(combo) : combo);
+  }
+
+  function formatCombo(combo) {
+    return combo.split('+').map(part => KEY_LABELS[part] || part).join(' + ');
+  }
+
+  function actionLabel(id) {
+    const action = ACTIONS.find(a => a.id === id);
+    return action ? action.label : id;
+  }
+
+  /**
+   * Keys typed into text fields must not turn pages.
+   * A listener outside a closed shadow root only sees the root's host as the
+   * target; pass the root so its focused element is checked instead.
+   * @param {KeyboardEvent} e
+   * @param {ShadowRoot} [root] - Closed shadow root holding the reader
+   */
+  function isEditableTarget(e, root) {
+    let target = e.composedPath ? e.composedPath()[0] : e.target;
+    if (root && target === root.host) target = root.activeElement;
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) return false;
+    if (target.isContentEditable) return true;
+    if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    return target.tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button'].includes(target.type);
+  }
+
+  /**
+   * Build the bindings editor inside a container.
+   * @param {Element} container
+   * @param {function(): Object} getBindings - Current bindings
+   * @param {function(Object)} onChange - Called with the new bindings to save
+   * @returns {{render: function(), handleKeydown: function(KeyboardEvent): boolean, cancel: function()}}
+   *   handleKeydown returns true when the editor consumed the key
+   */
+  function createEditor(container, getBindings, onChange) {
+    const doc = container.ownerDocument;
+    let capturing = null; // Action waiting for a key
+    let pendingConflict = null; // Combo pressed once that belongs to another action
+    let status = '';
+
+    function setBindings(bindings) {
+      onChange(bindings);
+      render();
+    }
+
+    function render() {
+      const bindings = normalizeBindings(getBindings());
+      container.textContent = '';
+
+      ACTIONS.forEach(({ id, label }) => {
+        const row = doc.createElement('div');
+        row.className = 'binding-row';
+
+        const name = doc.createElement('span');
+        name.className = 'binding-label';
+        name.textContent = label;
+        row.appendChild(name);
+
+        const keys = doc.createElement('span');
+        keys.className = 'binding-keys';
+        bindings[id].forEach(combo => {
+          const chip = doc.createElement('button');
+          chip.type = 'button';
+          chip.className = 'binding-key';
+          chip.textContent = formatCombo(combo);
+          chip.title = 'Remove';
+          chip.addEventListener('click', () => {
+            setBindings({ ...bindings, [id]: bindings[id].filter(c => c !== combo) });
+          });
+          keys.appendChild(chip);
+        });
+        row.appendChild(keys);
+
+        const add = doc.createElement('button');
+        add.type = 'button';
+        add.className = 'binding-add';
+        add.classList.toggle('active', capturing === id);
+        add.textContent = capturing === id ? 'Press a key…' : '+';
+        add.title = 'Add a key';
+        add.addEventListener('click', () => {
+          capturing = capturing === id ? null : id;
+          pendingConflict = null;
+          status = capturing ? 'Press the key to use (Esc cancels)' : '';
+          render();
+        });
+        row.appendChild(add);
+
+        container.appendChild(row);
+      });
+
+      const statusLine = doc.createElement('p');
+      statusLine.className = 'setting-hint binding-status';
+      statusLine.textContent = status;
+      container.appendChild(statusLine);
+
+      const reset = doc.createElement('button');
+      reset.type = 'button';
+      reset.className = 'binding-reset';
+      reset.textContent = 'Reset to defaults';
+      reset.addEventListener('click', () => {
+        capturing = null;
+        pendingConflict = null;
+        status = '';
+        setBindings(normalizeBindings(null));
+      });
+      container.appendChild(reset);
+    }
+
+    function handleKeydown(e) {
+      if (!capturing) return false;
+
+      e.preventDefault();
+      e.stopPropagation();
+
+      const combo = comboFromEvent(e);
+      if (!combo) return true; // Wait for the actual key after modifiers
+
+      if (combo === 'Escape') {
+        cancel();
+        return true;
+      }
+
+      const bindings = normalizeBindings(getBindings());
+      const owner = findAction(bindings, combo);
+
+      if (owner === capturing) {
+        status = `${formatCombo(combo)} is already set for ${actionLabel(owner)}`;
+      } else if (owner && pendingConflict !== combo) {
+        // Ask for confirmation by pressing the same key again
+        pendingConflict = combo;
+        status = `${formatCombo(combo)} is used for ${actionLabel(owner)}. Press it again to move it here.`;
+        render();
+        return true;
+      } else {
+        const updated = { ...bindings, [capturing]: [...bindings[capturing], combo] };
+        if (owner) updated[owner] = bindings[owner].filter(c => c !== combo);
+        status = owner
+          ? `${formatCombo(combo)} moved from ${actionLabel(owner)} to ${actionLabel(capturing)}`
+          : '';
+        capturing = null;
+        pendingConflict = null;
+        setBindings(updated);
+        return true;
+      }
+
+      capturing = null;
+      pendingConflict = null;
+      render();
+      return true;
+    }
+
+    function cancel() {
+      if (!capturing && !status) return;
+      capturing = null;
+      pendingConflict = null;
+      status = '';
+      render();
+    }
+
+    render();
+    return { render, handleKeydown, cancel };
+  }
+
+  window.InkPagesKeyBindings = {
+    ACTIONS,
+    DEFAULT_BINDINGS,
+    comboFromEvent,
+    normalizeBindings,
+    actionForEvent,
+    formatCombo,
+    isEditableTarget,
+    createEditor
+  };
+})();
@@ -0,0 +1,140 @@
+/**
+ * Offline Library
+ *
+ * Saved articles live in the extension's IndexedDB, so they survive
+ * navigation and can be read offline. Two object stores:
+ * - articles: metadata only (title, site, dates, length, ...) - cheap to list
+ * - contents: { id, content } - the sanitized HTML with images as data URLs
+ *
+ * Only usable from extension pages (background page, library page,
+ * reader.html). Content scripts would open the host page's database,
+ * so they save through the background script (LIBRARY_SAVE message).
+ */
+
+(function() {
+  'use strict';
+
+  const DB_NAME = 'inkpages-library';
+  const DB_VERSION = 1;
+
+  let dbPromise = null;
+
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('articles')) {
+          const articles = db.createObjectStore('articles', { keyPath: 'id' });
+          articles.createIndex('sourceUrl', 'sourceUrl', { unique: false });
+          articles.createIndex('savedAt', 'savedAt', { unique: false });
+        }
+        if (!db.objectStoreNames.contains('contents')) {
+          db.createObjectStore('contents', { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  // Wrap an IDBRequest / IDBTransaction in a promise
+  function promisify(target) {
+    return new Promise((resolve, reject) => {
+      if (target instanceof IDBTransaction) {
+        target.oncomplete = () => resolve();
+        target.onerror = () => reject(target.error);
+        target.onabort = () => reject(target.error);
+      } else {
+        target.onsuccess = () => resolve(target.result);
+        target.onerror = () => reject(target.error);
+      }
+    });
+  }
+
+  function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  /**
+   * Save an article. Saving the same source URL again replaces the
+   * earlier copy (keeping its id, so library links stay valid).
+   * @param {Object} article - articleData with content ready for offline use
+   * @returns {Promise<string>} Library id
+   */
+  async function saveArticle(article) {
+    const db = await openDatabase();
+
+    const existing = article.sourceUrl ? await findBySourceUrl(article.sourceUrl) : null;
+    const id = existing ? existing.id : createId();
+
+    const { content, textContent, ...metadata } = article;
+    const record = {
+      ...metadata,
+      id,
+      savedAt: Date.now(),
+      contentLength: (textContent || '').length
+    };
+
+    const tx = db.transaction(['articles', 'contents'], 'readwrite');
+    tx.objectStore('articles').put(record);
+    tx.objectStore('contents').put({ id, content: content || '' });
+    await promisify(tx);
+
+    return id;
+  }
+
+  async function findBySourceUrl(url) {
+    const db = await openDatabase();
+    const index = db.transaction('articles').objectStore('articles').index('sourceUrl');
+    return (await promisify(index.get(url))) || null;
+  }
+
+  /**
+   * Full article (metadata and content), or null if it was deleted
+   */
+  async function getArticle(id) {
+    const db = await openDatabase();
+    const tx = db.transaction(['articles', 'contents']);
+    const [metadata, body] = await Promise.all([
+      promisify(tx.objectStore('articles').get(id)),
+      promisify(tx.objectStore('contents').get(id))
+    ]);
+    if (!metadata) return null;
+    return { ...metadata, content: body ? body.content : '' };
+  }
+
+  /**
+   * Metadata of all saved articles, newest first
+   */
+  async function listArticles() {
+    const db = await openDatabase();
+    const articles = await promisify(db.transaction('articles').objectStore('articles').getAll());
+    return articles.sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  async function deleteArticle(id) {
+    const db = await openDatabase();
+    const tx = db.transaction(['articles', 'contents'], 'readwrite');
+    tx.objectStore('articles').delete(id);
+    tx.objectStore('contents').delete(id);
+    await promisify(tx);
+  }
+
+  window.InkPagesLibrary = {
+    saveArticle,
+    getArticle,
+    listArticles,
+    deleteArticle,
+    findBySourceUrl
+  };
+})();
@@ -0,0 +1,114 @@
+/**
+ * Page Overview
+ *
+ * A grid of miniature pages for jumping anywhere in a long article.
+ * Each miniature is a copy of the content viewport - same column layout,
+ * same styles - moved to its page and scaled down, so it looks exactly
+ * like the page will. Since each copy holds the whole article, copies are
+ * only made for miniatures scrolled into view and dropped again once they
+ * scroll out.
+ *
+ * Shared by the in-page overlay (content script) and reader.html.
+ */
+
+(function() {
+  'use strict';
+
+  const THUMB_HEIGHT = 180; // px; widths follow the viewport's aspect ratio
+
+  // Ids the reader styles lay out the viewport and its columns by
+  const LAYOUT_IDS = ['content-viewport', 'article-content'];
+
+  /**
+   * Fill a container with one miniature per view (page, or spread).
+   * @param {Element} grid - Scrolling container of the overview
+   * @param {Object} options
+   * @param {Element} options.viewport - #content-viewport to copy
+   * @param {Element} options.content - #article-content inside it
+   * @param {Array<{page: number, label: string}>} options.views - First page and label of each view
+   * @param {function(number): string} options.transformFor - CSS transform showing a page
+   * @param {number} options.current - First page of the current view
+   * @param {function(number)} options.onSelect - Called with the chosen view's first page
+   * @returns {{destroy: function()}} Stops building miniatures; call before discarding the grid
+   */
+  function renderGrid(grid, { viewport, content, views, transformFor, current, onSelect }) {
+    const doc = grid.ownerDocument;
+    const rect = viewport.getBoundingClientRect();
+    const scale = rect.height > 0 ? THUMB_HEIGHT / rect.height : 0;
+    const contentIndex = Array.prototype.indexOf.call(viewport.children, content);
+
+    grid.textContent = '';
+
+    const build = (cell) => {
+      const copy = viewport.cloneNode(true);
+      copy.style.width = `${rect.width}px`;
+      copy.style.height = `${rect.height}px`;
+      copy.children[contentIndex].style.transform = transformFor(Number(cell.dataset.page));
+
+      // Copied ids stay out of reach of the reader's own lookups; only the
+      // two layout ids the styles hang on are kept
+      [copy, ...copy.querySelectorAll('[id]')].forEach(el => {
+        if (!LAYOUT_IDS.includes(el.id)) el.removeAttribute('id');
+      });
+      copy.inert = true;
+
+      const scaler = doc.createElement('div');
+      scaler.className = 'overview-scale';
+      scaler.style.width = `${rect.width}px`;
+      scaler.style.height = `${rect.height}px`;
+      scaler.style.transform = `scale(${scale})`;
+      scaler.appendChild(copy);
+      cell.querySelector('.overview-thumb').appendChild(scaler);
+    };
+
+    const release = (cell) => {
+      cell.querySelector('.overview-thumb').textContent = '';
+    };
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        const built = entry.target.querySelector('.overview-scale') !== null;
+        if (entry.isIntersecting && !built) build(entry.target);
+        else if (!entry.isIntersecting && built) release(entry.target);
+      });
+    }, { root: grid, rootMargin: `${THUMB_HEIGHT}px 0px` });
+
+    let currentCell = null;
+    views.forEach(({ page, label }) => {
+      const cell = doc.createElement('button');
+      cell.className = 'overview-page';
+      cell.dataset.page = page;
+      if (page === current) {
+        cell.classList.add('current');
+        currentCell = cell;
+      }
+
+      const thumb = doc.createElement('div');
+      thumb.className = 'overview-thumb';
+      thumb.style.width = `${Math.round(rect.width * scale)}px`;
+      thumb.style.height = `${THUMB_HEIGHT}px`;
+
+      const number = doc.createElement('span');
+      number.className = 'overview-page-number';
+      number.textContent = label;
+
+      cell.append(thumb, number);
+      cell.addEventListener('click', () => onSelect(page));
+      grid.appendChild(cell);
+      observer.observe(cell);
+    });
+
+    if (currentCell) currentCell.scrollIntoView({ block: 'center' });
+
+    return {
+      destroy() {
+        observer.disconnect();
+        grid.textContent = '';
+      }
+    };
+  }
+
+  window.InkPagesOverview = {
+    renderGrid
+  };
+})();
@@ -0,0 +1,410 @@
+/**
+ * Read Aloud
+ *
+ * Reads rendered article content with the browser's speech synthesis,
+ * paragraph by paragraph and one sentence per utterance. The sentence
+ * being spoken is wrapped in <mark class="read-aloud-sentence"> (with
+ * InkPagesTextAnchor.wrapText(), so text anchors stay valid) and its
+ * position is reported to the reader, which turns pages to follow it.
+ *
+ * Sentences are cut with Intl.Segmenter in the article's language.
+ * Positions are reported when a sentence starts and at every word
+ * boundary; voices that don't send boundary events are followed sentence
+ * by sentence.
+ *
+ * Shared by the in-page overlay (content script) and reader.html.
+ */
+
+(function() {
+  'use strict';
+
+  const { BLOCK_SELECTOR } = InkPagesTextAnchor;
+
+  // UI inside the content, and footnote numbers that would be read out mid-sentence
+  const IGNORE_SELECTOR = `${InkPagesTextAnchor.IGNORE_SELECTOR}, .footnote-ref`;
+
+  const MARK_CLASS = 'read-aloud-sentence';
+  const VOICES_TIMEOUT_MS = 2000; // Some engines never fire voiceschanged when they have no voices
+
+  function isSupported() {
+    return typeof window.speechSynthesis !== 'undefined' && typeof SpeechSynthesisUtterance !== 'undefined';
+  }
+
+  function primaryLanguage(lang) {
+    return (lang || '').toLowerCase().split(/[-_]/)[0];
+  }
+
+  /**
+   * Installed voices. They load asynchronously, so the first call may wait.
+   * @returns {Promise<SpeechSynthesisVoice[]>}
+   */
+  function loadVoices() {
+    const synth = window.speechSynthesis;
+    const voices = synth.getVoices();
+    if (voices.length > 0) return Promise.resolve(voices);
+
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        synth.removeEventListener('voiceschanged', done);
+        resolve(synth.getVoices());
+      };
+      const timer = setTimeout(done, VOICES_TIMEOUT_MS);
+      synth.addEventListener('voiceschanged', done);
+    });
+  }
+
+  /**
+   * Voices for a language - all voices if none speaks it or it isn't known
+   * @param {SpeechSynthesisVoice[]} voices
+   * @param {string} [lang] - Article language
+   */
+  function voicesFor(voices, lang) {
+    const primary = primaryLanguage(lang);
+    const matching = voices.filter(voice => primaryLanguage(voice.lang) === primary);
+    return matching.length > 0 ? matching : voices;
+  }
+
+  /**
+   * Fill a <select> with voices, after a "Default voice" entry (value '')
+   * @param {HTMLSelectElement} select
+   * @param {SpeechSynthesisVoice[]} voices
+   * @param {string} [selected] - voiceURI of the chosen voice
+   */
+  function renderVoiceOptions(select, voices, selected) {
+    const doc = select.ownerDocument;
+    select.textContent = '';
+
+    const fallback = doc.createElement('option');
+    fallback.value = '';
+    fallback.textContent = 'Default voice';
+    select.appendChild(fallback);
+
+    voices.forEach(voice => {
+      const option = doc.createElement('option');
+      option.value = voice.voiceURI;
+      option.textContent = `${voice.name} (${voice.lang})`;
+      select.appendChild(option);
+    });
+
+    select.value = voices.some(voice => voice.voiceURI === selected) ? selected : '';
+  }
+
+  // Text outside any block belongs to its parent element, as in text anchors
+  function blockOf(node, root) {
+    const parent = node.parentElement;
+    const block = parent.closest(BLOCK_SELECTOR);
+    return block && root.contains(block) ? block : parent;
+  }
+
+  function isIgnored(node) {
+    return Boolean(node.parentElement && node.parentElement.closest(IGNORE_SELECTOR));
+  }
+
+  /**
+   * Paragraphs in reading order, as { block, run }. Text can resume in a
+   * block after a nested one (li > ul > li); each stretch is a run of its own.
+   */
+  function collectParagraphs(root) {
+    const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const paragraphs = [];
+    const runs = new Map(); // block -> runs so far
+    let last = null;
+    let node;
+    while ((node = walker.nextNode())) {
+      if (!node.data.trim() || isIgnored(node)) continue;
+      const block = blockOf(node, root);
+      if (block === last) continue;
+      const run = runs.has(block) ? runs.get(block) + 1 : 0;
+      runs.set(block, run);
+      paragraphs.push({ block, run });
+      last = block;
+    }
+    return paragraphs;
+  }
+
+  /**
+   * Text of a paragraph, with each node's offset into it. Read again for
+   * every sentence, since marking one splits the text nodes.
+   */
+  function paragraphText({ block, run }, root) {
+    const walker = root.ownerDocument.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    let text = '';
+    let current = -1;
+    let last = null;
+    let node;
+    while ((node = walker.nextNode())) {
+      if (isIgnored(node)) continue;
+      const owner = blockOf(node, root);
+      if (node.data.trim()) {
+        if (owner === block && last !== block) current++;
+        last = owner;
+      }
+      if (owner !== block || current !== run) continue;
+      nodes.push({ node, start: text.length });
+      text += node.data;
+    }
+    return { text, nodes };
+  }
+
+  function createSegmenter(lang) {
+    try {
+      return new Intl.Segmenter(lang || undefined, { granularity: 'sentence' });
+    } catch {
+      // Not a valid language tag
+      return new Intl.Segmenter(undefined, { granularity: 'sentence' });
+    }
+  }
+
+  /**
+   * Sentence-by-sentence speech over a content element
+   * @param {Element} root - Rendered article content
+   * @param {Object} options
+   * @param {string} [options.lang] - Article language
+   * @param {function(DOMRect)} options.onPosition - Spoken text has reached this rect
+   * @param {function(string)} options.onStateChange - 'playing', 'paused' or 'stopped'
+   * @returns {{play: function, pause: function, stop: function, skipParagraph: function,
+   *   setRate: function, setVoice: function, sentenceRect: function, state: function}}
+   */
+  function createPlayer(root, { lang, onPosition, onStateChange }) {
+    const synth = window.speechSynthesis;
+    const segmenter = createSegmenter(lang);
+
+    let state = 'stopped';
+    let paragraphs = []; // { block, run }
+    let position = null; // { paragraph, offset } of the sentence being read (or to read next)
+    let sentence = null; // { end, marks } of the sentence being read
+    let utterance = null;
+    let rate = 1;
+    let voice = null;
+
+    function setState(next) {
+      if (state === next) return;
+      state = next;
+      onStateChange(state);
+    }
+
+    function clearMarks() {
+      if (!sentence) return;
+      const parents = new Set();
+      sentence.marks.forEach(mark => {
+        if (!mark.parentNode) return;
+        parents.add(mark.parentNode);
+        mark.replaceWith(...mark.childNodes);
+      });
+      parents.forEach(parent => parent.normalize());
+      sentence = null;
+    }
+
+    // Silence the current utterance without its end moving on to the next sentence
+    function cancelSpeech() {
+      utterance = null;
+      synth.cancel();
+    }
+
+    /**
+     * Paragraph and offset for a DOM position, or the start of the next
+     * paragraph if the position isn't in article text
+     */
+    function positionFor(node, offset) {
+      if (node.nodeType === Node.TEXT_NODE && !isIgnored(node)) {
+        const block = blockOf(node, root);
+        for (let paragraph = 0; paragraph < paragraphs.length; paragraph++) {
+          if (paragraphs[paragraph].block !== block) continue;
+          const entry = paragraphText(paragraphs[paragraph], root).nodes.find(e => e.node === node);
+          if (entry) return { paragraph, offset: entry.start + offset };
+        }
+      }
+
+      const boundary = root.ownerDocument.createRange();
+      boundary.setStart(node, offset);
+      const paragraph = paragraphs.findIndex(({ block }) => boundary.comparePoint(block, 0) >= 0 || block.contains(node));
+      return paragraph === -1 ? null : { paragraph, offset: 0 };
+    }
+
+    // Wrap [start, end) of a block's text in marks, last node first so earlier offsets hold
+    function markText(nodes, start, end) {
+      const marks = [];
+      for (let i = nodes.length - 1; i >= 0; i--) {
+        const { node, start: nodeStart } = nodes[i];
+        const from = Math.max(0, start - nodeStart);
+        const to = Math.min(node.data.length, end - nodeStart);
+        if (from >= to || !node.data.substring(from, to).trim()) continue;
+        const mark = node.ownerDocument.createElement('mark');
+        mark.className = MARK_CLASS;
+        marks.unshift(InkPagesTextAnchor.wrapText(node, from, to, mark));
+      }
+      return marks;
+    }
+
+    // Rect of a character of the marked sentence
+    function charRect(index) {
+      const range = root.ownerDocument.createRange();
+      for (const mark of sentence.marks) {
+        const walker = root.ownerDocument.createTreeWalker(mark, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+          if (index < node.data.length) {
+            range.setStart(node, index);
+            range.setEnd(node, index + 1);
+            return range.getClientRects()[0] || null;
+          }
+          index -= node.data.length;
+        }
+      }
+      return null;
+    }
+
+    // Rect of the sentence's first letter (marks can start with a space)
+    function firstRect() {
+      const text = sentence.marks.map(mark => mark.textContent).join('');
+      return charRect(Math.max(0, text.search(/\S/)));
+    }
+
+    /**
+     * Speak the sentence at position, moving on through the paragraphs
+     * until one has something to say
+     */
+    function speakNext() {
+      clearMarks();
+
+      while (position && position.paragraph < paragraphs.length) {
+        const { block } = paragraphs[position.paragraph];
+        const { text, nodes } = paragraphText(paragraphs[position.paragraph], root);
+
+        // Hidden blocks (e.g. captions of hidden images) aren't read
+        if (block.isConnected && block.getClientRects().length > 0) {
+          for (const segment of segmenter.segment(text)) {
+            const end = segment.index + segment.segment.trimEnd().length;
+            if (end <= position.offset || !segment.segment.trim()) continue;
+
+            // Resuming mid-sentence starts at the resume point
+            const start = Math.max(segment.index, position.offset);
+            const marks = markText(nodes, start, end);
+            if (marks.length === 0) continue;
+
+            position.offset = start;
+            sentence = { end, marks };
+            speak(marks.map(mark => mark.textContent).join(''));
+            return;
+          }
+        }
+
+        position = { paragraph: position.paragraph + 1, offset: 0 };
+      }
+
+      position = null;
+      setState('stopped');
+    }
+
+    function speak(text) {
+      const current = new SpeechSynthesisUtterance(text);
+      if (lang) current.lang = lang;
+      if (voice) current.voice = voice;
+      current.rate = rate;
+
+      current.addEventListener('boundary', (e) => {
+        if (current !== utterance || e.name !== 'word') return;
+        const rect = charRect(e.charIndex);
+        if (rect) onPosition(rect);
+      });
+      current.addEventListener('end', () => {
+        if (current !== utterance) return;
+        position.offset = sentence.end;
+        speakNext();
+      });
+      current.addEventListener('error', (e) => {
+        if (current !== utterance) return;
+        console.warn('InkPages: Speech failed:', e.error);
+        utterance = null;
+        setState('paused');
+      });
+
+      const first = firstRect();
+      if (first) onPosition(first);
+
+      utterance = current;
+      synth.speak(current);
+      setState('playing');
+    }
+
+    /**
+     * Start reading
+     * @param {{node: Node, offset: number}} [from] - DOM position to start at;
+     *   without it, a paused sentence is read again from its start
+     */
+    function play(from) {
+      cancelSpeech();
+      if (from || !position) {
+        clearMarks();
+        paragraphs = collectParagraphs(root);
+        position = from ? positionFor(from.node, from.offset) : { paragraph: 0, offset: 0 };
+      }
+      speakNext();
+    }
+
+    // Stops at the current sentence and keeps it marked, so play() can repeat it
+    function pause() {
+      if (state !== 'playing') return;
+      cancelSpeech();
+      setState('paused');
+    }
+
+    function stop() {
+      cancelSpeech();
+      clearMarks();
+      position = null;
+      setState('stopped');
+    }
+
+    function skipParagraph() {
+      if (!position) return;
+      cancelSpeech();
+      position = { paragraph: position.paragraph + 1, offset: 0 };
+      speakNext();
+    }
+
+    // Rate and voice apply from the start of the sentence being read
+    function restartSentence() {
+      if (state !== 'playing') return;
+      cancelSpeech();
+      speakNext();
+    }
+
+    function setRate(value) {
+      rate = value;
+      restartSentence();
+    }
+
+    function setVoice(value) {
+      voice = value || null;
+      restartSentence();
+    }
+
+    // Where the marked sentence starts, or null if there is none
+    function sentenceRect() {
+      return sentence && sentence.marks[0].isConnected ? firstRect() : null;
+    }
+
+    return {
+      play,
+      pause,
+      stop,
+      skipParagraph,
+      setRate,
+      setVoice,
+      sentenceRect,
+      state: () => state
+    };
+  }
+
+  window.InkPagesReadAloud = {
+    isSupported,
+    loadVoices,
+    voicesFor,
+    primaryLanguage,
+    renderVoiceOptions,
+    createPlayer
+  };
+})();
@@ -0,0 +1,135 @@
+/**
+ * Site Rules
+ *
+ * User-editable fixes for sites that extract badly. Stored in
+ * storage.local as siteRules: an array of
+ * {
+ *   pattern:            'example.com' (the host and its subdomains) or a URL
+ *                       pattern with * wildcards, e.g. 'example.com/blog/*'
+ *   contentSelector:    the article region - used instead of Readability's pick
+ *   removeSelectors:    [selectors] removed before extraction (article and listing)
+ *   titleSelector:      element holding the title
+ *   bylineSelector:     element holding the byline
+ *   listingSelectors:   [selectors] of containers grouping a headline with its links (TOC mode)
+ * }
+ *
+ * Edited on the options page; applied by the content script.
+ */
+
+(function() {
+  'use strict';
+
+  const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+  const STORAGE_KEY = 'siteRules';
+
+  function emptyRule(pattern = '') {
+    return {
+      pattern,
+      contentSelector: '',
+      removeSelectors: [],
+      titleSelector: '',
+      bylineSelector: '',
+      listingSelectors: []
+    };
+  }
+
+  async function loadRules() {
+    const result = await browserAPI.storage.local.get(STORAGE_KEY);
+    return Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+  }
+
+  async function saveRules(rules) {
+    await browserAPI.storage.local.set({ [STORAGE_KEY]: rules });
+  }
+
+  /**
+   * Does a rule pattern apply to a URL?
+   * Plain host names also match subdomains ('example.com' matches 'www.example.com').
+   */
+  function matchesPattern(pattern, url) {
+    pattern = (pattern || '').trim();
+    if (!pattern) return false;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+
+    if (!pattern.includes('/') && !pattern.includes('*')) {
+      const host = parsed.hostname;
+      return host === pattern || host.endsWith('.' + pattern);
+    }
+
+    // Patterns without a scheme are matched against host + path
+    const target = /^[a-z]+:\/\//i.test(pattern)
+      ? parsed.href.split('#')[0]
+      : parsed.host + parsed.pathname + parsed.search;
+    const regex = new RegExp('^' + pattern.split('*').map(escapeRegExp).join('.*') + '$', 'i');
+    return regex.test(target);
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Combined rule for a URL. When several rules match, the more specific
+   * (longer) pattern wins for single selectors; lists are combined.
+   * @returns {Object|null}
+   */
+  function findRule(rules, url) {
+    const matching = (rules || [])
+      .filter(rule => matchesPattern(rule.pattern, url))
+      .sort((a, b) => b.pattern.length - a.pattern.length);
+    if (matching.length === 0) return null;
+
+    const combined = emptyRule(matching[0].pattern);
+    matching.forEach(rule => {
+      ['contentSelector', 'titleSelector', 'bylineSelector'].forEach(key => {
+        if (!combined[key] && rule[key]) combined[key] = rule[key];
+      });
+      combined.removeSelectors.push(...(rule.removeSelectors || []));
+      combined.listingSelectors.push(...(rule.listingSelectors || []));
+    });
+    return combined;
+  }
+
+  /**
+   * Error message for an invalid CSS selector, or null if it's valid
+   */
+  function validateSelector(selector) {
+    if (!selector) return null;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return null;
+    } catch (e) {
+      return `Invalid selector: ${selector}`;
+    }
+  }
+
+  /**
+   * querySelectorAll that ignores invalid selectors (rules are user input)
+   */
+  function queryAll(root, selector) {
+    if (!selector) return [];
+    try {
+      return Array.from(root.querySelectorAll(selector));
+    } catch (e) {
+      console.warn('InkPages: Ignoring invalid site rule selector', selector);
+      return [];
+    }
+  }
+
+  window.InkPagesSiteRules = {
+    emptyRule,
+    loadRules,
+    saveRules,
+    matchesPattern,
+    findRule,
+    validateSelector,
+    queryAll
+  };
+})();
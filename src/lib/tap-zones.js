@@ -0,0 +1,146 @@
+/**
+ * Tap Zone Layouts
+ *
+ * Each layout lists zones by action ('back', 'forward', 'menu'), and each
+ * zone is one or more rectangles [left, top, width, height] in percent of
+ * the reading area. Areas no zone covers stay free for links and text
+ * selection. Layouts are drawn for left-to-right reading and mirrored for
+ * right-to-left pages, so "back" always sits where the previous page is.
+ *
+ * readerSettings keeps the layout id (tapZoneLayout) and whether the
+ * zones are swapped for left-handed use (tapZonesSwapped).
+ *
+ * Shared by the in-page overlay (content script) and reader.html.
+ */
+
+(function() {
+  'use strict';
+
+  /*
+   * swap: how "left-handed" swaps back and forward
+   * - 'mirror':  flip the layout horizontally (keeps the shape, e.g. the L)
+   * - 'actions': exchange the two actions (layouts that are symmetric left-right)
+   */
+  const LAYOUTS = {
+    sides: {
+      label: 'Left / Right',
+      swap: 'mirror',
+      zones: [
+        { action: 'back', rects: [[0, 0, 25, 100]] },
+        { action: 'forward', rects: [[75, 0, 25, 100]] }
+      ]
+    },
+    topBottom: {
+      label: 'Top / Bottom',
+      swap: 'actions',
+      zones: [
+        { action: 'back', rects: [[0, 0, 100, 30]] },
+        { action: 'forward', rects: [[0, 70, 100, 30]] }
+      ]
+    },
+    // Kindle-style: a narrow back strip, forward on the right and along the bottom
+    lShape: {
+      label: 'L-Shape',
+      swap: 'mirror',
+      zones: [
+        { action: 'back', rects: [[0, 0, 15, 100]] },
+        { action: 'forward', rects: [[60, 0, 40, 100], [15, 75, 45, 25]] }
+      ]
+    },
+    threeZone: {
+      label: 'Three Zones',
+      swap: 'mirror',
+      zones: [
+        { action: 'back', rects: [[0, 0, 25, 100]] },
+        { action: 'menu', rects: [[25, 25, 50, 50]] },
+        { action: 'forward', rects: [[75, 0, 25, 100]] }
+      ]
+    }
+  };
+
+  const DEFAULT_LAYOUT = 'sides';
+
+  const ACTION_TITLES = {
+    back: 'Previous Page',
+    forward: 'Next Page',
+    menu: 'Show or Hide Toolbar'
+  };
+
+  const ACTION_LABELS = {
+    back: 'Back',
+    forward: 'Forward',
+    menu: 'Menu'
+  };
+
+  /**
+   * Id of a saved layout, or the default for one that no longer exists
+   * @param {string} layoutId
+   */
+  function validLayout(layoutId) {
+    return LAYOUTS[layoutId] ? layoutId : DEFAULT_LAYOUT;
+  }
+
+  function mirrorRect([left, top, width, height]) {
+    return [100 - left - width, top, width, height];
+  }
+
+  /**
+   * Zones of a layout as they appear on screen
+   * @param {string} layoutId
+   * @param {{swapped: boolean, rtl: boolean}} options
+   * @returns {Array<{action: string, rects: Array<number[]>}>}
+   */
+  function resolveZones(layoutId, { swapped = false, rtl = false } = {}) {
+    const layout = LAYOUTS[validLayout(layoutId)];
+    const mirror = (swapped && layout.swap === 'mirror') !== rtl;
+    const swapActions = swapped && layout.swap === 'actions';
+
+    return layout.zones.map(zone => {
+      let action = zone.action;
+      if (swapActions && action !== 'menu') action = action === 'back' ? 'forward' : 'back';
+      return {
+        action,
+        rects: mirror ? zone.rects.map(mirrorRect) : zone.rects
+      };
+    });
+  }
+
+  /**
+   * Replace the contents of a container with one .tap-zone element per rectangle.
+   * The width goes in --zone-width, so the stylesheet can give zones a
+   * minimum size; zones on the right edge are positioned from it and stay there.
+   * @param {Element} container - Positioned over the reading area
+   * @param {Array} zones - From resolveZones()
+   * @param {function(Element, string)} [onZone] - Called for each element and its action
+   * @param {boolean} [withLabels] - Show action names (for the preview)
+   */
+  function renderZones(container, zones, onZone, withLabels = false) {
+    const doc = container.ownerDocument;
+    container.textContent = '';
+
+    zones.forEach(({ action, rects }) => {
+      rects.forEach(([left, top, width, height]) => {
+        const el = doc.createElement('div');
+        el.className = 'tap-zone';
+        el.dataset.action = action;
+        el.title = ACTION_TITLES[action];
+        if (left > 0 && left + width >= 100) el.style.right = '0';
+        else el.style.left = left + '%';
+        el.style.top = top + '%';
+        el.style.setProperty('--zone-width', width + '%');
+        el.style.height = height + '%';
+        if (withLabels) el.textContent = ACTION_LABELS[action];
+        container.appendChild(el);
+        if (onZone) onZone(el, action);
+      });
+    });
+  }
+
+  window.InkPagesTapZones = {
+    LAYOUTS,
+    DEFAULT_LAYOUT,
+    validLayout,
+    resolveZones,
+    renderZones
+  };
+})();
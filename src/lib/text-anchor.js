@@ -0,0 +1,341 @@
+/**
+ * Text Anchors
+ *
+ * A text anchor identifies a position in rendered article content
+ * independently of layout: { block, offset, snippet }
+ * - block:   index of the text block (paragraph, heading, list item, ...)
+ * - offset:  character offset into that block's text
+ * - snippet: a few characters of text at the anchor, used to re-find the
+ *            position if the block structure has changed
+ *
+ * Page indexes change whenever font size, page width, line height or the
+ * viewport changes; anchors do not. The pagination code supplies a
+ * pageOf(rect) function that maps a client rect to its page index.
+ *
+ * The collected text of the content is cached between calls. A mutation
+ * observer on the content drops it whenever nodes are added, removed or
+ * edited (new content, marks for search matches and highlights), so
+ * callers never see stale text.
+ *
+ * Shared by the in-page overlay (content script) and reader.html.
+ */
+
+(function() {
+  'use strict';
+
+  // Exported with IGNORE_SELECTOR, so other code walking the content (find, read aloud)
+  // splits it into the same blocks as the anchors do
+  const BLOCK_SELECTOR = [
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'dt', 'dd',
+    'blockquote', 'pre', 'figcaption', 'td', 'th', 'caption'
+  ].join(', ');
+
+  // Elements inside the content that are UI, not article text
+  const IGNORE_SELECTOR = '[data-anchor-ignore]';
+
+  const SNIPPET_LENGTH = 32;
+
+  let cache = null; // { root, text, observer } from the last collectText()
+
+  function invalidate() {
+    if (!cache) return;
+    cache.observer.disconnect();
+    cache = null;
+  }
+
+  /**
+   * Non-empty text nodes in document order, each with its block (cached)
+   */
+  function collectText(root) {
+    // Pending records are changes made since, in this same task
+    if (cache && cache.root === root && cache.observer.takeRecords().length === 0) {
+      return cache.text;
+    }
+
+    invalidate();
+    const observer = new MutationObserver(invalidate);
+    observer.observe(root, {
+      subtree: true,
+      childList: true,
+      characterData: true,
+      attributeFilter: ['data-anchor-ignore']
+    });
+    cache = { root, text: readText(root), observer };
+    return cache.text;
+  }
+
+  /**
+   * Collect non-empty text nodes in document order, each with its block.
+   * A block is the nearest block-level ancestor (or the parent element for
+   * text outside any block), so the list is derived from the DOM alone and
+   * is stable across re-renders of the same content.
+   */
+  function readText(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        if (!node.data.trim()) return NodeFilter.FILTER_REJECT;
+        const parent = node.parentElement;
+        if (parent && parent.closest(IGNORE_SELECTOR)) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    const blocks = [];
+    const blockLengths = [];
+    const blockIndexes = new Map();
+    const entries = [];
+
+    let lastBlock = null;
+    let index = -1;
+    let node;
+    while ((node = walker.nextNode())) {
+      const parent = node.parentElement;
+      let block = parent.closest(BLOCK_SELECTOR);
+      if (!block || !root.contains(block)) block = parent;
+
+      // Text can resume in a block after a nested block (e.g. li > ul > li)
+      if (block !== lastBlock) {
+        index = blockIndexes.get(block);
+        if (index === undefined) {
+          index = blocks.push(block) - 1;
+          blockLengths.push(0);
+          blockIndexes.set(block, index);
+        }
+        lastBlock = block;
+      }
+
+      entries.push({ node, block: index, start: blockLengths[index] });
+      blockLengths[index] += node.data.length;
+    }
+
+    return { blocks, entries };
+  }
+
+  function charRect(node, offset) {
+    const range = document.createRange();
+    range.setStart(node, offset);
+    range.setEnd(node, Math.min(offset + 1, node.data.length));
+    const rects = range.getClientRects();
+    return rects.length ? rects[0] : null;
+  }
+
+  function nodeRects(node) {
+    const range = document.createRange();
+    range.selectNodeContents(node);
+    return range.getClientRects();
+  }
+
+  function snippetAt(entries, index, offset) {
+    let text = entries[index].node.data.substring(offset);
+    for (let i = index + 1; i < entries.length && text.length < SNIPPET_LENGTH; i++) {
+      text += entries[i].node.data;
+    }
+    return text.replace(/\s+/g, ' ').trim().substring(0, SNIPPET_LENGTH);
+  }
+
+  function makeAnchor(entries, index, offset) {
+    const entry = entries[index];
+    return {
+      block: entry.block,
+      offset: entry.start + offset,
+      snippet: snippetAt(entries, index, offset)
+    };
+  }
+
+  // First rendered entry at or after index (hidden text, e.g. captions of hidden images, has no rects)
+  function renderedFrom(entries, index, end) {
+    for (let i = index; i < end; i++) {
+      const rects = nodeRects(entries[i].node);
+      if (rects.length > 0) return { index: i, rects };
+    }
+    return null;
+  }
+
+  /**
+   * Anchor for the first visible word on a page.
+   * Text runs through the pages in document order, so the node is found
+   * by bisection instead of measuring every node before the page.
+   * @param {Element} root - Content element (e.g. #article-content)
+   * @param {number} page - Page index
+   * @param {function(DOMRect): number} pageOf - Maps a client rect to a page index
+   * @returns {{block: number, offset: number, snippet: string}|null}
+   */
+  function anchorForPage(root, page, pageOf) {
+    const { entries } = collectText(root);
+
+    // First node that ends on or after the page
+    let lowEntry = 0;
+    let highEntry = entries.length;
+    while (lowEntry < highEntry) {
+      const mid = (lowEntry + highEntry) >> 1;
+      const rendered = renderedFrom(entries, mid, highEntry);
+      if (!rendered) {
+        highEntry = mid;
+      } else if (pageOf(rendered.rects[rendered.rects.length - 1]) < page) {
+        lowEntry = rendered.index + 1;
+      } else {
+        highEntry = mid;
+      }
+    }
+
+    const found = renderedFrom(entries, lowEntry, entries.length);
+    if (found) {
+      const i = found.index;
+      const node = entries[i].node;
+      const rects = found.rects;
+
+      // This node ends on or after the page - find its first character on the page
+      let low = 0;
+      let high = node.data.length - 1;
+      if (pageOf(rects[0]) < page) {
+        while (low < high) {
+          const mid = (low + high) >> 1;
+          const rect = charRect(node, mid);
+          if (rect && pageOf(rect) >= page) high = mid;
+          else low = mid + 1;
+        }
+      }
+
+      // Skip leading whitespace so the anchor sits on a word
+      let offset = low;
+      while (offset < node.data.length - 1 && /\s/.test(node.data[offset])) offset++;
+
+      return makeAnchor(entries, i, offset);
+    }
+
+    return null;
+  }
+
+  /**
+   * Anchor for a DOM position (e.g. a selection boundary)
+   */
+  function anchorFromPosition(root, container, offset) {
+    const { entries } = collectText(root);
+
+    if (container.nodeType === Node.TEXT_NODE) {
+      const index = entries.findIndex(e => e.node === container);
+      if (index !== -1) return makeAnchor(entries, index, Math.min(offset, container.data.length));
+    }
+
+    // Element boundary (or whitespace-only text) - use the next text node
+    const boundary = document.createRange();
+    boundary.setStart(container, offset);
+    const index = entries.findIndex(e => boundary.comparePoint(e.node, 0) >= 0);
+    return index === -1 ? null : makeAnchor(entries, index, 0);
+  }
+
+  /**
+   * Resolve an anchor back to a DOM position { node, offset }.
+   * Falls back to searching for the snippet if the block no longer matches.
+   */
+  function resolveAnchor(root, anchor) {
+    if (!anchor) return null;
+    const { entries } = collectText(root);
+    if (entries.length === 0) return null;
+
+    const direct = positionInBlock(entries, anchor.block, anchor.offset);
+    if (!anchor.snippet) return direct;
+
+    if (direct) {
+      const index = entries.findIndex(e => e.node === direct.node);
+      if (snippetAt(entries, index, direct.offset).startsWith(anchor.snippet.substring(0, 12))) {
+        return direct;
+      }
+    }
+
+    // Block structure changed (e.g. content re-extracted) - look for the snippet instead
+    return findSnippet(entries, anchor.snippet) || direct;
+  }
+
+  function positionInBlock(entries, block, offset) {
+    const blockEntries = entries.filter(e => e.block === block);
+    for (const entry of blockEntries) {
+      if (offset < entry.start + entry.node.data.length) {
+        return { node: entry.node, offset: Math.max(0, offset - entry.start) };
+      }
+    }
+    const last = blockEntries[blockEntries.length - 1];
+    return last ? { node: last.node, offset: last.node.data.length } : null;
+  }
+
+  function findSnippet(entries, snippet) {
+    // Whitespace-collapsed text with a map back to (entry, offset)
+    let text = '';
+    const map = [];
+    let lastWasSpace = true;
+
+    entries.forEach((entry, i) => {
+      const data = entry.node.data;
+      for (let j = 0; j < data.length; j++) {
+        const isSpace = /\s/.test(data[j]);
+        if (isSpace && lastWasSpace) continue;
+        text += isSpace ? ' ' : data[j];
+        map.push(i, j);
+        lastWasSpace = isSpace;
+      }
+    });
+
+    const found = text.indexOf(snippet);
+    if (found === -1) return null;
+    return { node: entries[map[found * 2]].node, offset: map[found * 2 + 1] };
+  }
+
+  /**
+   * Page index that holds an anchor, or null if it can't be resolved
+   */
+  function pageForAnchor(root, anchor, pageOf) {
+    const position = resolveAnchor(root, anchor);
+    if (!position) return null;
+    const node = position.node;
+    let offset = Math.min(position.offset, Math.max(0, node.data.length - 1));
+    while (offset < node.data.length - 1 && /\s/.test(node.data[offset])) offset++;
+    const rect = charRect(node, offset);
+    return rect ? pageOf(rect) : null;
+  }
+
+  /**
+   * Build a Range between two anchors (for highlights and annotations)
+   */
+  function rangeFromAnchors(root, start, end) {
+    const startPos = resolveAnchor(root, start);
+    const endPos = resolveAnchor(root, end);
+    if (!startPos || !endPos) return null;
+    const range = document.createRange();
+    range.setStart(startPos.node, startPos.offset);
+    range.setEnd(endPos.node, endPos.offset);
+    return range.collapsed ? null : range;
+  }
+
+  /**
+   * Wrap part of a text node in an inline element (search matches,
+   * highlights) without moving anchors. collectText() skips whitespace-only
+   * text, so a split that left one behind would shift the offsets after
+   * it; the wrapper takes such whitespace in instead.
+   * @param {Text} node
+   * @param {number} start
+   * @param {number} end
+   * @param {Element} wrapper - Empty element to wrap the text in
+   * @returns {Element} The wrapper
+   */
+  function wrapText(node, start, end, wrapper) {
+    if (!node.data.substring(0, start).trim()) start = 0;
+    if (!node.data.substring(end).trim()) end = node.data.length;
+
+    const range = document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, end);
+    range.surroundContents(wrapper);
+    return wrapper;
+  }
+
+  window.InkPagesTextAnchor = {
+    anchorForPage,
+    anchorFromPosition,
+    resolveAnchor,
+    pageForAnchor,
+    rangeFromAnchors,
+    wrapText,
+    BLOCK_SELECTOR,
+    IGNORE_SELECTOR
+  };
+})();
@@ -0,0 +1,85 @@
+/**
+ * Article Table of Contents
+ *
+ * Maps the article's h2/h3 headings to the pages they fall on after
+ * pagination, for the TOC drawer and the current section shown in the
+ * header. The map is rebuilt after every layout, since font size, page
+ * width and spread mode all move headings to other pages.
+ *
+ * Shared by the in-page overlay (content script) and reader.html.
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Headings of the laid-out content with their page
+   * @param {Element} root - Paginated content
+   * @param {function(Element): number} pageOf - Page index holding an element
+   * @returns {Array<{heading: Element, text: string, level: number, page: number}>}
+   */
+  function buildEntries(root, pageOf) {
+    return Array.from(root.querySelectorAll('h2, h3'))
+      .map(heading => ({
+        heading,
+        text: heading.textContent.replace(/\s+/g, ' ').trim(),
+        level: heading.tagName === 'H2' ? 2 : 3
+      }))
+      .filter(entry => entry.text)
+      .map(entry => ({ ...entry, page: pageOf(entry.heading) }));
+  }
+
+  /**
+   * Section being read: the last heading on or before the last visible page
+   * @param {Array} entries - From buildEntries(), in document order
+   * @param {number} lastVisiblePage
+   * @returns {Object|null}
+   */
+  function currentEntry(entries, lastVisiblePage) {
+    let current = null;
+    for (const entry of entries) {
+      if (entry.page > lastVisiblePage) break;
+      current = entry;
+    }
+    return current;
+  }
+
+  /**
+   * Replace the contents of a list with one button per entry
+   * @param {Element} list - <ol> in the drawer
+   * @param {Array} entries
+   * @param {Object|null} current - Marked as the current section
+   * @param {function(Object)} onSelect
+   */
+  function renderList(list, entries, current, onSelect) {
+    const doc = list.ownerDocument;
+    list.textContent = '';
+
+    entries.forEach(entry => {
+      const item = doc.createElement('li');
+      item.className = `toc-item toc-level-${entry.level}`;
+
+      const button = doc.createElement('button');
+      button.className = 'toc-link';
+      if (entry === current) button.classList.add('current');
+
+      const title = doc.createElement('span');
+      title.className = 'toc-title';
+      title.textContent = entry.text;
+      const page = doc.createElement('span');
+      page.className = 'toc-page';
+      page.textContent = entry.page + 1;
+
+      button.append(title, page);
+      button.addEventListener('click', () => onSelect(entry));
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+  }
+
+  window.InkPagesToc = {
+    buildEntries,
+    currentEntry,
+    renderList
+  };
+})();
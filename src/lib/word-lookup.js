@@ -0,0 +1,224 @@
+/**
+ * Word Lookup
+ *
+ * Finds the word under a long-press or double-tap in article content and
+ * renders dictionary results for the definition popup. Words are cut out
+ * with Intl.Segmenter in the article's language, so languages written
+ * without spaces (Japanese, Chinese, Thai) work too.
+ *
+ * The dictionaries themselves are in src/lib/dictionary.js, which only
+ * runs in extension pages.
+ *
+ * Shared by the in-page overlay (content script) and reader.html.
+ */
+
+(function() {
+  'use strict';
+
+  const LONG_PRESS_MS = 500;
+  const DOUBLE_TAP_MS = 300;
+  const MOVE_TOLERANCE = 10; // px a finger may drift and still count as pressing or tapping
+
+  // Elements inside the content whose text isn't looked up
+  const IGNORE_SELECTOR = '[data-anchor-ignore], a[href], button';
+
+  function pointInRect(x, y, rect) {
+    return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+  }
+
+  /**
+   * Text position under a point. caretPositionFromPoint() needs to be told
+   * about shadow roots; without support for that, the text nodes of the
+   * element under the point are measured instead.
+   */
+  function caretAt(root, x, y, target) {
+    const doc = root.ownerDocument;
+    const shadowRoot = root.getRootNode();
+
+    if (doc.caretPositionFromPoint) {
+      const options = shadowRoot !== doc ? { shadowRoots: [shadowRoot] } : undefined;
+      const caret = doc.caretPositionFromPoint(x, y, options);
+      if (caret && caret.offsetNode.nodeType === Node.TEXT_NODE && root.contains(caret.offsetNode)) {
+        return { node: caret.offsetNode, offset: caret.offset };
+      }
+    }
+
+    const range = doc.createRange();
+    const walker = doc.createTreeWalker(target, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      range.selectNodeContents(node);
+      if (!Array.from(range.getClientRects()).some(rect => pointInRect(x, y, rect))) continue;
+      for (let i = 0; i < node.data.length; i++) {
+        range.setStart(node, i);
+        range.setEnd(node, i + 1);
+        if (Array.from(range.getClientRects()).some(rect => pointInRect(x, y, rect))) {
+          return { node, offset: i };
+        }
+      }
+    }
+    return null;
+  }
+
+  function createSegmenter(lang) {
+    try {
+      return new Intl.Segmenter(lang || undefined, { granularity: 'word' });
+    } catch {
+      // Not a valid language tag
+      return new Intl.Segmenter(undefined, { granularity: 'word' });
+    }
+  }
+
+  /**
+   * Word at a point in the content
+   * @param {Element} root - Rendered article content
+   * @param {number} x - Client coordinates
+   * @param {number} y
+   * @param {Element} target - Element that got the event
+   * @param {string} [lang] - Article language
+   * @returns {string|null}
+   */
+  function wordAtPoint(root, x, y, target, lang) {
+    if (!target || !root.contains(target) || target.closest(IGNORE_SELECTOR)) return null;
+
+    const caret = caretAt(root, x, y, target);
+    if (!caret) return null;
+
+    const text = caret.node.data;
+    // A caret just past the last letter still means that word
+    const offset = Math.min(caret.offset, text.length - 1);
+    const segment = createSegmenter(lang).segment(text).containing(offset);
+    return segment && segment.isWordLike ? segment.segment : null;
+  }
+
+  /**
+   * Call onLookup(x, y, target) on a long-press or a double-tap, whichever
+   * getMode() returns ('longPress', 'doubleTap' or 'off')
+   * @param {Element} element
+   * @param {function(): string} getMode
+   * @param {function(number, number, Element)} onLookup
+   */
+  function watchGestures(element, getMode, onLookup) {
+    let press = null;
+    let lastTap = null;
+    let lastLookup = 0;
+    let suppressClick = false;
+
+    const lookup = (x, y, target) => {
+      lastLookup = Date.now();
+      onLookup(x, y, target);
+    };
+
+    const cancelPress = () => {
+      if (press) clearTimeout(press.timer);
+      press = null;
+    };
+
+    element.addEventListener('pointerdown', (e) => {
+      cancelPress();
+      if (getMode() !== 'longPress' || !e.isPrimary || e.button !== 0) return;
+      const target = e.target;
+      press = {
+        x: e.clientX,
+        y: e.clientY,
+        timer: setTimeout(() => {
+          press = null;
+          suppressClick = true;
+          lookup(e.clientX, e.clientY, target);
+        }, LONG_PRESS_MS)
+      };
+    });
+
+    element.addEventListener('pointermove', (e) => {
+      if (press && Math.hypot(e.clientX - press.x, e.clientY - press.y) > MOVE_TOLERANCE) cancelPress();
+    });
+    element.addEventListener('pointercancel', cancelPress);
+
+    element.addEventListener('pointerup', (e) => {
+      cancelPress();
+      if (getMode() !== 'doubleTap' || e.pointerType === 'mouse' || !e.isPrimary) return;
+
+      // Touch double-taps don't reliably become dblclick events
+      const now = Date.now();
+      if (lastTap && now - lastTap.time < DOUBLE_TAP_MS &&
+          Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < MOVE_TOLERANCE * 3) {
+        lastTap = null;
+        lookup(e.clientX, e.clientY, e.target);
+      } else {
+        lastTap = { time: now, x: e.clientX, y: e.clientY };
+      }
+    });
+
+    // Mouse double-clicks (a touch double-tap that also fires one was handled above)
+    element.addEventListener('dblclick', (e) => {
+      if (getMode() === 'doubleTap' && Date.now() - lastLookup > DOUBLE_TAP_MS) lookup(e.clientX, e.clientY, e.target);
+    });
+
+    // A long-press ends with a click (and, on touch, a context menu) that mustn't act
+    element.addEventListener('click', (e) => {
+      if (!suppressClick) return;
+      suppressClick = false;
+      e.preventDefault();
+      e.stopPropagation();
+    }, true);
+    element.addEventListener('contextmenu', (e) => {
+      if (Date.now() - lastLookup < LONG_PRESS_MS) e.preventDefault();
+    });
+  }
+
+  /**
+   * Fill the definition popup
+   * @param {Element} container
+   * @param {string} word - The word as it appears in the article
+   * @param {Object} response - From InkPagesDictionary.lookup(): { results, dictionaryCount }
+   */
+  function renderResults(container, word, { results, dictionaryCount }) {
+    const doc = container.ownerDocument;
+    container.textContent = '';
+
+    const heading = doc.createElement('h2');
+    heading.className = 'dictionary-word';
+    heading.textContent = results.length > 0 ? results[0].headword : word;
+    container.appendChild(heading);
+
+    if (results.length === 0) {
+      const message = doc.createElement('p');
+      message.className = 'dictionary-message';
+      message.textContent = dictionaryCount === 0
+        ? 'No dictionary for this language yet. Import one with Settings → Manage Dictionaries.'
+        : 'Not found in your dictionaries.';
+      container.appendChild(message);
+      return;
+    }
+
+    results.forEach(result => {
+      const entry = doc.createElement('section');
+      entry.className = 'dictionary-entry';
+
+      if (result.headword !== heading.textContent) {
+        const headword = doc.createElement('h3');
+        headword.className = 'dictionary-headword';
+        headword.textContent = result.headword;
+        entry.appendChild(headword);
+      }
+
+      const definition = doc.createElement('p');
+      definition.className = 'dictionary-definition';
+      definition.textContent = result.definition;
+      entry.appendChild(definition);
+
+      const source = doc.createElement('p');
+      source.className = 'dictionary-source';
+      source.textContent = result.dictionary;
+      entry.appendChild(source);
+
+      container.appendChild(entry);
+    });
+  }
+
+  window.InkPagesWordLookup = {
+    wordAtPoint,
+    watchGestures,
+    renderResults
+  };
+})();
@@ -0,0 +1,142 @@
+/**
+ * Library Page
+ *
+ * Lists articles saved for offline reading (see src/lib/library.js).
+ * Articles open in reader.html?library=<id>, which gets them from the
+ * background script.
+ */
+
+(function() {
+  'use strict';
+
+  const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+  let articles = [];
+  let elements = {};
+
+  const SORTERS = {
+    newest: (a, b) => b.savedAt - a.savedAt,
+    oldest: (a, b) => a.savedAt - b.savedAt,
+    site: (a, b) => (a.siteName || '').localeCompare(b.siteName || '') || b.savedAt - a.savedAt,
+    shortest: (a, b) => articleLength(a) - articleLength(b),
+    longest: (a, b) => articleLength(b) - articleLength(a)
+  };
+
+  function articleLength(article) {
+    return article.wordCount || article.contentLength || 0;
+  }
+
+  async function init() {
+    elements = {
+      search: document.getElementById('library-search'),
+      sort: document.getElementById('library-sort'),
+      count: document.getElementById('library-count'),
+      list: document.getElementById('library-list'),
+      empty: document.getElementById('library-empty')
+    };
+
+    await applyTheme();
+
+    elements.search.addEventListener('input', render);
+    elements.sort.addEventListener('change', render);
+
+    try {
+      articles = await InkPagesLibrary.listArticles();
+    } catch (error) {
+      console.error('Failed to load library:', error);
+      articles = [];
+    }
+    render();
+  }
+
+  // Use the reader's theme so the library matches
+  async function applyTheme() {
+    try {
+      const result = await browserAPI.storage.sync.get('readerSettings');
+      const theme = result.readerSettings && result.readerSettings.theme;
+      if (theme) document.documentElement.setAttribute('data-theme', theme);
+    } catch (error) {
+      console.warn('Failed to load settings:', error);
+    }
+  }
+
+  function getVisibleArticles() {
+    const query = elements.search.value.trim().toLowerCase();
+    const matches = query
+      ? articles.filter(article => [article.title, article.siteName, article.byline, article.excerpt]
+        .some(field => field && field.toLowerCase().includes(query)))
+      : articles.slice();
+    return matches.sort(SORTERS[elements.sort.value] || SORTERS.newest);
+  }
+
+  function render() {
+    const visible = getVisibleArticles();
+
+    elements.empty.classList.toggle('hidden', articles.length > 0);
+    elements.count.textContent = articles.length === 0 ? ''
+      : visible.length === articles.length ? `${articles.length} saved`
+        : `${visible.length} of ${articles.length} saved`;
+
+    elements.list.textContent = '';
+    visible.forEach(article => elements.list.appendChild(renderItem(article)));
+  }
+
+  function renderItem(article) {
+    const item = document.createElement('li');
+    item.className = 'library-item';
+
+    const main = document.createElement('div');
+    main.className = 'library-item-main';
+
+    const title = document.createElement('a');
+    title.className = 'library-item-title';
+    title.href = `../reader/reader.html?library=${encodeURIComponent(article.id)}`;
+    title.textContent = article.title || 'Untitled';
+    if (article.dir === 'rtl') title.dir = 'rtl';
+    main.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'library-item-meta';
+    meta.textContent = [
+      article.siteName,
+      article.readingTime ? `${article.readingTime} min read` : '',
+      `saved ${new Date(article.savedAt).toLocaleDateString()}`
+    ].filter(Boolean).join(' · ');
+    main.appendChild(meta);
+
+    if (article.excerpt) {
+      const excerpt = document.createElement('p');
+      excerpt.className = 'library-item-excerpt';
+      excerpt.textContent = article.excerpt;
+      main.appendChild(excerpt);
+    }
+
+    const remove = document.createElement('button');
+    remove.className = 'library-delete';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => deleteArticle(article));
+
+    item.appendChild(main);
+    item.appendChild(remove);
+    return item;
+  }
+
+  async function deleteArticle(article) {
+    if (!confirm(`Delete "${article.title || 'Untitled'}" from your library?`)) return;
+
+    try {
+      await InkPagesLibrary.deleteArticle(article.id);
+      articles = articles.filter(a => a.id !== article.id);
+      render();
+    } catch (error) {
+      console.error('Failed to delete article:', error);
+      alert('Could not delete the article.');
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
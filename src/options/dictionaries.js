@@ -0,0 +1,121 @@
+/**
+ * Options Page - Dictionaries
+ *
+ * Imports dictionary files into the extension's IndexedDB (see
+ * src/lib/dictionary.js) and lists, relabels and deletes them. Opened
+ * from the reader's settings as options.html#dictionaries.
+ */
+
+(function() {
+  'use strict';
+
+  let elements = {};
+
+  async function init() {
+    elements = {
+      list: document.getElementById('dictionary-list'),
+      empty: document.getElementById('dictionaries-empty'),
+      template: document.getElementById('dictionary-template'),
+      lang: document.getElementById('dictionary-lang'),
+      files: document.getElementById('dictionary-files'),
+      btnImport: document.getElementById('btn-import-dictionary'),
+      status: document.getElementById('dictionary-status')
+    };
+
+    // Most dictionaries are for the language the browser is set to
+    elements.lang.value = (navigator.language || '').split('-')[0];
+
+    elements.btnImport.addEventListener('click', () => elements.files.click());
+    elements.files.addEventListener('change', () => {
+      const files = Array.from(elements.files.files);
+      elements.files.value = '';
+      if (files.length > 0) importFiles(files);
+    });
+
+    await render();
+  }
+
+  async function render() {
+    let dictionaries = [];
+    try {
+      dictionaries = await InkPagesDictionary.listDictionaries();
+    } catch (error) {
+      console.error('Failed to load dictionaries:', error);
+      setStatus('Could not open the dictionaries');
+    }
+
+    elements.list.textContent = '';
+    dictionaries.forEach(dictionary => elements.list.appendChild(renderDictionary(dictionary)));
+    elements.empty.classList.toggle('hidden', dictionaries.length > 0);
+  }
+
+  function renderDictionary(dictionary) {
+    const item = elements.template.content.firstElementChild.cloneNode(true);
+
+    item.querySelector('.dictionary-name').textContent = dictionary.name;
+    item.querySelector('.dictionary-meta').textContent =
+      `${dictionary.entryCount.toLocaleString()} entries · ${dictionary.format.toUpperCase()} · ` +
+      `imported ${new Date(dictionary.importedAt).toLocaleDateString()}`;
+
+    const lang = item.querySelector('.dictionary-lang input');
+    lang.value = dictionary.lang;
+    lang.addEventListener('change', async () => {
+      try {
+        await InkPagesDictionary.updateDictionary(dictionary.id, { lang: lang.value.trim() });
+        setStatus(lang.value.trim()
+          ? `${dictionary.name} is now used for "${lang.value.trim()}" articles`
+          : `${dictionary.name} is now used for all articles`);
+      } catch (error) {
+        console.error('Failed to update dictionary:', error);
+        setStatus('Could not change the language');
+      }
+    });
+
+    item.querySelector('.dictionary-delete').addEventListener('click', async () => {
+      try {
+        await InkPagesDictionary.deleteDictionary(dictionary.id);
+        setStatus(`Deleted ${dictionary.name}`);
+      } catch (error) {
+        console.error('Failed to delete dictionary:', error);
+        setStatus('Could not delete the dictionary');
+      }
+      await render();
+    });
+
+    return item;
+  }
+
+  async function importFiles(files) {
+    elements.btnImport.disabled = true;
+    setStatus('Reading…');
+
+    try {
+      const dictionary = await InkPagesDictionary.readFiles(files);
+      if (dictionary.entries.length === 0) throw new Error('No entries found');
+
+      const total = dictionary.entries.length.toLocaleString();
+      const record = await InkPagesDictionary.importDictionary(
+        { ...dictionary, lang: elements.lang.value.trim() },
+        count => setStatus(`Importing… ${count.toLocaleString()} of ${total}`)
+      );
+      setStatus(`Imported ${record.name} (${total} entries)`);
+    } catch (error) {
+      console.error('Failed to import dictionary:', error);
+      setStatus(`Import failed: ${error.message}`);
+    } finally {
+      elements.btnImport.disabled = false;
+    }
+
+    await render();
+  }
+
+  function setStatus(text) {
+    elements.status.textContent = text;
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,177 @@
+/**
+ * Options Page - Site Rule Editor
+ *
+ * Edits the siteRules list in storage.local (see src/lib/site-rules.js).
+ * Opened from the reader's settings as options.html?site=<host>, which
+ * adds a rule for that host unless one exists.
+ */
+
+(function() {
+  'use strict';
+
+  const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+  const LIST_FIELDS = ['removeSelectors', 'listingSelectors'];
+  const SELECTOR_FIELDS = ['contentSelector', 'titleSelector', 'bylineSelector', ...LIST_FIELDS];
+
+  let elements = {};
+
+  async function init() {
+    elements = {
+      list: document.getElementById('rule-list'),
+      empty: document.getElementById('rules-empty'),
+      template: document.getElementById('rule-template'),
+      btnAdd: document.getElementById('btn-add-rule'),
+      btnSave: document.getElementById('btn-save-rules'),
+      status: document.getElementById('options-status')
+    };
+
+    await applyTheme();
+
+    elements.btnAdd.addEventListener('click', () => addRule(InkPagesSiteRules.emptyRule()));
+    elements.btnSave.addEventListener('click', save);
+
+    let rules = [];
+    try {
+      rules = await InkPagesSiteRules.loadRules();
+    } catch (error) {
+      console.error('Failed to load site rules:', error);
+    }
+    rules.forEach(rule => addRule(rule, false));
+
+    const site = new URLSearchParams(window.location.search).get('site');
+    if (site) {
+      const existing = Array.from(elements.list.children)
+        .find(item => readRule(item).pattern === site);
+      if (existing) {
+        focusRule(existing);
+      } else {
+        addRule(InkPagesSiteRules.emptyRule(site));
+      }
+    }
+
+    updateEmpty();
+  }
+
+  // Use the reader's theme so the page matches
+  async function applyTheme() {
+    try {
+      const result = await browserAPI.storage.sync.get('readerSettings');
+      const theme = result.readerSettings && result.readerSettings.theme;
+      if (theme) document.documentElement.setAttribute('data-theme', theme);
+    } catch (error) {
+      console.warn('Failed to load settings:', error);
+    }
+  }
+
+  function addRule(rule, focus = true) {
+    const item = elements.template.content.firstElementChild.cloneNode(true);
+
+    item.querySelectorAll('[data-field]').forEach(input => {
+      const value = rule[input.dataset.field];
+      input.value = Array.isArray(value) ? value.join('\n') : (value || '');
+      input.addEventListener('input', () => setStatus(''));
+    });
+
+    item.querySelector('.rule-delete').addEventListener('click', () => {
+      item.remove();
+      updateEmpty();
+      setStatus('Rule deleted - save to apply');
+    });
+
+    elements.list.appendChild(item);
+    updateEmpty();
+    if (focus) focusRule(item);
+  }
+
+  function focusRule(item) {
+    item.scrollIntoView({ block: 'nearest' });
+    const input = item.querySelector(item.querySelector('[data-field="pattern"]').value
+      ? '[data-field="contentSelector"]'
+      : '[data-field="pattern"]');
+    input.focus();
+  }
+
+  function readRule(item) {
+    const rule = InkPagesSiteRules.emptyRule();
+    item.querySelectorAll('[data-field]').forEach(input => {
+      const field = input.dataset.field;
+      rule[field] = LIST_FIELDS.includes(field)
+        ? input.value.split('\n').map(line => line.trim()).filter(Boolean)
+        : input.value.trim();
+    });
+    return rule;
+  }
+
+  /**
+   * Problems with a rule, as messages (empty if it can be saved)
+   */
+  function validateRule(rule) {
+    const errors = [];
+    if (!rule.pattern) errors.push('Enter a host name or URL pattern.');
+
+    SELECTOR_FIELDS.forEach(field => {
+      const selectors = LIST_FIELDS.includes(field) ? rule[field] : [rule[field]];
+      selectors.forEach(selector => {
+        const error = InkPagesSiteRules.validateSelector(selector);
+        if (error) errors.push(error);
+      });
+    });
+
+    return errors;
+  }
+
+  function isEmptyRule(rule) {
+    return !rule.pattern && SELECTOR_FIELDS.every(field =>
+      LIST_FIELDS.includes(field) ? rule[field].length === 0 : !rule[field]);
+  }
+
+  async function save() {
+    const rules = [];
+    let firstInvalid = null;
+
+    Array.from(elements.list.children).forEach(item => {
+      const rule = readRule(item);
+      const errors = isEmptyRule(rule) ? [] : validateRule(rule);
+      const errorEl = item.querySelector('.rule-error');
+
+      errorEl.textContent = errors.join(' ');
+      errorEl.classList.toggle('hidden', errors.length === 0);
+      item.classList.toggle('invalid', errors.length > 0);
+
+      if (errors.length > 0) {
+        firstInvalid = firstInvalid || item;
+      } else if (!isEmptyRule(rule)) {
+        rules.push(rule);
+      }
+    });
+
+    if (firstInvalid) {
+      firstInvalid.scrollIntoView({ block: 'nearest' });
+      setStatus('Fix the marked rules to save');
+      return;
+    }
+
+    try {
+      await InkPagesSiteRules.saveRules(rules);
+      setStatus(`Saved ${rules.length} ${rules.length === 1 ? 'rule' : 'rules'} - reopen the reader to apply`);
+    } catch (error) {
+      console.error('Failed to save site rules:', error);
+      setStatus('Could not save the rules');
+    }
+  }
+
+  function setStatus(text) {
+    elements.status.textContent = text;
+  }
+
+  function updateEmpty() {
+    elements.empty.classList.toggle('hidden', elements.list.children.length > 0);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
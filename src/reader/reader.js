@@ -24,10 +24,29 @@
   // State
   // ============================================
   let articleData = null;
+  // reader.html?id=<token> shows an article handed over by the in-page reader,
+  // reader.html?library=<id> one saved in the offline library
+  const pageParams = new URLSearchParams(window.location.search);
+  const articleId = pageParams.get('id');
+  const libraryId = pageParams.get('library');
   let currentPage = 0;
   let totalPages = 1;
   let elements = {};
   let pageWidth = 0; // Width of one page (column + gap)
+  let currentAnchor = null; // Text anchor of the current page - survives re-layout
+  let pageHistory = []; // { anchor, page } before each in-article link jump
+  let tocEntries = []; // Headings with their pages, rebuilt after each layout
+  let findQuery = '';
+  let foundMatches = []; // { marks, snippet, page } of the current search
+  let findIndex = -1;
+  let overview = null; // Page overview grid handle while it is open
+  let annotations = []; // Stored highlights and notes of this article
+  let annotationMarks = new Map(); // id -> <mark> elements in the content
+  let pendingRange = null; // Selected text waiting for a colour or note
+  let editingAnnotation = null; // Highlight tapped in the text
+  let bookmarks = []; // Stored bookmarks of this article
+  let bookmarkPages = new Map(); // id -> page index in the current layout (null if the text is gone)
+  let pageDirection = 'ltr'; // 'rtl' for Arabic, Hebrew, Persian, ... - pages progress leftwards
   let settings = {
     fontFamily: 'serif',
     fontSize: 18,
@@ -37,8 +56,16 @@
     boldText: false,
     justifyText: false,
     grayscale: false,
-    noImages: false
+    noImages: false,
+    keyBindings: InkPagesKeyBindings.normalizeBindings(null),
+    tapZoneLayout: InkPagesTapZones.DEFAULT_LAYOUT,
+    tapZonesSwapped: false, // Left-handed: back and forward exchanged
+    lookupGesture: 'doubleTap', // Dictionary lookup: 'doubleTap', 'longPress' or 'off'
+    readAloudRate: 1,
+    readAloudVoiceByLanguage: {} // voiceURI per primary language ('' for articles without one)
   };
+  let bindingsEditor = null; // Settings panel "press a key" editor
+  let tapPreviewTimer = null;
 
   // ============================================
   // DOM Elements - Initialize after DOM ready
@@ -53,19 +80,92 @@
       articleTitle: document.getElementById('article-title'),
       articleByline: document.getElementById('article-byline'),
       articleReadingTime: document.getElementById('article-reading-time'),
+      articlePages: document.getElementById('article-pages'),
       contentViewport: document.getElementById('content-viewport'),
       articleContent: document.getElementById('article-content'),
       siteName: document.getElementById('site-name'),
       pageIndicator: document.getElementById('page-indicator'),
+      progressBar: document.getElementById('progress-bar'),
+      footnotePopup: document.getElementById('footnote-popup'),
+      footnoteBody: document.getElementById('footnote-body'),
+      btnCloseFootnote: document.getElementById('btn-close-footnote'),
+      dictionaryPopup: document.getElementById('dictionary-popup'),
+      dictionaryBody: document.getElementById('dictionary-body'),
+      btnCloseDictionary: document.getElementById('btn-close-dictionary'),
       progressFill: document.getElementById('progress-fill'),
-      tapZonePrev: document.getElementById('tap-zone-prev'),
-      tapZoneNext: document.getElementById('tap-zone-next'),
+      tapZones: document.getElementById('tap-zones'),
+      tapZonePreview: document.getElementById('tap-zone-preview'),
       btnClose: document.getElementById('btn-close'),
+      btnBack: document.getElementById('btn-back'),
+      btnToc: document.getElementById('btn-toc'),
+      btnAnnotations: document.getElementById('btn-annotations'),
+      btnBookmark: document.getElementById('btn-bookmark'),
+      btnBookmarks: document.getElementById('btn-bookmarks'),
+      dogEar: document.getElementById('dog-ear'),
+      bookmarksPanel: document.getElementById('bookmarks-panel'),
+      bookmarksOverlay: document.getElementById('bookmarks-overlay'),
+      bookmarksList: document.getElementById('bookmarks-list'),
+      bookmarksEmpty: document.getElementById('bookmarks-empty'),
+      btnCloseBookmarks: document.getElementById('btn-close-bookmarks'),
+      annotationBar: document.getElementById('annotation-bar'),
+      annotationActions: document.querySelector('.annotation-actions'),
+      annotationColorBtns: document.querySelectorAll('.annotation-color'),
+      btnAnnotationNote: document.getElementById('btn-annotation-note'),
+      btnAnnotationDelete: document.getElementById('btn-annotation-delete'),
+      btnCloseAnnotation: document.getElementById('btn-close-annotation'),
+      annotationNoteEditor: document.getElementById('annotation-note-editor'),
+      annotationNoteInput: document.getElementById('annotation-note-input'),
+      btnAnnotationSave: document.getElementById('btn-annotation-save'),
+      annotationsPanel: document.getElementById('annotations-panel'),
+      annotationsOverlay: document.getElementById('annotations-overlay'),
+      annotationsList: document.getElementById('annotations-list'),
+      annotationsEmpty: document.getElementById('annotations-empty'),
+      btnCloseAnnotations: document.getElementById('btn-close-annotations'),
+      annotationsExport: document.getElementById('annotations-export'),
+      pageScrubber: document.getElementById('page-scrubber'),
+      scrubberPreview: document.getElementById('scrubber-preview'),
+      scrubberSlider: document.getElementById('scrubber-slider'),
+      btnPageOverview: document.getElementById('btn-page-overview'),
+      btnCloseScrubber: document.getElementById('btn-close-scrubber'),
+      pageOverview: document.getElementById('page-overview'),
+      overviewGrid: document.getElementById('overview-grid'),
+      btnCloseOverview: document.getElementById('btn-close-overview'),
+      btnFind: document.getElementById('btn-find'),
+      findBar: document.getElementById('find-bar'),
+      findForm: document.getElementById('find-form'),
+      findInput: document.getElementById('find-input'),
+      findCount: document.getElementById('find-count'),
+      findResults: document.getElementById('find-results'),
+      btnFindPrev: document.getElementById('btn-find-prev'),
+      btnFindNext: document.getElementById('btn-find-next'),
+      btnFindList: document.getElementById('btn-find-list'),
+      btnCloseFind: document.getElementById('btn-close-find'),
+      btnReadAloud: document.getElementById('btn-read-aloud'),
+      readAloudBar: document.getElementById('read-aloud-bar'),
+      btnReadAloudPlay: document.getElementById('btn-read-aloud-play'),
+      btnReadAloudSkip: document.getElementById('btn-read-aloud-skip'),
+      readAloudRate: document.getElementById('read-aloud-rate'),
+      readAloudVoice: document.getElementById('read-aloud-voice'),
+      btnCloseReadAloud: document.getElementById('btn-close-read-aloud'),
+      tocPanel: document.getElementById('toc-panel'),
+      tocOverlay: document.getElementById('toc-overlay'),
+      tocList: document.getElementById('toc-list'),
+      btnCloseToc: document.getElementById('btn-close-toc'),
+      currentSection: document.getElementById('current-section'),
       btnSettings: document.getElementById('btn-settings'),
       settingsPanel: document.getElementById('settings-panel'),
       settingsOverlay: document.getElementById('settings-overlay'),
       btnCloseSettings: document.getElementById('btn-close-settings'),
       btnCloseReader: document.getElementById('btn-close-reader'),
+      btnSave: document.getElementById('btn-save'),
+      btnOpenTab: document.getElementById('btn-open-tab'),
+      btnPick: document.getElementById('btn-pick'),
+      pageLoadingGroup: document.getElementById('page-loading-group'),
+      spreadGroup: document.getElementById('spread-group'),
+      btnExport: document.getElementById('btn-export'),
+      btnOpenLibrary: document.getElementById('btn-open-library'),
+      btnSiteRules: document.getElementById('btn-site-rules'),
+      btnDictionaries: document.getElementById('btn-dictionaries'),
       // Settings controls
       fontBtns: document.querySelectorAll('.font-btn'),
       fontSizeSlider: document.getElementById('font-size-slider'),
@@ -79,7 +179,11 @@
       toggleJustify: document.getElementById('toggle-justify'),
       toggleGrayscale: document.getElementById('toggle-grayscale'),
       toggleNoImages: document.getElementById('toggle-no-images'),
-      sizeBtns: document.querySelectorAll('.size-btn')
+      sizeBtns: document.querySelectorAll('.size-btn'),
+      keyBindingsEditor: document.getElementById('key-bindings-editor'),
+      tapLayoutBtns: document.querySelectorAll('.tap-layout-btn'),
+      lookupBtns: document.querySelectorAll('.lookup-btn'),
+      toggleTapSwap: document.getElementById('toggle-tap-swap')
     };
 
     console.log('Elements initialized:', {
@@ -112,17 +216,18 @@
 
       renderArticle();
 
+      // Restore reading position if available (applied by setupPagination)
+      const savedPosition = await loadReadingPosition();
+      if (savedPosition) {
+        currentAnchor = savedPosition.anchor || null;
+        currentPage = savedPosition.anchor ? 0 : (savedPosition.page || 0);
+      }
+
       // Wait for content to render, then set up pagination
       // Use multiple frames to ensure layout is complete
       requestAnimationFrame(() => {
-        requestAnimationFrame(async () => {
+        requestAnimationFrame(() => {
           setupPagination();
-          // Restore reading position if available
-          const savedPage = await loadReadingPosition();
-          if (savedPage > 0 && savedPage < totalPages) {
-            currentPage = savedPage;
-            updatePageDisplay();
-          }
           hideLoading();
         });
       });
@@ -137,7 +242,7 @@
 
   function getArticleData() {
     return new Promise((resolve) => {
-      browserAPI.runtime.sendMessage({ type: 'GET_ARTICLE_DATA' }, (response) => {
+      browserAPI.runtime.sendMessage({ type: 'GET_ARTICLE_DATA', articleId, libraryId }, (response) => {
         resolve(response);
       });
     });
@@ -182,6 +287,7 @@
       positions[key] = {
         page: currentPage,
         totalPages: totalPages,
+        anchor: currentAnchor,
         timestamp: Date.now()
       };
 
@@ -200,17 +306,17 @@
 
   async function loadReadingPosition() {
     const key = getArticleKey();
-    if (!key) return 0;
+    if (!key) return null;
 
     try {
       const positions = (await browserAPI.storage.local.get('readingPositions')).readingPositions || {};
       if (positions[key]) {
-        return positions[key].page;
+        return positions[key];
       }
     } catch (error) {
       console.warn('Failed to load reading position:', error);
     }
-    return 0;
+    return null;
   }
 
   // ============================================
@@ -225,9 +331,36 @@
     if (articleData.readingTime) {
       elements.articleReadingTime.textContent = `${articleData.readingTime} min read`;
     }
+    if (articleData.mergedPages && elements.articlePages) {
+      elements.articlePages.textContent = `Combined from ${articleData.mergedPages} pages`;
+    }
+
+    // Text direction from Readability - columns and progress follow the dir attribute
+    pageDirection = articleData.dir === 'rtl' ? 'rtl' : 'ltr';
+    elements.articleContainer.dir = pageDirection;
+    if (articleData.lang) elements.articleContainer.lang = articleData.lang;
+    elements.progressBar.dir = pageDirection;
+    renderTapZones();
+
+    // Saving (which downloads images with the page's cookies), export,
+    // open-in-tab and the element picker belong to the in-page reader
+    [elements.btnSave, elements.btnOpenTab, elements.btnExport, elements.btnPick].forEach(btn => {
+      if (btn) btn.classList.add('hidden');
+    });
+    if (elements.annotationsExport) elements.annotationsExport.classList.add('hidden');
+    // No live page to wait for or extract again
+    if (elements.pageLoadingGroup) elements.pageLoadingGroup.classList.add('hidden');
+    // Two-page spreads are only laid out by the in-page reader
+    if (elements.spreadGroup) elements.spreadGroup.classList.add('hidden');
+
+    if (elements.btnReadAloud) elements.btnReadAloud.classList.toggle('hidden', !InkPagesReadAloud.isSupported());
 
     elements.articleContent.innerHTML = articleData.content || '';
     processImages();
+    // Footnote references first - their popup takes the click
+    attachFootnotes();
+    applyAnnotations();
+    applyBookmarks();
     processLinks();
   }
 
@@ -243,14 +376,757 @@
   }
 
   function processLinks() {
-    // Make all links open in new tab to avoid losing reader position
     const links = elements.articleContent.querySelectorAll('a[href]');
     links.forEach(link => {
+      // Anchors in the article turn to the page that holds them
+      const target = getAnchorTarget(link);
+      if (target) {
+        link.addEventListener('click', (e) => {
+          if (e.defaultPrevented) return; // Footnote reference or back-link
+          e.preventDefault();
+          jumpToElement(target);
+        });
+        return;
+      }
+
+      // Make all other links open in new tab to avoid losing reader position
       link.setAttribute('target', '_blank');
       link.setAttribute('rel', 'noopener noreferrer');
     });
   }
 
+  /**
+   * Element of the article a link points at (#section on the article's
+   * own page or one of its stitched pages), or null
+   */
+  function getAnchorTarget(link) {
+    let url;
+    try {
+      url = new URL(link.getAttribute('href'), articleData.sourceUrl || window.location.href);
+    } catch {
+      return null;
+    }
+    if (!url.hash || url.hash === '#') return null;
+
+    const pageUrls = [articleData.sourceUrl, ...(articleData.sourceUrls || [])]
+      .filter(Boolean)
+      .map(pageUrl => pageUrl.split('#')[0]);
+    if (!pageUrls.includes(url.href.split('#')[0])) return null;
+
+    let id = url.hash.slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch {
+      // Keep the raw fragment
+    }
+    return elements.articleContent.querySelector(`[id="${CSS.escape(id)}"], a[name="${CSS.escape(id)}"]`);
+  }
+
+  // ============================================
+  // Navigation history - in-article links remember where they came from
+  // ============================================
+  const MAX_HISTORY = 20;
+
+  function jumpToElement(el) {
+    jumpToPage(getPageForElement(el));
+  }
+
+  function jumpToPage(page) {
+    if (page === currentPage) return;
+
+    pageHistory.push({ anchor: currentAnchor, page: currentPage });
+    if (pageHistory.length > MAX_HISTORY) pageHistory.shift();
+    updateBackButton();
+    goToPage(page);
+  }
+
+  function goBack() {
+    const entry = pageHistory.pop();
+    updateBackButton();
+    if (!entry) return;
+
+    const anchoredPage = entry.anchor
+      ? InkPagesTextAnchor.pageForAnchor(elements.articleContent, entry.anchor, getPageForRect)
+      : null;
+    goToPage(anchoredPage !== null ? anchoredPage : Math.min(entry.page, totalPages - 1));
+  }
+
+  function updateBackButton() {
+    if (elements.btnBack) elements.btnBack.classList.toggle('hidden', pageHistory.length === 0);
+  }
+
+  // ============================================
+  // Table of contents - headings mapped to pages after each layout
+  // ============================================
+  function getPageForElement(el) {
+    return getPageForRect(el.getClientRects()[0] || el.getBoundingClientRect());
+  }
+
+  function buildToc() {
+    tocEntries = InkPagesToc.buildEntries(elements.articleContent, getPageForElement);
+
+    // A single heading isn't worth a drawer
+    if (tocEntries.length < 2) tocEntries = [];
+    if (elements.btnToc) elements.btnToc.classList.toggle('hidden', tocEntries.length === 0);
+
+    if (tocEntries.length === 0) closeToc();
+    else if (isTocOpen()) renderToc();
+  }
+
+  function updateCurrentSection() {
+    if (!elements.currentSection) return;
+    const entry = InkPagesToc.currentEntry(tocEntries, currentPage);
+    elements.currentSection.textContent = entry ? entry.text : '';
+  }
+
+  function renderToc() {
+    InkPagesToc.renderList(elements.tocList, tocEntries, InkPagesToc.currentEntry(tocEntries, currentPage), (entry) => {
+      closeToc();
+      jumpToElement(entry.heading);
+    });
+  }
+
+  function openToc() {
+    if (!elements.tocPanel) return;
+    closeSettings();
+    renderToc();
+    elements.tocPanel.classList.remove('hidden');
+    const current = elements.tocList.querySelector('.toc-link.current');
+    if (current) current.scrollIntoView({ block: 'center' });
+  }
+
+  function closeToc() {
+    if (elements.tocPanel) elements.tocPanel.classList.add('hidden');
+  }
+
+  function isTocOpen() {
+    return elements.tocPanel && !elements.tocPanel.classList.contains('hidden');
+  }
+
+  // ============================================
+  // Highlights and notes - anchored to the text, so they survive re-layout
+  // ============================================
+  async function applyAnnotations() {
+    if (!articleData.sourceUrl) {
+      if (elements.btnAnnotations) elements.btnAnnotations.classList.add('hidden');
+      return;
+    }
+
+    try {
+      annotations = await InkPagesAnnotations.load(articleData.sourceUrl);
+    } catch (error) {
+      console.warn('Failed to load annotations:', error);
+      return;
+    }
+    annotations.forEach(annotation => {
+      annotationMarks.set(annotation.id, InkPagesAnnotations.apply(elements.articleContent, annotation));
+    });
+    if (isAnnotationsOpen()) renderAnnotations();
+  }
+
+  async function saveAnnotations() {
+    if (isAnnotationsOpen()) renderAnnotations();
+    try {
+      await InkPagesAnnotations.save(articleData.sourceUrl, articleData.title, annotations);
+    } catch (error) {
+      console.warn('Failed to save annotations:', error);
+    }
+  }
+
+  function handleSelectionChange() {
+    if (!articleData || !articleData.sourceUrl) return;
+    // The word being looked up, selected by the same gesture
+    if (isDefinitionOpen()) return;
+    const range = InkPagesAnnotations.selectedRange(elements.articleContent);
+
+    if (range) {
+      pendingRange = range.cloneRange();
+      editingAnnotation = null;
+      showAnnotationBar();
+    } else if (pendingRange && elements.annotationNoteEditor.classList.contains('hidden')) {
+      // Selection gone before a colour was picked (a note being written keeps it)
+      hideAnnotationBar();
+    }
+  }
+
+  function editAnnotation(annotation) {
+    pendingRange = null;
+    editingAnnotation = annotation;
+    showAnnotationBar();
+  }
+
+  function showAnnotationBar() {
+    const color = editingAnnotation ? editingAnnotation.color : null;
+    elements.annotationColorBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.color === color));
+    elements.btnAnnotationDelete.classList.toggle('hidden', !editingAnnotation);
+    elements.annotationNoteEditor.classList.add('hidden');
+    elements.annotationBar.classList.remove('hidden');
+  }
+
+  function hideAnnotationBar() {
+    pendingRange = null;
+    editingAnnotation = null;
+    if (elements.annotationBar) elements.annotationBar.classList.add('hidden');
+  }
+
+  function isAnnotationBarOpen() {
+    return elements.annotationBar && !elements.annotationBar.classList.contains('hidden');
+  }
+
+  function createAnnotation(fields) {
+    const annotation = InkPagesAnnotations.fromRange(elements.articleContent, pendingRange, fields);
+    if (!annotation) return;
+
+    annotations.push(annotation);
+    annotationMarks.set(annotation.id, InkPagesAnnotations.apply(elements.articleContent, annotation));
+    document.getSelection().removeAllRanges();
+    saveAnnotations();
+  }
+
+  function setAnnotationColor(color) {
+    if (editingAnnotation) {
+      editingAnnotation.color = color;
+      InkPagesAnnotations.update(annotationMarks.get(editingAnnotation.id) || [], editingAnnotation);
+      saveAnnotations();
+    } else if (pendingRange) {
+      createAnnotation({ color });
+    }
+    hideAnnotationBar();
+  }
+
+  function openNoteEditor() {
+    elements.annotationNoteInput.value = editingAnnotation ? editingAnnotation.note : '';
+    elements.annotationNoteEditor.classList.remove('hidden');
+    elements.annotationNoteInput.focus();
+  }
+
+  function saveAnnotationNote() {
+    const note = elements.annotationNoteInput.value.trim();
+    if (editingAnnotation) {
+      editingAnnotation.note = note;
+      InkPagesAnnotations.update(annotationMarks.get(editingAnnotation.id) || [], editingAnnotation);
+      saveAnnotations();
+    } else if (pendingRange) {
+      createAnnotation({ note });
+    }
+    hideAnnotationBar();
+  }
+
+  function deleteAnnotation() {
+    if (!editingAnnotation) return;
+    const id = editingAnnotation.id;
+    annotations = annotations.filter(a => a.id !== id);
+    annotationMarks.delete(id);
+    InkPagesAnnotations.unmark(elements.articleContent, id);
+    hideAnnotationBar();
+    saveAnnotations();
+  }
+
+  function openAnnotations() {
+    if (!elements.annotationsPanel) return;
+    closeSettings();
+    closeToc();
+    hideAnnotationBar();
+    renderAnnotations();
+    elements.annotationsPanel.classList.remove('hidden');
+  }
+
+  function closeAnnotations() {
+    if (elements.annotationsPanel) elements.annotationsPanel.classList.add('hidden');
+  }
+
+  function isAnnotationsOpen() {
+    return elements.annotationsPanel && !elements.annotationsPanel.classList.contains('hidden');
+  }
+
+  // Drawer entries in reading order, with the page each one starts on
+  function renderAnnotations() {
+    const items = InkPagesAnnotations.inReadingOrder(annotations).map(annotation => {
+      const marks = annotationMarks.get(annotation.id) || [];
+      return { ...annotation, page: marks.length > 0 ? getPageForElement(marks[0]) : null };
+    });
+
+    elements.annotationsEmpty.classList.toggle('hidden', items.length > 0);
+    InkPagesAnnotations.renderList(elements.annotationsList, items, (item) => {
+      closeAnnotations();
+      jumpToElement(annotationMarks.get(item.id)[0]);
+    });
+  }
+
+  // ============================================
+  // Bookmarks - named pages, found again by the text they start with
+  // ============================================
+  async function applyBookmarks() {
+    if (!articleData.sourceUrl) {
+      [elements.btnBookmark, elements.btnBookmarks].forEach(btn => {
+        if (btn) btn.classList.add('hidden');
+      });
+      return;
+    }
+
+    try {
+      bookmarks = await InkPagesBookmarks.load(articleData.sourceUrl);
+    } catch (error) {
+      console.warn('Failed to load bookmarks:', error);
+      return;
+    }
+    updateBookmarkPages();
+    updateBookmarkState();
+  }
+
+  async function saveBookmarks() {
+    if (isBookmarksOpen()) renderBookmarks();
+    try {
+      await InkPagesBookmarks.save(articleData.sourceUrl, articleData.title, bookmarks);
+    } catch (error) {
+      console.warn('Failed to save bookmarks:', error);
+    }
+  }
+
+  // Pages move with every layout; the anchors don't
+  function updateBookmarkPages() {
+    bookmarkPages = new Map(bookmarks.map(bookmark => [
+      bookmark.id,
+      InkPagesTextAnchor.pageForAnchor(elements.articleContent, bookmark.anchor, getPageForRect)
+    ]));
+  }
+
+  function bookmarksOnPage() {
+    return bookmarks.filter(bookmark => bookmarkPages.get(bookmark.id) === currentPage);
+  }
+
+  // Dog-ear and toolbar button for the page on screen
+  function updateBookmarkState() {
+    const marked = bookmarksOnPage().length > 0;
+    if (elements.dogEar) elements.dogEar.classList.toggle('hidden', !marked);
+    if (elements.btnBookmark) {
+      elements.btnBookmark.classList.toggle('active', marked);
+      elements.btnBookmark.setAttribute('aria-pressed', String(marked));
+      elements.btnBookmark.title = marked ? 'Remove Bookmark' : 'Bookmark This Page';
+    }
+  }
+
+  // Bookmark the page on screen, named after its section, or remove its bookmarks
+  function toggleBookmark() {
+    if (!articleData || !articleData.sourceUrl) return;
+
+    const onPage = bookmarksOnPage();
+    if (onPage.length > 0) {
+      bookmarks = bookmarks.filter(bookmark => !onPage.includes(bookmark));
+    } else {
+      const anchor = InkPagesTextAnchor.anchorForPage(elements.articleContent, currentPage, getPageForRect);
+      if (!anchor) return;
+      const section = InkPagesToc.currentEntry(tocEntries, currentPage);
+      const bookmark = InkPagesBookmarks.create(anchor, section ? section.text : `Bookmark ${bookmarks.length + 1}`);
+      bookmarks.push(bookmark);
+      bookmarkPages.set(bookmark.id, currentPage);
+    }
+
+    updateBookmarkState();
+    saveBookmarks();
+  }
+
+  function openBookmarks() {
+    if (!elements.bookmarksPanel) return;
+    closeSettings();
+    closeToc();
+    closeAnnotations();
+    renderBookmarks();
+    elements.bookmarksPanel.classList.remove('hidden');
+  }
+
+  function closeBookmarks() {
+    if (elements.bookmarksPanel) elements.bookmarksPanel.classList.add('hidden');
+  }
+
+  function isBookmarksOpen() {
+    return elements.bookmarksPanel && !elements.bookmarksPanel.classList.contains('hidden');
+  }
+
+  function renderBookmarks() {
+    const items = InkPagesBookmarks.inReadingOrder(bookmarks).map(bookmark => {
+      const page = bookmarkPages.get(bookmark.id);
+      return { ...bookmark, page: page === undefined ? null : page };
+    });
+
+    elements.bookmarksEmpty.classList.toggle('hidden', items.length > 0);
+    InkPagesBookmarks.renderList(elements.bookmarksList, items, {
+      onSelect: (item) => {
+        closeBookmarks();
+        jumpToPage(item.page);
+      },
+      onRename: (item, label) => {
+        const bookmark = bookmarks.find(b => b.id === item.id);
+        if (!bookmark || bookmark.label === label) {
+          renderBookmarks();
+          return;
+        }
+        bookmark.label = label;
+        saveBookmarks();
+      },
+      onDelete: (item) => {
+        bookmarks = bookmarks.filter(b => b.id !== item.id);
+        updateBookmarkState();
+        saveBookmarks();
+      }
+    });
+  }
+
+  // ============================================
+  // Page scrubber and overview - jump anywhere without paging through
+  // ============================================
+  function toggleScrubber() {
+    if (isScrubberOpen()) closeScrubber();
+    else openScrubber();
+  }
+
+  function openScrubber() {
+    if (!elements.pageScrubber) return;
+    closeSettings();
+    closeToc();
+    hideFootnote();
+    syncScrubber();
+    elements.pageScrubber.classList.remove('hidden');
+  }
+
+  function closeScrubber() {
+    if (elements.pageScrubber) elements.pageScrubber.classList.add('hidden');
+  }
+
+  function isScrubberOpen() {
+    return elements.pageScrubber && !elements.pageScrubber.classList.contains('hidden');
+  }
+
+  function syncScrubber() {
+    elements.scrubberSlider.max = totalPages;
+    elements.scrubberSlider.value = currentPage + 1;
+    updateScrubberPreview(currentPage);
+  }
+
+  // "Page 17 of 60 — 'Section title'"
+  function updateScrubberPreview(page) {
+    const entry = InkPagesToc.currentEntry(tocEntries, page);
+    elements.scrubberPreview.textContent = `Page ${page + 1} of ${totalPages}` +
+      (entry ? ` — ‘${entry.text}’` : '');
+  }
+
+  function openOverview() {
+    if (!elements.pageOverview) return;
+    closeScrubber();
+    elements.pageOverview.classList.remove('hidden');
+    renderOverview();
+  }
+
+  function closeOverview() {
+    if (!elements.pageOverview) return;
+    if (overview) overview.destroy();
+    overview = null;
+    elements.pageOverview.classList.add('hidden');
+  }
+
+  function isOverviewOpen() {
+    return elements.pageOverview && !elements.pageOverview.classList.contains('hidden');
+  }
+
+  function renderOverview() {
+    if (overview) overview.destroy();
+
+    const views = [];
+    for (let page = 0; page < totalPages; page++) {
+      views.push({ page, label: `${page + 1}` });
+    }
+
+    overview = InkPagesOverview.renderGrid(elements.overviewGrid, {
+      viewport: elements.contentViewport,
+      content: elements.articleContent,
+      views,
+      transformFor: pageTransform,
+      current: currentPage,
+      onSelect: (page) => {
+        closeOverview();
+        goToPage(page);
+      }
+    });
+  }
+
+  // ============================================
+  // Find in article - matches are marked in the content and pages turned to them
+  // ============================================
+  const MAX_FIND_MATCHES = 500;
+
+  function openFind() {
+    if (!elements.findBar) return;
+    closeSettings();
+    closeToc();
+    elements.findBar.classList.remove('hidden');
+    elements.findInput.focus();
+    elements.findInput.select();
+  }
+
+  function closeFind() {
+    if (!elements.findBar) return;
+    clearFind();
+    elements.findBar.classList.add('hidden');
+    elements.findInput.blur();
+  }
+
+  function isFindOpen() {
+    return elements.findBar && !elements.findBar.classList.contains('hidden');
+  }
+
+  function clearFind() {
+    InkPagesFind.clearHighlights(elements.articleContent);
+    findQuery = '';
+    foundMatches = [];
+    findIndex = -1;
+    elements.findResults.classList.add('hidden');
+    updateFindControls();
+  }
+
+  function submitFind(backwards) {
+    const query = elements.findInput.value.trim();
+    if (query && query === findQuery) {
+      stepFind(backwards ? -1 : 1);
+      return;
+    }
+
+    clearFind();
+    if (!query) return;
+
+    findQuery = query;
+    foundMatches = InkPagesFind.findMatches(elements.articleContent, query, MAX_FIND_MATCHES);
+    InkPagesFind.highlightMatches(foundMatches);
+    updateFindPages();
+
+    if (foundMatches.length === 0) {
+      updateFindControls();
+      return;
+    }
+
+    // Start from the page being read rather than the beginning
+    const index = foundMatches.findIndex(match => match.page >= currentPage);
+    showFindMatch(index === -1 ? 0 : index);
+  }
+
+  // Page of each match for the current layout; matches without a box are dropped
+  function updateFindPages() {
+    if (foundMatches.length === 0) return;
+
+    const current = foundMatches[findIndex];
+    foundMatches = foundMatches.filter(match => {
+      const rect = match.marks[0].getClientRects()[0];
+      if (!rect) return false;
+      match.page = getPageForRect(rect);
+      return true;
+    });
+    findIndex = foundMatches.indexOf(current);
+    if (findIndex === -1 && foundMatches.length > 0) findIndex = 0;
+
+    updateFindControls();
+    if (!elements.findResults.classList.contains('hidden')) renderFindResults();
+  }
+
+  function stepFind(direction) {
+    if (foundMatches.length === 0) return;
+    showFindMatch((findIndex + direction + foundMatches.length) % foundMatches.length);
+  }
+
+  function showFindMatch(index) {
+    const previous = foundMatches[findIndex];
+    if (previous) previous.marks.forEach(mark => mark.classList.remove('current'));
+
+    findIndex = index;
+    const match = foundMatches[index];
+    match.marks.forEach(mark => mark.classList.add('current'));
+    updateFindControls();
+    goToPage(match.page);
+  }
+
+  function updateFindControls() {
+    const count = foundMatches.length;
+    if (!findQuery) elements.findCount.textContent = '';
+    else if (count === 0) elements.findCount.textContent = 'No matches';
+    else {
+      const total = count >= MAX_FIND_MATCHES ? `${count}+` : count;
+      elements.findCount.textContent = `${findIndex + 1} / ${total}`;
+    }
+
+    elements.btnFindPrev.disabled = count === 0;
+    elements.btnFindNext.disabled = count === 0;
+    elements.btnFindList.disabled = count === 0;
+    elements.btnFindList.classList.toggle('active', !elements.findResults.classList.contains('hidden'));
+  }
+
+  function toggleFindResults() {
+    const show = elements.findResults.classList.contains('hidden');
+    if (show) renderFindResults();
+    elements.findResults.classList.toggle('hidden', !show);
+    updateFindControls();
+  }
+
+  function renderFindResults() {
+    InkPagesFind.renderResults(elements.findResults, foundMatches, (index) => {
+      elements.findResults.classList.add('hidden');
+      showFindMatch(index);
+    });
+  }
+
+  // ============================================
+  // Footnotes - shown in a popup, the page stays put
+  // ============================================
+  function attachFootnotes() {
+    InkPagesFootnotes.attach(elements.articleContent, articleData.sourceUrl, {
+      onNote: showFootnote,
+      onBackLink: jumpToElement
+    });
+  }
+
+  function showFootnote(note) {
+    note.querySelectorAll('a[href]').forEach(link => {
+      if (!link.hasAttribute('data-footnote-back')) {
+        link.setAttribute('target', '_blank');
+        link.setAttribute('rel', 'noopener noreferrer');
+      }
+    });
+    hideDefinition();
+    elements.footnoteBody.textContent = '';
+    elements.footnoteBody.appendChild(note);
+    elements.footnotePopup.classList.remove('hidden');
+  }
+
+  function hideFootnote() {
+    if (elements.footnotePopup) elements.footnotePopup.classList.add('hidden');
+  }
+
+  function isFootnoteOpen() {
+    return elements.footnotePopup && !elements.footnotePopup.classList.contains('hidden');
+  }
+
+  // ============================================
+  // Dictionary - definitions from imported dictionaries, never the network
+  // ============================================
+  let lookupRequest = 0; // Ignores answers overtaken by a newer lookup
+
+  async function lookUpWordAt(x, y, target) {
+    const word = InkPagesWordLookup.wordAtPoint(elements.articleContent, x, y, target, articleData.lang);
+    if (!word) return;
+
+    // A double-tap or long-press also selects the word - that isn't a highlight
+    clearSelection();
+    hideAnnotationBar();
+    hideFootnote();
+
+    const request = ++lookupRequest;
+    let response;
+    try {
+      response = await InkPagesDictionary.lookup(word, articleData.lang);
+    } catch (error) {
+      console.warn('Dictionary lookup failed:', error);
+      return;
+    }
+    if (request !== lookupRequest) return;
+
+    InkPagesWordLookup.renderResults(elements.dictionaryBody, word, response);
+    clearSelection(); // Touch selection can arrive after the gesture
+    elements.dictionaryBody.scrollTop = 0;
+    elements.dictionaryPopup.classList.remove('hidden');
+  }
+
+  function clearSelection() {
+    const selection = document.getSelection();
+    if (selection) selection.removeAllRanges();
+  }
+
+  function hideDefinition() {
+    lookupRequest++;
+    if (elements.dictionaryPopup) elements.dictionaryPopup.classList.add('hidden');
+  }
+
+  function isDefinitionOpen() {
+    return elements.dictionaryPopup && !elements.dictionaryPopup.classList.contains('hidden');
+  }
+
+  // ============================================
+  // Read aloud - the spoken sentence is marked, and pages turn to follow it
+  // ============================================
+  let readAloud = null; // Player while the bar is open
+  let readAloudVoices = []; // Voices offered for the article's language
+
+  async function openReadAloud() {
+    if (!elements.readAloudBar || !articleData || !InkPagesReadAloud.isSupported()) return;
+    closeSettings();
+    closeScrubber();
+    elements.readAloudBar.classList.remove('hidden');
+    elements.readAloudRate.value = String(settings.readAloudRate);
+
+    if (!readAloud) {
+      readAloud = InkPagesReadAloud.createPlayer(elements.articleContent, {
+        lang: articleData.lang,
+        onPosition: followReadAloud,
+        onStateChange: updateReadAloudControls
+      });
+      readAloud.setRate(settings.readAloudRate);
+      updateReadAloudControls('stopped');
+
+      const player = readAloud;
+      readAloudVoices = InkPagesReadAloud.voicesFor(await InkPagesReadAloud.loadVoices(), articleData.lang);
+      if (player !== readAloud) return; // Closed while the voices loaded
+
+      const lang = InkPagesReadAloud.primaryLanguage(articleData.lang);
+      InkPagesReadAloud.renderVoiceOptions(elements.readAloudVoice, readAloudVoices, settings.readAloudVoiceByLanguage[lang]);
+      readAloud.setVoice(selectedVoice());
+    }
+
+    if (readAloud.state() !== 'playing') playReadAloud();
+  }
+
+  function closeReadAloud() {
+    if (!elements.readAloudBar) return;
+    if (readAloud) readAloud.stop();
+    readAloud = null;
+    elements.readAloudBar.classList.add('hidden');
+  }
+
+  function isReadAloudOpen() {
+    return elements.readAloudBar && !elements.readAloudBar.classList.contains('hidden');
+  }
+
+  function toggleReadAloud() {
+    if (!readAloud) openReadAloud();
+    else if (readAloud.state() === 'playing') readAloud.pause();
+    else playReadAloud();
+  }
+
+  // A paused sentence still on the page goes on; otherwise reading starts at the top of the page
+  function playReadAloud() {
+    const rect = readAloud.sentenceRect();
+    if (rect && getPageForRect(rect) === currentPage) {
+      readAloud.play();
+      return;
+    }
+    const start = InkPagesTextAnchor.resolveAnchor(elements.articleContent, currentAnchor);
+    readAloud.play(start || { node: elements.articleContent, offset: 0 });
+  }
+
+  function selectedVoice() {
+    return readAloudVoices.find(voice => voice.voiceURI === elements.readAloudVoice.value) || null;
+  }
+
+  // Spoken text has moved past the page (a word boundary or a new sentence)
+  function followReadAloud(rect) {
+    const page = getPageForRect(rect);
+    while (page > currentPage && currentPage < totalPages - 1) {
+      nextPage();
+    }
+  }
+
+  function updateReadAloudControls(state) {
+    const playing = state === 'playing';
+    elements.readAloudBar.classList.toggle('playing', playing);
+    elements.btnReadAloudPlay.title = playing ? 'Pause' : 'Play';
+    elements.btnReadAloudSkip.disabled = state === 'stopped';
+  }
+
   // ============================================
   // Pagination Engine
   //
@@ -341,6 +1217,12 @@
     const exactWidth = totalPages * viewportWidth + (totalPages - 1) * columnGap;
     content.style.width = exactWidth + 'px';
 
+    // Return to the page that now holds the anchored text
+    if (currentAnchor) {
+      const anchoredPage = InkPagesTextAnchor.pageForAnchor(content, currentAnchor, getPageForRect);
+      if (anchoredPage !== null) currentPage = anchoredPage;
+    }
+
     // Clamp current page
     currentPage = Math.min(currentPage, Math.max(0, totalPages - 1));
 
@@ -355,15 +1237,38 @@
       currentPage
     });
 
-    updatePageDisplay();
+    buildToc();
+    updateFindPages();
+    updateBookmarkPages();
+    updatePageDisplay(true);
+    if (isOverviewOpen()) renderOverview();
+    if (isBookmarksOpen()) renderBookmarks();
+  }
+
+  // RTL columns flow leftwards from the right edge, so content moves right instead
+  function pageTransform(page) {
+    const offset = page * pageWidth;
+    return pageDirection === 'rtl' ? `translateX(${offset}px)` : `translateX(-${offset}px)`;
   }
 
-  function updatePageDisplay() {
+  /**
+   * Show currentPage. After navigation the text anchor moves to the new
+   * page; after a re-layout (fromLayout) it is kept so it doesn't drift.
+   */
+  function updatePageDisplay(fromLayout = false) {
     if (!elements.articleContent) return;
 
+    if (!fromLayout) {
+      hideFootnote();
+      hideAnnotationBar();
+      hideDefinition();
+    }
+    updateCurrentSection();
+    updateBookmarkState();
+    if (isScrubberOpen()) syncScrubber();
+
     // Translate to show current page
-    const offset = currentPage * pageWidth;
-    elements.articleContent.style.transform = `translateX(-${offset}px)`;
+    elements.articleContent.style.transform = pageTransform(currentPage);
 
     // Update page indicator
     elements.pageIndicator.textContent = `${currentPage + 1} / ${totalPages}`;
@@ -372,10 +1277,29 @@
     const progress = totalPages > 1 ? ((currentPage + 1) / totalPages) * 100 : 100;
     elements.progressFill.style.width = `${progress}%`;
 
+    if (!fromLayout || !currentAnchor) {
+      currentAnchor = InkPagesTextAnchor.anchorForPage(elements.articleContent, currentPage, getPageForRect);
+    }
+
     // Save reading position (debounced)
     saveReadingPosition();
   }
 
+  /**
+   * Page index for a client rect inside #article-content.
+   * Both rects include the current transform, so their difference is
+   * the untransformed offset into the column strip.
+   */
+  function getPageForRect(rect) {
+    if (!pageWidth) return 0;
+    const contentRect = elements.articleContent.getBoundingClientRect();
+    const offset = pageDirection === 'rtl'
+      ? contentRect.right - rect.right
+      : rect.left - contentRect.left;
+    const page = Math.floor(offset / pageWidth);
+    return Math.min(Math.max(page, 0), totalPages - 1);
+  }
+
   function goToPage(pageNum) {
     if (pageNum < 0 || pageNum >= totalPages) return;
     currentPage = pageNum;
@@ -398,6 +1322,18 @@
     }
   }
 
+  // Physical page turns for tap zones, swipes and arrow keys:
+  // in RTL the next page is to the left
+  function turnPageLeft() {
+    if (pageDirection === 'rtl') nextPage();
+    else prevPage();
+  }
+
+  function turnPageRight() {
+    if (pageDirection === 'rtl') prevPage();
+    else nextPage();
+  }
+
   // ============================================
   // Settings Application
   // ============================================
@@ -417,12 +1353,13 @@
     body.classList.toggle('grayscale', settings.grayscale);
     body.classList.toggle('no-images', settings.noImages);
 
+    renderTapZones();
     updateSettingsUI();
 
     // Recalculate pagination when settings change
+    // (setupPagination returns to the page holding currentAnchor)
     if (articleData && elements.articleContent) {
       setTimeout(() => {
-        currentPage = 0; // Reset to first page on settings change
         setupPagination();
       }, 50);
     }
@@ -456,29 +1393,87 @@
     if (elements.toggleJustify) elements.toggleJustify.checked = settings.justifyText;
     if (elements.toggleGrayscale) elements.toggleGrayscale.checked = settings.grayscale;
     if (elements.toggleNoImages) elements.toggleNoImages.checked = settings.noImages;
+
+    elements.tapLayoutBtns.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.tapLayout === settings.tapZoneLayout);
+    });
+    if (elements.toggleTapSwap) elements.toggleTapSwap.checked = settings.tapZonesSwapped;
+
+    elements.lookupBtns.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.lookup === settings.lookupGesture);
+    });
+
+    if (bindingsEditor) bindingsEditor.render();
   }
 
   // ============================================
-  // Event Listeners
+  // Tap Zones
   // ============================================
-  function setupEventListeners() {
-    // Tap zones
-    function addTapHandler(element, handler) {
-      if (!element) return;
-      element.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        handler();
-      });
-      element.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        handler();
-      }, { passive: false });
+  function getTapZones() {
+    return InkPagesTapZones.resolveZones(settings.tapZoneLayout, {
+      swapped: settings.tapZonesSwapped,
+      rtl: pageDirection === 'rtl'
+    });
+  }
+
+  // Build the tap zones from the layout in settings (mirrored for RTL pages)
+  function renderTapZones() {
+    if (!elements.tapZones) return;
+    const zones = getTapZones();
+
+    elements.tapZones.dataset.layout = InkPagesTapZones.validLayout(settings.tapZoneLayout);
+    InkPagesTapZones.renderZones(elements.tapZones, zones, (zone, action) => {
+      addTapHandler(zone, () => handleTapAction(action));
+    });
+
+    // Without a menu zone there would be no way to bring the toolbar back
+    if (!zones.some(zone => zone.action === 'menu') && document.body.classList.contains('header-hidden')) {
+      toggleHeader();
     }
+  }
+
+  function addTapHandler(element, handler) {
+    if (!element) return;
+    element.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      handler();
+    });
+    element.addEventListener('touchend', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      handler();
+    }, { passive: false });
+  }
+
+  function handleTapAction(action) {
+    if (action === 'back') prevPage();
+    else if (action === 'forward') nextPage();
+    else if (action === 'menu') toggleHeader();
+  }
+
+  // Show or hide the toolbar; the reading area takes its space, so re-layout
+  function toggleHeader() {
+    document.body.classList.toggle('header-hidden');
+    if (articleData) setupPagination();
+  }
+
+  // Briefly draw the zones over everything (including the settings panel)
+  function previewTapZones() {
+    const preview = elements.tapZonePreview;
+    if (!preview) return;
+    preview.dataset.layout = InkPagesTapZones.validLayout(settings.tapZoneLayout);
+    InkPagesTapZones.renderZones(preview, getTapZones(), null, true);
+    preview.classList.remove('hidden');
+    clearTimeout(tapPreviewTimer);
+    tapPreviewTimer = setTimeout(() => preview.classList.add('hidden'), 2000);
+  }
 
-    addTapHandler(elements.tapZonePrev, prevPage);
-    addTapHandler(elements.tapZoneNext, nextPage);
+  // ============================================
+  // Event Listeners
+  // ============================================
+  function setupEventListeners() {
+    // Tap zones are built by renderTapZones()
 
     // Swipe gestures for touch devices (especially e-ink)
     let touchStartX = 0;
@@ -501,11 +1496,11 @@
       // Only trigger if horizontal swipe is dominant and long enough
       if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > minSwipeDistance) {
         if (deltaX < 0) {
-          // Swipe left = next page
-          nextPage();
+          // Swipe left = page on the right (next page, or previous in RTL)
+          turnPageRight();
         } else {
-          // Swipe right = previous page
-          prevPage();
+          // Swipe right = page on the left
+          turnPageLeft();
         }
       }
     }, { passive: true });
@@ -513,6 +1508,36 @@
     // Keyboard
     document.addEventListener('keydown', handleKeydown);
 
+    // Tap zone layout
+    elements.tapLayoutBtns.forEach(btn => {
+      btn.addEventListener('click', () => {
+        settings.tapZoneLayout = btn.dataset.tapLayout;
+        applySettings();
+        saveSettings();
+        previewTapZones();
+      });
+    });
+    if (elements.toggleTapSwap) {
+      elements.toggleTapSwap.addEventListener('change', (e) => {
+        settings.tapZonesSwapped = e.target.checked;
+        applySettings();
+        saveSettings();
+        previewTapZones();
+      });
+    }
+
+    // Keyboard shortcuts editor
+    if (elements.keyBindingsEditor) {
+      bindingsEditor = InkPagesKeyBindings.createEditor(
+        elements.keyBindingsEditor,
+        () => settings.keyBindings,
+        (bindings) => {
+          settings.keyBindings = bindings;
+          saveSettings();
+        }
+      );
+    }
+
     // Close buttons
     if (elements.btnClose) elements.btnClose.addEventListener('click', closeReader);
     if (elements.btnCloseReader) elements.btnCloseReader.addEventListener('click', closeReader);
@@ -522,6 +1547,163 @@
     if (elements.btnCloseSettings) elements.btnCloseSettings.addEventListener('click', closeSettings);
     if (elements.settingsOverlay) elements.settingsOverlay.addEventListener('click', closeSettings);
 
+    if (elements.btnBack) elements.btnBack.addEventListener('click', goBack);
+
+    // Contents drawer
+    if (elements.btnToc) elements.btnToc.addEventListener('click', openToc);
+    if (elements.btnCloseToc) elements.btnCloseToc.addEventListener('click', closeToc);
+    if (elements.tocOverlay) elements.tocOverlay.addEventListener('click', closeToc);
+
+    // Highlights and notes - the bar appears for text selected in the article
+    if (elements.annotationBar) {
+      let selectionTimeout;
+      document.addEventListener('selectionchange', () => {
+        clearTimeout(selectionTimeout);
+        selectionTimeout = setTimeout(handleSelectionChange, 300);
+      });
+      elements.articleContent.addEventListener('click', (e) => {
+        const mark = e.target.closest('mark.annotation');
+        if (!mark || e.defaultPrevented || mark.closest('a')) return;
+        const annotation = annotations.find(a => a.id === mark.dataset.annotationId);
+        if (annotation) editAnnotation(annotation);
+      });
+      // Buttons keep the selection they act on
+      elements.annotationActions.addEventListener('mousedown', (e) => e.preventDefault());
+      elements.annotationColorBtns.forEach(btn => {
+        btn.addEventListener('click', () => setAnnotationColor(btn.dataset.color));
+      });
+      elements.btnAnnotationNote.addEventListener('click', openNoteEditor);
+      elements.btnAnnotationSave.addEventListener('click', saveAnnotationNote);
+      elements.btnAnnotationDelete.addEventListener('click', deleteAnnotation);
+      elements.btnCloseAnnotation.addEventListener('click', hideAnnotationBar);
+    }
+    if (elements.btnAnnotations) {
+      elements.btnAnnotations.addEventListener('click', openAnnotations);
+      elements.btnCloseAnnotations.addEventListener('click', closeAnnotations);
+      elements.annotationsOverlay.addEventListener('click', closeAnnotations);
+    }
+
+    // Bookmarks
+    if (elements.btnBookmark) elements.btnBookmark.addEventListener('click', toggleBookmark);
+    if (elements.btnBookmarks) {
+      elements.btnBookmarks.addEventListener('click', openBookmarks);
+      elements.btnCloseBookmarks.addEventListener('click', closeBookmarks);
+      elements.bookmarksOverlay.addEventListener('click', closeBookmarks);
+    }
+
+    // Page scrubber and overview - preview while dragging, turn the page on release
+    if (elements.pageIndicator) elements.pageIndicator.addEventListener('click', toggleScrubber);
+    if (elements.scrubberSlider) {
+      elements.scrubberSlider.addEventListener('input', () => {
+        updateScrubberPreview(parseInt(elements.scrubberSlider.value, 10) - 1);
+      });
+      elements.scrubberSlider.addEventListener('change', () => {
+        goToPage(parseInt(elements.scrubberSlider.value, 10) - 1);
+      });
+      elements.btnPageOverview.addEventListener('click', openOverview);
+      elements.btnCloseScrubber.addEventListener('click', closeScrubber);
+    }
+    if (elements.btnCloseOverview) elements.btnCloseOverview.addEventListener('click', closeOverview);
+
+    // Find bar - Enter searches, or steps to the next match if the query is unchanged
+    if (elements.btnFind) elements.btnFind.addEventListener('click', openFind);
+    if (elements.findForm) {
+      elements.findForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitFind(false);
+      });
+      elements.findInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.shiftKey) {
+          e.preventDefault();
+          submitFind(true);
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          closeFind();
+        } else if (e.key.toLowerCase() === 'f' && (e.ctrlKey || e.metaKey)) {
+          e.preventDefault();
+          elements.findInput.select();
+        }
+      });
+      elements.btnFindPrev.addEventListener('click', () => stepFind(-1));
+      elements.btnFindNext.addEventListener('click', () => stepFind(1));
+      elements.btnFindList.addEventListener('click', toggleFindResults);
+      elements.btnCloseFind.addEventListener('click', closeFind);
+    }
+
+    // Read aloud
+    if (elements.btnReadAloud) elements.btnReadAloud.addEventListener('click', openReadAloud);
+    if (elements.readAloudBar) {
+      elements.btnReadAloudPlay.addEventListener('click', toggleReadAloud);
+      elements.btnReadAloudSkip.addEventListener('click', () => {
+        if (readAloud) readAloud.skipParagraph();
+      });
+      elements.btnCloseReadAloud.addEventListener('click', closeReadAloud);
+      elements.readAloudRate.addEventListener('change', () => {
+        settings.readAloudRate = parseFloat(elements.readAloudRate.value);
+        if (readAloud) readAloud.setRate(settings.readAloudRate);
+        saveSettings();
+      });
+      elements.readAloudVoice.addEventListener('change', () => {
+        const lang = InkPagesReadAloud.primaryLanguage(articleData.lang);
+        settings.readAloudVoiceByLanguage = {
+          ...settings.readAloudVoiceByLanguage,
+          [lang]: elements.readAloudVoice.value
+        };
+        if (readAloud) readAloud.setVoice(selectedVoice());
+        saveSettings();
+      });
+    }
+
+    // Dictionary lookup on the words of the article
+    if (elements.dictionaryPopup) {
+      InkPagesWordLookup.watchGestures(elements.articleContent, () => settings.lookupGesture, lookUpWordAt);
+      elements.btnCloseDictionary.addEventListener('click', hideDefinition);
+    }
+    elements.lookupBtns.forEach(btn => {
+      btn.addEventListener('click', () => {
+        settings.lookupGesture = btn.dataset.lookup;
+        updateSettingsUI();
+        saveSettings();
+      });
+    });
+    if (elements.btnDictionaries) {
+      elements.btnDictionaries.addEventListener('click', () => {
+        browserAPI.runtime.sendMessage({ type: 'OPEN_DICTIONARIES' });
+      });
+    }
+
+    // Footnote popup - back-links in the note return to where the reader already is
+    if (elements.btnCloseFootnote) elements.btnCloseFootnote.addEventListener('click', hideFootnote);
+    if (elements.footnoteBody) {
+      elements.footnoteBody.addEventListener('click', (e) => {
+        const link = e.target.closest('a[href]');
+        if (link && link.hasAttribute('data-footnote-back')) {
+          e.preventDefault();
+          hideFootnote();
+        }
+      });
+    }
+
+    // Library
+    if (elements.btnOpenLibrary) {
+      elements.btnOpenLibrary.addEventListener('click', () => {
+        browserAPI.runtime.sendMessage({ type: 'OPEN_LIBRARY' });
+      });
+    }
+
+    // Site rules (for the article's own site)
+    if (elements.btnSiteRules) {
+      elements.btnSiteRules.addEventListener('click', () => {
+        let site = '';
+        try {
+          site = new URL(articleData.sourceUrl).hostname;
+        } catch (e) {
+          // No source URL - open the editor without a site
+        }
+        browserAPI.runtime.sendMessage({ type: 'OPEN_SITE_RULES', site });
+      });
+    }
+
     // Font buttons
     elements.fontBtns.forEach(btn => {
       btn.addEventListener('click', () => {
@@ -628,56 +1810,145 @@
   }
 
   function handleKeydown(e) {
-    if (elements.settingsPanel && !elements.settingsPanel.classList.contains('hidden')) {
-      if (e.key === 'Escape') closeSettings();
+    if (InkPagesKeyBindings.isEditableTarget(e)) return;
+
+    const settingsOpen = elements.settingsPanel && !elements.settingsPanel.classList.contains('hidden');
+    if (settingsOpen && bindingsEditor && bindingsEditor.handleKeydown(e)) return;
+
+    // Arrow keys are physical sides, so they swap for right-to-left pages
+    const action = InkPagesKeyBindings.actionForEvent(settings.keyBindings, e, pageDirection === 'rtl');
+    if (!action) return;
+
+    // Closing an open note comes before closing the reader
+    if (action === 'close' && isFootnoteOpen()) {
+      e.preventDefault();
+      hideFootnote();
       return;
     }
 
-    switch (e.key) {
-      case 'ArrowRight':
+    if (action === 'close' && isAnnotationBarOpen()) {
+      e.preventDefault();
+      hideAnnotationBar();
+      return;
+    }
+
+    if (action === 'close' && isDefinitionOpen()) {
+      e.preventDefault();
+      hideDefinition();
+      return;
+    }
+
+    if (isAnnotationsOpen()) {
+      if (action === 'close' || action === 'annotations') closeAnnotations();
+      return;
+    }
+
+    if (isBookmarksOpen()) {
+      if (action === 'close' || action === 'bookmarks') closeBookmarks();
+      return;
+    }
+
+    if (isOverviewOpen()) {
+      if (action === 'close' || action === 'goToPage') closeOverview();
+      return;
+    }
+
+    if (isScrubberOpen()) {
+      // Arrow keys move the slider itself
+      if (e.target === elements.scrubberSlider) return;
+      if (action === 'close' || action === 'goToPage') {
+        closeScrubber();
+        return;
+      }
+    }
+
+    if (action === 'close' && isFindOpen()) {
+      e.preventDefault();
+      closeFind();
+      return;
+    }
+
+    if (action === 'close' && isReadAloudOpen()) {
+      e.preventDefault();
+      closeReadAloud();
+      return;
+    }
+
+    if (isTocOpen()) {
+      if (action === 'close' || action === 'toc') closeToc();
+      return;
+    }
+
+    if (settingsOpen) {
+      if (action === 'close' || action === 'settings') closeSettings();
+      return;
+    }
+
+    switch (action) {
+      case 'next':
         e.preventDefault();
         nextPage();
         break;
-      case ' ':
-        e.preventDefault();
-        if (e.shiftKey) {
-          prevPage();
-        } else {
-          nextPage();
-        }
-        break;
-      case 'ArrowLeft':
+      case 'prev':
         e.preventDefault();
         prevPage();
         break;
-      case 'ArrowDown':
-      case 'PageDown':
+      case 'first':
         e.preventDefault();
-        nextPage();
+        goToPage(0);
         break;
-      case 'ArrowUp':
-      case 'PageUp':
+      case 'last':
         e.preventDefault();
-        prevPage();
+        goToPage(totalPages - 1);
+        break;
+      case 'settings':
+        openSettings();
+        break;
+      case 'close':
+        closeReader();
+        break;
+      case 'themeCycle':
+        cycleTheme();
         break;
-      case 'Home':
+      case 'back':
         e.preventDefault();
-        goToPage(0);
+        goBack();
+        break;
+      case 'toc':
+        if (tocEntries.length > 0) openToc();
         break;
-      case 'End':
+      case 'find':
         e.preventDefault();
-        goToPage(totalPages - 1);
+        openFind();
         break;
-      case 'Escape':
-        closeReader();
+      case 'goToPage':
+        openScrubber();
+        break;
+      case 'annotations':
+        openAnnotations();
         break;
-      case 's':
-      case 'S':
-        if (!e.ctrlKey && !e.metaKey) openSettings();
+      case 'bookmark':
+        toggleBookmark();
         break;
+      case 'bookmarks':
+        openBookmarks();
+        break;
+      case 'readAloud':
+        e.preventDefault();
+        toggleReadAloud();
+        break;
+      // 'export' is only available in the in-page reader
     }
   }
 
+  // Themes in the order of the settings panel buttons
+  function cycleTheme() {
+    const themes = Array.from(elements.themeBtns, btn => btn.dataset.theme);
+    settings.theme = themes[(themes.indexOf(settings.theme) + 1) % themes.length];
+    applySettings();
+    saveSettings();
+  }
+
   // ============================================
   // UI State
   // ============================================
@@ -701,10 +1972,16 @@
 
   function closeSettings() {
     if (elements.settingsPanel) elements.settingsPanel.classList.add('hidden');
+    if (bindingsEditor) bindingsEditor.cancel();
   }
 
   function closeReader() {
-    window.close();
+    // Articles opened from the library return to it
+    if (libraryId && window.history.length > 1) {
+      window.history.back();
+    } else {
+      window.close();
+    }
   }
 
   // ============================================